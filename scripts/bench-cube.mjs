@@ -0,0 +1,104 @@
+import { performance } from "node:perf_hooks";
+import {
+  aggregateMonthly,
+  aggregateMonthlyByGroup,
+  summarizeByBranch,
+  buildCube,
+  cubeMonthly,
+  cubeMonthlyByGroup,
+  cubeBranchSummary,
+} from "../src/analytics/index.js";
+
+// Row scans vs the indexed cube on a synthetic 10-year, 200-branch dataset.
+// Usage: node scripts/bench-cube.mjs [years] [branches]
+
+const YEARS = Number(process.argv[2]) || 10;
+const BRANCHES = Number(process.argv[3]) || 200;
+const CATEGORIES = [
+  "New Equipment Sales", "Used Equipment Sales", "Total Equipment",
+  "RF Revenue", "Re-Rent Revenue", "Total Rental",
+  "Parts Counter", "Parts Shop", "Total Parts",
+  "Customer", "Warranty", "Total Service",
+];
+const RUNS = 7;
+
+// Deterministic pseudo-random values so runs are comparable
+let seed = 42;
+const random = () => {
+  seed = (seed * 1103515245 + 12345) % 2147483648;
+  return seed / 2147483648;
+};
+
+function syntheticRows() {
+  const rows = [];
+  const branches = Array.from({ length: BRANCHES }, (_, i) => String(100 + i));
+  for (let y = 0; y < YEARS; y++) {
+    for (let m = 1; m <= 12; m++) {
+      for (const Branch of branches) {
+        for (const Category of CATEGORIES) {
+          rows.push({ Year: 2015 + y, Month: m, Category, Value: Math.round(random() * 1e7) / 100, Branch });
+        }
+      }
+    }
+  }
+  return { rows, branches };
+}
+
+// Median of RUNS timings after one untimed warm-up call
+function median(fn) {
+  fn();
+  const times = [];
+  for (let i = 0; i < RUNS; i++) {
+    const t0 = performance.now();
+    fn();
+    times.push(performance.now() - t0);
+  }
+  return times.sort((a, b) => a - b)[Math.floor(RUNS / 2)];
+}
+
+const { rows, branches } = syntheticRows();
+const regionOf = (code) => `Region ${Number(code) % 8}`;
+const groupOf = (code) => (code ? regionOf(code) : null);
+const metrics = ["Total Equipment", "Total Parts", "Total Service"];
+const window = { start: `${2015 + YEARS - 2}-01`, end: `${2015 + YEARS - 1}-12` };
+
+let cube;
+const buildMs = median(() => {
+  cube = buildCube(rows);
+});
+
+const cases = [
+  ["Chart, all branches, 3 categories", { metrics }],
+  ["Chart, 10 branches, 3 categories", { metrics, branches: branches.slice(0, 10) }],
+  ["Chart, 1 branch, 1 category, 2 years", { metrics: ["Total Parts"], branches: [branches[0]], ...window }],
+  ["All months, all categories", {}],
+];
+const results = cases.map(([name, options]) => ({
+  query: name,
+  "rows (ms)": median(() => aggregateMonthly(rows, options)),
+  "cube (ms)": median(() => cubeMonthly(cube, options)),
+}));
+results.push({
+  query: "By region, 1 category",
+  "rows (ms)": median(() => aggregateMonthlyByGroup(rows, { metric: "Total Parts", groupOf })),
+  "cube (ms)": median(() => cubeMonthlyByGroup(cube, { metric: "Total Parts", groupOf })),
+});
+results.push({
+  query: "Branch table, 3 categories, 2 years",
+  "rows (ms)": median(() => summarizeByBranch(rows, { metrics, ...window })),
+  "cube (ms)": median(() => cubeBranchSummary(cube, { metrics, ...window })),
+});
+
+const fmt = (ms) => Number(ms.toFixed(2));
+console.log(
+  `${rows.length.toLocaleString()} rows (${YEARS} years × ${BRANCHES} branches × ${CATEGORIES.length} categories); ` +
+    `cube built in ${fmt(buildMs)} ms, median of ${RUNS} runs`
+);
+console.table(
+  results.map((r) => ({
+    ...r,
+    "rows (ms)": fmt(r["rows (ms)"]),
+    "cube (ms)": fmt(r["cube (ms)"]),
+    speedup: `${(r["rows (ms)"] / Math.max(r["cube (ms)"], 0.001)).toFixed(1)}×`,
+  }))
+);
@@ -1,15 +1,66 @@
-import { readdirSync, statSync, writeFileSync } from "node:fs";
+import { existsSync, mkdirSync, readdirSync, readFileSync, rmSync, statSync, writeFileSync } from "node:fs";
 import { join } from "node:path";
+import { createHash } from "node:crypto";
+import {
+  describeCsv,
+  datasetConfigProblems,
+  parseCsvText,
+  compileRows,
+  datasetIdFromFile,
+  datasetLabelFromFile,
+} from "../src/analytics/index.js";
 
 const PUB = join(process.cwd(), "public");
+// Per-dataset label, colors, default category and value type, keyed by file name
+const CONFIG_PATH = join(PUB, "dataset-config.json");
+// Pre-parsed copies of each CSV; build output, not committed
+const COMPILED_DIR = "compiled";
 
 function iso(dt) {
   return new Date(dt).toISOString();
 }
 
+// Content hash so the app can tell a restated file from the version it saw before
+function sha256(buf) {
+  return createHash("sha256").update(buf).digest("hex");
+}
+
+function readConfig() {
+  if (!existsSync(CONFIG_PATH)) return {};
+  let config;
+  try {
+    config = JSON.parse(readFileSync(CONFIG_PATH, "utf-8"));
+  } catch (err) {
+    throw new Error(`${CONFIG_PATH} is not valid JSON: ${err.message}`);
+  }
+  if (!config || typeof config !== "object" || Array.isArray(config)) {
+    throw new Error(`${CONFIG_PATH} must map file names to dataset settings.`);
+  }
+  return config;
+}
+
+// Writes the compiled grid for a clean CSV; returns its public path, or null to keep the CSV only
+function writeCompiled(name, text, hash) {
+  let compiled;
+  try {
+    compiled = compileRows(parseCsvText(text), { source: name, hash });
+  } catch (err) {
+    console.warn(`${name}: not compiled (${err.message}); the app will parse the CSV.`);
+    return null;
+  }
+  const file = `${COMPILED_DIR}/${name.replace(/\.csv$/i, ".json")}`;
+  writeFileSync(join(PUB, file), JSON.stringify(compiled), "utf-8");
+  return file;
+}
+
 function main() {
+  const config = readConfig();
+  rmSync(join(PUB, COMPILED_DIR), { recursive: true, force: true });
+  mkdirSync(join(PUB, COMPILED_DIR));
   const entries = readdirSync(PUB, { withFileTypes: true });
   const rows = [];
+  const problems = [];
+  const byId = new Map();
 
   for (const ent of entries) {
     if (!ent.isFile()) continue;
@@ -18,18 +69,57 @@ function main() {
 
     const fp = join(PUB, name);
     const st = statSync(fp);
+    const buf = readFileSync(fp);
+    const text = buf.toString("utf-8");
+    const description = describeCsv(text);
+    const meta = config[name] || {};
+    const fileProblems = [...description.problems, ...datasetConfigProblems(meta, description)];
+    fileProblems.forEach((p) => problems.push(`${name}: ${p}`));
+
+    const id = meta.id || datasetIdFromFile(name);
+    if (byId.has(id)) {
+      problems.push(`${name}: dataset id "${id}" is already used by ${byId.get(id)}.`);
+      continue;
+    }
+    byId.set(id, name);
+
+    const hash = sha256(buf);
     rows.push({
       file: name,
+      id,
+      label: meta.label || datasetLabelFromFile(name),
       size: st.size,
       lastModified: iso(st.mtimeMs || st.mtime || Date.now()),
+      hash,
+      rowCount: description.rowCount,
+      minMonth: description.minMonth,
+      maxMonth: description.maxMonth,
+      branches: description.branches,
+      schema: description.schema,
+      compiled: fileProblems.length ? null : writeCompiled(name, text, hash),
+      ...(meta.instructions ? { instructions: meta.instructions } : {}),
+      ...(meta.colors ? { colors: meta.colors } : {}),
+      ...(meta.defaultCategory ? { defaultCategory: meta.defaultCategory } : {}),
+      ...(meta.valueType ? { valueType: meta.valueType } : {}),
     });
   }
 
+  const listed = new Set(rows.map((r) => r.file));
+  for (const name of Object.keys(config)) {
+    if (!listed.has(name)) problems.push(`dataset-config.json: no dataset file named ${name}.`);
+  }
+
+  if (problems.length) {
+    console.error(`Dataset manifest not written; ${problems.length} problem(s):`);
+    problems.forEach((p) => console.error(`  - ${p}`));
+    process.exit(1);
+  }
+
   rows.sort((a, b) => a.file.localeCompare(b.file));
 
   const out = { datasets: rows };
   const outPath = join(PUB, "dataset-list.json");
-  writeFileSync(outPath, JSON.stringify(out, null, 2), "utf-8");
+  writeFileSync(outPath, JSON.stringify(out, null, 2) + "\n", "utf-8");
   console.log(`Wrote ${out.datasets.length} dataset(s) to ${outPath}`);
 }
 
@@ -1,11 +1,120 @@
 import React, { useState, useMemo, useEffect, useRef, useCallback } from "react";
-import Papa from "papaparse";
-import { getPersistentColorMap } from "./color-utils";
+import { colorFromString, getPersistentColorMap } from "./color-utils";
+import {
+  isUploadedDataset,
+  newUploadId,
+  listUploads,
+  loadUploadRows,
+  saveUpload,
+  renameUpload,
+  deleteUpload,
+  contentHash,
+  listSnapshots,
+  loadSnapshotRows,
+  recordSnapshot,
+} from "./dataset-store";
 import CategoryPicker from "./components/CategoryPicker";
-import { DEPT_MAP } from "./constants/departments";
+import BranchMasterEditor from "./components/BranchMasterEditor";
+import ValidationPanel from "./components/ValidationPanel";
+import ColumnMappingWizard from "./components/ColumnMappingWizard";
+import SheetPicker from "./components/SheetPicker";
+import ImportSummary from "./components/ImportSummary";
+import UploadedDatasets from "./components/UploadedDatasets";
+import VersionCompare from "./components/VersionCompare";
+import SavedViews from "./components/SavedViews";
+import AnomaliesPanel from "./components/AnomaliesPanel";
+import SeasonalityPanel from "./components/SeasonalityPanel";
+import BranchRanking from "./components/BranchRanking";
+import { loadBundledDataset, preloadBundledDataset } from "./dataset-loader";
+import { runAnalytics, isAbortError } from "./analytics-client";
+import { encodeViewState, decodeViewState, cleanViewState } from "./url-state";
+import {
+  newViewId,
+  loadSavedViews,
+  storeSavedViews,
+  savedViewsToJson,
+  importSavedViews,
+} from "./saved-views";
+import {
+  DEPT_MAP,
+  ALL_DEPARTMENTS,
+  GRAND_TOTAL_METRIC,
+  METRIC_PARENTS,
+  ROLLUP_EQUIVALENTS,
+  flattenAllMetrics,
+} from "./constants/departments";
+import { DEFAULT_BRANCH_MASTER, BRANCH_MASTER_STORAGE_KEY } from "./constants/branches";
+import {
+  normalizeParsedRows,
+  fileSignature,
+  guessMapping,
+  mappingErrors,
+  WORKBOOK_FILE_PATTERN,
+  readWorkbook,
+  MERGE_POLICIES,
+  mergeRows,
+  MONTH_NAMES,
+  normalizeFiscalStart,
+  toCalendarRows,
+  fiscalToCalendar,
+  calendarToFiscal,
+  periodLabel,
+  fiscalYearRange,
+  normalizeBranchMaster,
+  branchLookup,
+  regionGroups,
+  unassignedBranches,
+  branchName,
+  findOverlaps,
+  countedMetrics,
+  withCombinedSeries,
+  keyFromStr,
+  clampYM,
+  addMonths,
+  datasetBounds,
+  groupBranchSummary,
+  clipToRange,
+  rollingWindow,
+  yearOverYear,
+  monthOverMonth,
+  priorYearOverlay,
+  priorYearKey,
+  summarizeSeries,
+  exceptionsToTable,
+  toCsv,
+  rowsToWideTable,
+  diffToTable,
+  datasetIdFromFile,
+  datasetLabelFromFile,
+  FORECAST_METHODS,
+  FORECAST_LEVELS,
+  forecastKey,
+  forecastRangeKey,
+  withForecast,
+  aggregateMonthly,
+  aggregateMonthlyByGroup,
+  summarizeByBranch,
+  fiscalYearToDate,
+  budgetKey,
+  parseBudgetRecords,
+  withBudget,
+  budgetRange,
+  compareToBudget,
+  budgetVariance,
+  ANOMALY_THRESHOLDS,
+  detectAnomalies,
+  rangeKeys,
+  ymToKey,
+  strFromYM,
+  seasonMonths,
+  yearOverlay,
+  monthProfile,
+} from "./analytics";
 import {
+  ComposedChart,
   LineChart,
   Line,
+  Area,
   BarChart,
   Bar,
   XAxis,
@@ -15,22 +124,49 @@ import {
   Legend,
   ResponsiveContainer,
   ReferenceLine,
+  ReferenceDot,
   Brush,
 } from "recharts";
 
-const monthNames = [
-  "Jan","Feb","Mar","Apr","May","Jun","Jul","Aug","Sep","Oct","Nov","Dec",
-];
+const COLOR_STORAGE_KEY = "salesSeriesColorMap";
+const COLUMN_MAPPING_STORAGE_KEY = "psdash:mappings:v1";
+
+// Canonical category names offered when mapping uploaded columns
+const KNOWN_METRICS = [...flattenAllMetrics(), ...ALL_DEPARTMENTS, GRAND_TOTAL_METRIC];
+
+// Saved column mappings keyed by file signature
+const loadSavedMappings = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(COLUMN_MAPPING_STORAGE_KEY) || "{}");
+    return saved && typeof saved === "object" ? saved : {};
+  } catch {
+    return {};
+  }
+};
 
-const DIMENSION_COLUMN_NAMES = new Set([
-  "date",
-  "month",
-  "year",
-  "period",
-  "branch",
-]);
+const BUDGET_STORAGE_KEY = "psdash:budget:v1";
 
-const COLOR_STORAGE_KEY = "salesSeriesColorMap";
+// The budget file last loaded, `{ fileName, rows }`, or null
+const loadSavedBudget = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(BUDGET_STORAGE_KEY) || "null");
+    return Array.isArray(saved?.rows) && saved.rows.length ? saved : null;
+  } catch {
+    return null;
+  }
+};
+
+const ANOMALY_STORAGE_KEY = "psdash:anomalies:v1";
+
+// Dismissals and notes by anomaly id: { [id]: { dismissed, note } }
+const loadAnomalyNotes = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(ANOMALY_STORAGE_KEY) || "{}");
+    return saved && typeof saved === "object" ? saved : {};
+  } catch {
+    return {};
+  }
+};
 
 const BRAND_COLOR_OVERRIDES = {
   "Total Equipment": "#1d4ed8",
@@ -88,34 +224,6 @@ const DEPARTMENT_PALETTES = {
   ],
 };
 
-// YYYY-MM helpers
-const ymToKey = (y, m) => y * 100 + m;
-const keyFromStr = (s) => { if (!s) return null; const [yy, mm] = s.split("-").map(Number); if (!yy || !mm) return null; return ymToKey(yy, mm); };
-const strFromYM = (y, m) => `${y}-${String(m).padStart(2, "0")}`;
-const clampYM = (s, minS, maxS) => {
-  const k = keyFromStr(s), minK = keyFromStr(minS), maxK = keyFromStr(maxS);
-  if (!k || !minK || !maxK) return s;
-  if (k < minK) return minS;
-  if (k > maxK) return maxS;
-  return s;
-};
-const addMonths = (s, delta) => {
-  const [yy, mm] = s.split("-").map(Number);
-  const d0 = new Date(yy, mm - 1, 1);
-  d0.setMonth(d0.getMonth() + delta);
-  const y = d0.getFullYear();
-  const m = d0.getMonth() + 1;
-  return strFromYM(y, m);
-};
-const toMonthIndex = (m) => {
-  if (m == null) return null;
-  const s = String(m).trim();
-  const n = Number(s);
-  if (!Number.isNaN(n)) return Math.max(1, Math.min(12, n));
-  const idx = monthNames.findIndex((x) => x.toLowerCase() === s.slice(0, 3).toLowerCase());
-  return idx >= 0 ? idx + 1 : null;
-};
-
 // Abbreviated numbers + currency for revenue
 const formatAbbrev = (n) => {
   if (n == null || isNaN(n)) return n;
@@ -127,90 +235,101 @@ const formatAbbrev = (n) => {
   return new Intl.NumberFormat().format(n);
 };
 
-const DATASET_OVERRIDES = {
-  "historical_all.csv": {
-    id: "Historical_All",
-    label: "Historical All ($)",
-    instructions:
-      "Year, Period, Branch, Equipment, Rental, Parts, Service, Total",
-    colors: {
-      Equipment: "#2563EB",
-      Rental: "#7C3AED",
-      Parts: "#0EA5E9",
-      Service: "#F97316",
-      Total: "#FACC15",
-    },
-    defaultCategory: "Total",
-    valueType: "currency",
+const DEFAULT_DATASET = "Historical_All";
+
+// Metric selector modes: `percent` drives axis/tooltip formatting, `file` names the CSV export,
+// `rolling` picks the rollingWindow stat. Labels and file names of rolling modes take the window size.
+const METRIC_MODES = {
+  value: { label: "Value", percent: false, file: "dashboard_view.csv" },
+  r12: {
+    label: (n) => `R${n} Growth %`,
+    percent: true,
+    file: (n) => `dashboard_r${n}_growth.csv`,
+    rolling: "growth",
   },
-  "historical_sales.csv": {
-    id: "Historical_Sales",
-    label: "Historical Equipment Sales ($)",
-    instructions:
-      "Year, Period, Branch, New Equipment Sales, Used Equipment Sales, RPO Sales, Re-Marketing Sales, Trade-In Sales, RtoR Sales, Other, Total Equipment",
-    colors: {
-      "New Equipment Sales": "#2563EB",
-      "Used Equipment Sales": "#7C3AED",
-      "RPO Sales": "#0EA5E9",
-      "Re-Marketing Sales": "#F97316",
-      "Trade-In Sales": "#F43F5E",
-      "RtoR Sales": "#10B981",
-      Other: "#94A3B8",
-      "Total Equipment": "#FACC15",
-    },
-    defaultCategory: "Total Equipment",
-    valueType: "currency",
+  r12Value: {
+    label: (n) => `Rolling ${n} Value`,
+    percent: false,
+    file: (n) => `dashboard_r${n}_value.csv`,
+    rolling: "sum",
   },
-  "historical_service.csv": {
-    id: "Historical_Service",
-    label: "Historical Service ($)",
-    instructions:
-      "Year, Period, Branch, Customer, Warranty, Internal, Sublet, Total Service",
-    colors: {
-      Customer: "#2563EB",
-      Warranty: "#7C3AED",
-      Internal: "#0EA5E9",
-      Sublet: "#F97316",
-      "Total Service": "#FACC15",
-    },
-    defaultCategory: "Total Service",
-    valueType: "currency",
+  rollingAvg: {
+    label: (n) => `T${n}M Average`,
+    percent: false,
+    file: (n) => `dashboard_t${n}m_average.csv`,
+    rolling: "avg",
   },
+  yoy: { label: "YoY Growth %", percent: true, file: "dashboard_yoy_growth.csv" },
+  yoyDelta: { label: "YoY Change ($)", percent: false, file: "dashboard_yoy_change.csv" },
+  mom: { label: "MoM Change %", percent: true, file: "dashboard_mom_change.csv" },
+  priorYear: { label: "Value vs Prior Year", percent: false, file: "dashboard_prior_year.csv" },
 };
 
-const DEFAULT_DATASET = "Historical_All";
+const COMPARISON_MODES = new Set(["yoy", "yoyDelta", "mom", "priorYear"]);
 
-const splitFileSegments = (fileName) =>
-  fileName
-    .replace(/\.csv$/i, "")
-    .split(/[^A-Za-z0-9]+/)
-    .filter(Boolean);
+const GROUP_BY_OPTIONS = [
+  { value: "none", label: "None" },
+  { value: "region", label: "Region" },
+  { value: "branch", label: "Branch" },
+];
+const UNASSIGNED_REGION = "Unassigned";
 
-const capitalize = (segment) =>
-  segment ? segment.charAt(0).toUpperCase() + segment.slice(1) : segment;
+// How the Total column and combined card treat a component selected alongside its total
+const TOTAL_MODE_OPTIONS = [
+  { value: "totals", label: "Totals win (skip components)" },
+  { value: "components", label: "Components only (skip totals)" },
+  { value: "all", label: "Sum everything selected" },
+];
+const COMBINED_SERIES_KEY = "__combined";
+
+const EMPTY_AGGREGATES = {
+  chart: [],
+  allMonths: [],
+  summary: { rows: [], totals: {} },
+  rangeSummaries: {},
+  profile: null,
+};
+const EMPTY_FORECAST = { points: [], profile: null };
+const EMPTY_SEASONALITY = { index: null, profile: null };
+const EMPTY_RANKING = { leaderboard: null, profile: null };
+const EMPTY_PROFILE = { rowCount: 0, bounds: null, metrics: [], branches: [], years: [] };
+const EMPTY_VALIDATION = { exceptions: [], referenceName: null };
+// Worker key for rows sent from the page (uploads and stored datasets)
+const PAGE_ROWS_KEY = "page";
+
+const ROLLING_WINDOW_OPTIONS = [3, 6, 12, 24];
+const DEFAULT_ROLLING_WINDOW = 12;
+
+const FORECAST_HORIZON_OPTIONS = [6, 12, 18, 24];
+const FORECAST_BASIS_OPTIONS = [
+  { value: "total", label: "Selection total" },
+  { value: "branch", label: "Sum of branch forecasts" },
+];
+
+const resolveModeText = (text, windowSize) =>
+  typeof text === "function" ? text(windowSize) : text;
 
+// Manifest entry (see scripts/generate-dataset-list.mjs) -> selector entry; ids and labels
+// fall back to the file name so a bare `{ file }` record still works
 const buildDatasetEntry = (fileName, meta = {}) => {
   if (!fileName) return null;
-  const override = DATASET_OVERRIDES[fileName] || {};
-  const segments = splitFileSegments(fileName);
-  const defaultId = segments.length
-    ? segments.map((seg) => capitalize(seg)).join("_")
-    : fileName.replace(/\.csv$/i, "");
-  const defaultLabel = segments.length
-    ? segments.map((seg) => capitalize(seg)).join(" ")
-    : fileName.replace(/\.csv$/i, "");
-
+  const columns = meta.schema?.columns;
   return {
-    id: override.id || defaultId,
-    label: override.label || defaultLabel || fileName,
+    id: meta.id || datasetIdFromFile(fileName),
+    label: meta.label || datasetLabelFromFile(fileName) || fileName,
     file: `/${fileName}`,
     fileName,
-    instructions: override.instructions || null,
-    colors: override.colors ? { ...override.colors } : undefined,
-    defaultCategory: override.defaultCategory || null,
-    valueType: override.valueType || null,
+    instructions: meta.instructions || (columns?.length ? columns.join(", ") : null),
+    colors: meta.colors ? { ...meta.colors } : undefined,
+    defaultCategory: meta.defaultCategory || null,
+    valueType: meta.valueType || null,
     size: typeof meta.size === "number" ? meta.size : null,
     lastModified: meta.lastModified || null,
+    hash: meta.hash || null,
+    compiled: meta.compiled || null,
+    rowCount: typeof meta.rowCount === "number" ? meta.rowCount : null,
+    minMonth: meta.minMonth || null,
+    maxMonth: meta.maxMonth || null,
   };
 };
 
@@ -227,6 +346,7 @@ const normalizeDatasetRecords = (records) => {
         ...existing,
         size: existing.size ?? entry.size,
         lastModified: existing.lastModified ?? entry.lastModified,
+        hash: existing.hash ?? entry.hash,
       });
     } else {
       map.set(entry.id, entry);
@@ -291,6 +411,46 @@ const formatTimestamp = (iso) => {
 // Sentinel for multi-select "All"
 const ALL = "__ALL__";
 
+const VIEW_MODES = ["line", "bar"];
+
+// What a shared link falls back to for anything it leaves out (see url-state.js); an empty
+// date range means the dataset's full range
+const VIEW_DEFAULTS = {
+  dataset: DEFAULT_DATASET,
+  metric: "value",
+  viewMode: "line",
+  dateStart: "",
+  dateEnd: "",
+  selectedYear: "all",
+  rollingWindow: DEFAULT_ROLLING_WINDOW,
+  fiscalYearStart: 1,
+  groupBy: "none",
+  groupMetric: "",
+  totalMode: "totals",
+  selectedBranches: [ALL],
+  selectedMetrics: DEFAULT_METRICS,
+  forecastMethod: "none",
+  forecastHorizon: 12,
+  forecastBasis: "total",
+  forecastLevel: 0.8,
+};
+
+// Quiet period before a view change becomes a browser history entry
+const URL_SYNC_DELAY = 400;
+
+// Months shown either side of a validation exception when focusing the chart on it
+const FOCUS_MONTHS = 6;
+
+const downloadCsv = (table, fileName) => {
+  const blob = new Blob([toCsv(table)], { type: "text/csv;charset=utf-8;" });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = fileName;
+  a.click();
+  URL.revokeObjectURL(url);
+};
+
 /* ---------- Dark-mode detector (for tooltip styling) ---------- */
 function usePrefersDark() {
   const [isDark, setIsDark] = React.useState(false);
@@ -308,19 +468,71 @@ function usePrefersDark() {
 }
 
 export default function App() {
-  const [rows, setRows] = useState([]);
+  // Rows exactly as parsed: Year/Period may be fiscal. The worker maps them to calendar months
+  // (see `dataProfile`). `sourceKey` is the key the worker already holds them under, if any.
+  const [sourceRows, setSourceRows] = useState([]);
+  const [rowsOrigin, setRowsOrigin] = useState(null);
+  const [sourceKey, setSourceKey] = useState(null);
+  const [fiscalYearStart, setFiscalYearStart] = useState(1); // 1 = January (calendar year)
   const [error, setError] = useState("");
   const [selectedYear, setSelectedYear] = useState("all");
   const [selectedMetrics, setSelectedMetrics] = useState(DEFAULT_METRICS);
   const [viewMode, setViewMode] = useState("line");
-  const [metric, setMetric] = useState("value"); // "value" | "r12" | "r12Value"
+  const [metric, setMetric] = useState("value"); // key of METRIC_MODES
+  const [rollingWindowSize, setRollingWindowSize] = useState(DEFAULT_ROLLING_WINDOW);
+  // Forecast mode: "none" or a FORECAST_METHODS value, projected `forecastHorizon` months ahead
+  const [forecastMethod, setForecastMethod] = useState("none");
+  const [forecastHorizon, setForecastHorizon] = useState(12);
+  const [forecastBasis, setForecastBasis] = useState("total");
+  const [forecastLevel, setForecastLevel] = useState(0.8);
 
   const [allBranches, setAllBranches] = useState([]);
   const [selectedBranches, setSelectedBranches] = useState([ALL]);
 
   const [dataset, setDataset] = useState(DEFAULT_DATASET);
   const [availableDatasets, setAvailableDatasets] = useState([]);
+  const [uploadedDatasets, setUploadedDatasets] = useState([]); // IndexedDB metadata, newest first
+  const [showUploadManager, setShowUploadManager] = useState(false);
+  // Stored versions of the loaded dataset: { datasetId, hash, list }
+  const [datasetVersions, setDatasetVersions] = useState(null);
+  const [showVersions, setShowVersions] = useState(false);
+  // Dataset load or upload parse in progress: { label, phase, loaded, total, cancel }
+  const [loadProgress, setLoadProgress] = useState(null);
   const [hoveredMetric, setHoveredMetric] = useState(null);
+  const [linkCopied, setLinkCopied] = useState(false);
+  const [savedViews, setSavedViews] = useState(loadSavedViews); // { views, defaultId }
+  const [budget, setBudget] = useState(loadSavedBudget); // { fileName, rows } | null
+  const [anomalyNotes, setAnomalyNotes] = useState(loadAnomalyNotes);
+  const [anomalyThreshold, setAnomalyThreshold] = useState(3.5);
+  const [showSeasonality, setShowSeasonality] = useState(false);
+  const [showRanking, setShowRanking] = useState(false);
+  const [showSavedViews, setShowSavedViews] = useState(false);
+
+  const [branchMaster, setBranchMaster] = useState(() =>
+    normalizeBranchMaster(DEFAULT_BRANCH_MASTER)
+  );
+  const [branchMasterSource, setBranchMasterSource] = useState("default"); // "default" | "file" | "local"
+  // Why branches.json could not be loaded, while the built-in default stands in for it
+  const [branchMasterError, setBranchMasterError] = useState("");
+  const [showBranchEditor, setShowBranchEditor] = useState(false);
+
+  // Upload import: sheet choice for workbooks, then one mapping step per source that needs it
+  const [workbook, setWorkbook] = useState(null); // { fileName, sheets }
+  const [importQueue, setImportQueue] = useState(null); // { pending, done, baseRows, policy, review }
+  const [upload, setUpload] = useState(null); // source in the mapping step: { fileName, headers, records, signature, mapping, saved }
+  const [showMapping, setShowMapping] = useState(false);
+  // Sources behind the current upload, kept so their mappings can be edited and reapplied
+  const [lastImport, setLastImport] = useState(null); // { sources, baseRows, baseName, policy, target }
+  const [uploadMode, setUploadMode] = useState("replace"); // "replace" | "merge"
+  const [mergePolicy, setMergePolicy] = useState("overwrite"); // key of MERGE_POLICIES
+  const [importSummary, setImportSummary] = useState(null);
+
+  // "none" = one series per category; otherwise one series per region/branch for `groupMetric`
+  const [groupBy, setGroupBy] = useState("none");
+  const [groupMetric, setGroupMetric] = useState("");
+  const [regionSubtotals, setRegionSubtotals] = useState(true);
+  const [collapsedRegions, setCollapsedRegions] = useState(() => new Set());
+  const [totalMode, setTotalMode] = useState("totals");
 
   const datasetMap = useMemo(
     () => Object.fromEntries(availableDatasets.map((d) => [d.id, d])),
@@ -330,8 +542,24 @@ export default function App() {
     () => Object.fromEntries(availableDatasets.map((d) => [d.id, d.file])),
     [availableDatasets]
   );
+  // Uploaded datasets share the selector and its size/updated line with the bundled files
+  const uploadedEntries = useMemo(
+    () =>
+      uploadedDatasets.map((d) => ({
+        id: d.id,
+        label: d.name,
+        size: d.size,
+        lastModified: d.uploadedAt,
+        uploaded: true,
+      })),
+    [uploadedDatasets]
+  );
   const datasetConfig =
-    datasetMap[dataset] || datasetMap[DEFAULT_DATASET] || availableDatasets[0] || null;
+    datasetMap[dataset] ||
+    uploadedEntries.find((d) => d.id === dataset) ||
+    datasetMap[DEFAULT_DATASET] ||
+    availableDatasets[0] ||
+    null;
 
   // Date range + hard limits
   const [dateStart, setDateStart] = useState("");
@@ -342,6 +570,14 @@ export default function App() {
   // Track if user explicitly set a date range (so we can preserve it across dataset switches)
   const userRangeRef = useRef({ touched: false, start: null, end: null });
   const savedPrefsRef = useRef();
+  // View from the page URL, which wins over the saved prefs on load
+  const urlViewRef = useRef(null);
+  // The URL follows the view only after the initial view is restored; "replace" rewrites
+  // the current history entry instead of adding one (first sync, back/forward)
+  const urlSyncRef = useRef(false);
+  const historyModeRef = useRef("replace");
+  // Uploaded dataset whose rows are already in state, so selecting it skips the reload
+  const loadedUploadRef = useRef(null);
   const isDark = usePrefersDark();
   const theme = useMemo(
     () =>
@@ -380,6 +616,8 @@ export default function App() {
             tableRowBorder: "#1f2937",
             brushFill: "#0f172a",
             brushStroke: "#334155",
+            positive: "#4ade80",
+            negative: "#f87171",
           }
         : {
             surface: "#ffffff",
@@ -415,12 +653,15 @@ export default function App() {
             tableRowBorder: "#f1f5f9",
             brushFill: "#f8fafc",
             brushStroke: "#cbd5e1",
+            positive: "#16a34a",
+            negative: "#dc2626",
           },
     [isDark]
   );
 
   useEffect(() => {
     if (savedPrefsRef.current !== undefined) return;
+    urlViewRef.current = decodeViewState(window.location.search, VIEW_DEFAULTS);
     try {
       const raw = localStorage.getItem("psdash:v1");
       if (!raw) {
@@ -438,11 +679,32 @@ export default function App() {
 
   useEffect(() => {
     let ignore = false;
+    listUploads()
+      .then((list) => {
+        if (!ignore) setUploadedDatasets(list);
+      })
+      .catch((err) => console.warn("Uploaded datasets unavailable", err));
+    return () => {
+      ignore = true;
+    };
+  }, []);
 
-    const fallbackDatasets = () =>
-      normalizeDatasetRecords(
-        Object.keys(DATASET_OVERRIDES).map((file) => ({ file }))
-      );
+  useEffect(() => {
+    let ignore = false;
+
+    // Without a manifest, list the files named in the sidecar config with their settings
+    const fallbackDatasets = async () => {
+      try {
+        const resp = await fetch("/dataset-config.json", { cache: "no-store" });
+        if (!resp.ok) return [];
+        const config = await resp.json();
+        return normalizeDatasetRecords(
+          Object.entries(config || {}).map(([file, meta]) => ({ ...meta, file }))
+        );
+      } catch {
+        return [];
+      }
+    };
 
     async function loadDatasets() {
       try {
@@ -457,13 +719,13 @@ export default function App() {
           ? json
           : [];
         const normalized = normalizeDatasetRecords(records);
+        const datasets = normalized.length ? normalized : await fallbackDatasets();
         if (ignore) return;
-        if (normalized.length) setAvailableDatasets(normalized);
-        else setAvailableDatasets(fallbackDatasets());
+        setAvailableDatasets(datasets);
       } catch (err) {
         console.error(err);
+        const fallback = await fallbackDatasets();
         if (ignore) return;
-        const fallback = fallbackDatasets();
         if (fallback.length) {
           setAvailableDatasets(fallback);
         } else {
@@ -479,6 +741,95 @@ export default function App() {
     };
   }, []);
 
+  // Branch master: local edits win over public/branches.json, which wins over the built-in default
+  const loadBranchMasterFile = useCallback(async (isIgnored = () => false) => {
+    try {
+      const resp = await fetch("/branches.json", { cache: "no-store" });
+      if (!resp.ok) throw new Error(`Failed to load branch master (${resp.status})`);
+      const json = await resp.json();
+      if (isIgnored()) return;
+      setBranchMaster(normalizeBranchMaster(json));
+      setBranchMasterSource("file");
+      setBranchMasterError("");
+    } catch (err) {
+      console.error(err);
+      if (isIgnored()) return;
+      setBranchMaster(normalizeBranchMaster(DEFAULT_BRANCH_MASTER));
+      setBranchMasterSource("default");
+      setBranchMasterError(err.message || String(err));
+    }
+  }, []);
+
+  useEffect(() => {
+    let ignore = false;
+    try {
+      const raw = localStorage.getItem(BRANCH_MASTER_STORAGE_KEY);
+      if (raw) {
+        setBranchMaster(normalizeBranchMaster(JSON.parse(raw)));
+        setBranchMasterSource("local");
+        setBranchMasterError("");
+        return;
+      }
+    } catch (err) {
+      console.error(err);
+    }
+    loadBranchMasterFile(() => ignore);
+    return () => {
+      ignore = true;
+    };
+  }, [loadBranchMasterFile]);
+
+  const saveBranchMaster = (next) => {
+    const normalized = normalizeBranchMaster(next);
+    setBranchMaster(normalized);
+    setBranchMasterSource("local");
+    setBranchMasterError("");
+    localStorage.setItem(BRANCH_MASTER_STORAGE_KEY, JSON.stringify(normalized));
+    setShowBranchEditor(false);
+  };
+
+  const resetBranchMaster = () => {
+    localStorage.removeItem(BRANCH_MASTER_STORAGE_KEY);
+    loadBranchMasterFile();
+    setShowBranchEditor(false);
+  };
+
+  const branchInfo = useMemo(() => branchLookup(branchMaster), [branchMaster]);
+  const regions = useMemo(() => regionGroups(branchMaster), [branchMaster]);
+
+  // Saved prefs or a linked view -> state; missing or unknown values leave a setting as is
+  const applyView = (view) => {
+    if (VIEW_MODES.includes(view.viewMode)) setViewMode(view.viewMode);
+    if (Array.isArray(view.selectedBranches) && view.selectedBranches.length)
+      setSelectedBranches(view.selectedBranches);
+    if (Array.isArray(view.selectedMetrics) && view.selectedMetrics.length)
+      setSelectedMetrics(view.selectedMetrics);
+    if (view.selectedYear) setSelectedYear(String(view.selectedYear));
+    if (view.dateStart) setDateStart(view.dateStart);
+    if (view.dateEnd) setDateEnd(view.dateEnd);
+    if (METRIC_MODES[view.metric]) setMetric(view.metric);
+    if (ROLLING_WINDOW_OPTIONS.includes(view.rollingWindow))
+      setRollingWindowSize(view.rollingWindow);
+    if (view.fiscalYearStart)
+      setFiscalYearStart(normalizeFiscalStart(view.fiscalYearStart));
+    if (GROUP_BY_OPTIONS.some((o) => o.value === view.groupBy)) setGroupBy(view.groupBy);
+    if (typeof view.groupMetric === "string") setGroupMetric(view.groupMetric);
+    if (TOTAL_MODE_OPTIONS.some((o) => o.value === view.totalMode)) setTotalMode(view.totalMode);
+    if (view.forecastMethod === "none" || FORECAST_METHODS.some((o) => o.value === view.forecastMethod))
+      setForecastMethod(view.forecastMethod);
+    if (FORECAST_HORIZON_OPTIONS.includes(view.forecastHorizon)) setForecastHorizon(view.forecastHorizon);
+    if (FORECAST_BASIS_OPTIONS.some((o) => o.value === view.forecastBasis)) setForecastBasis(view.forecastBasis);
+    if (FORECAST_LEVELS[view.forecastLevel]) setForecastLevel(view.forecastLevel);
+  };
+
+  // A linked range survives the dataset load like one picked by hand; no range means all months
+  const keepLinkedRange = (view) => {
+    userRangeRef.current =
+      view.dateStart || view.dateEnd
+        ? { touched: true, start: view.dateStart || null, end: view.dateEnd || null }
+        : { touched: false, start: null, end: null };
+  };
+
   useEffect(() => {
     if (!availableDatasets.length) return;
 
@@ -490,19 +841,26 @@ export default function App() {
     const saved = savedPrefsRef.current;
     if (saved !== undefined) {
       const prefs = saved && typeof saved === "object" ? saved : {};
-      if (prefs.viewMode) setViewMode(prefs.viewMode);
-      if (Array.isArray(prefs.selectedBranches) && prefs.selectedBranches.length)
-        setSelectedBranches(prefs.selectedBranches);
-      if (prefs.dateStart) setDateStart(prefs.dateStart);
-      if (prefs.dateEnd) setDateEnd(prefs.dateEnd);
-      if (prefs.metric) setMetric(prefs.metric);
-
-      if (prefs.dataset && availableIds.has(prefs.dataset)) {
-        setDataset(prefs.dataset);
+      // Upload settings always come from this browser. The view comes from a link, else the
+      // default saved view, else wherever the last session left off.
+      const defaultView = savedViews.views.find((v) => v.id === savedViews.defaultId);
+      const linked = urlViewRef.current || (defaultView ? { ...VIEW_DEFAULTS, ...defaultView.view } : null);
+      const view = linked || prefs;
+      if (prefs.uploadMode === "replace" || prefs.uploadMode === "merge") setUploadMode(prefs.uploadMode);
+      if (MERGE_POLICIES[prefs.mergePolicy]) setMergePolicy(prefs.mergePolicy);
+      if (ANOMALY_THRESHOLDS.some((t) => t.value === prefs.anomalyThreshold)) {
+        setAnomalyThreshold(prefs.anomalyThreshold);
+      }
+      applyView(view);
+      if (linked) keepLinkedRange(view);
+
+      if (view.dataset && (availableIds.has(view.dataset) || isUploadedDataset(view.dataset))) {
+        setDataset(view.dataset);
       } else if (fallbackId && dataset !== fallbackId) {
         setDataset(fallbackId);
       }
 
+      urlSyncRef.current = true;
       savedPrefsRef.current = undefined;
       return;
     }
@@ -527,18 +885,25 @@ export default function App() {
     userRangeRef.current = { touched: true, start: sk ? dateStart : clamped, end: clamped };
   };
 
+  // Year picks are fiscal years (calendar years when the fiscal year starts in January)
   const onYearPick = (val) => {
     setSelectedYear(val);
     if (val === "all" || !minMonthStr || !maxMonthStr) return;
     const y = Number(val);
     if (!Number.isFinite(y)) return;
-    const wantStart = clampYM(`${y}-01`, minMonthStr, maxMonthStr);
-    const wantEnd   = clampYM(`${y}-12`, minMonthStr, maxMonthStr);
+    const range = fiscalYearRange(y, fiscalYearStart);
+    const wantStart = clampYM(range.start, minMonthStr, maxMonthStr);
+    const wantEnd   = clampYM(range.end, minMonthStr, maxMonthStr);
     setDateStart(wantStart);
     setDateEnd(wantEnd);
     userRangeRef.current = { touched: true, start: wantStart, end: wantEnd };
   };
 
+  const onFiscalStartChange = (val) => {
+    setFiscalYearStart(normalizeFiscalStart(val));
+    setSelectedYear("all");
+  };
+
   const onBranchesChange = (e) => {
     const vals = Array.from(e.target.selectedOptions).map((o) => o.value);
     if (vals.includes(ALL) || vals.length === 0) setSelectedBranches([ALL]);
@@ -564,92 +929,319 @@ export default function App() {
   };
   const setPresetYTD = () => {
     if (!maxMonthStr) return;
-    const [maxY] = maxMonthStr.split("-").map(Number);
-    const start = clampYM(`${maxY}-01`, minMonthStr, maxMonthStr);
+    const [maxY, maxM] = maxMonthStr.split("-").map(Number);
+    const { fiscalYear } = calendarToFiscal(maxY, maxM, fiscalYearStart);
+    const start = clampYM(fiscalYearRange(fiscalYear, fiscalYearStart).start, minMonthStr, maxMonthStr);
     setDateStart(start);
     setDateEnd(maxMonthStr);
-    setSelectedYear(String(maxY));
+    setSelectedYear(String(fiscalYear));
     userRangeRef.current = { touched: true, start, end: maxMonthStr };
   };
 
-  const normalizeParsedRows = (data, metaFields) => {
-    const records = Array.isArray(data) ? data : [];
-    const headers = (metaFields && metaFields.length ? metaFields : Object.keys(records[0] || {}))
-      .map((h) => (typeof h === "string" ? h.trim() : h))
-      .filter(Boolean);
-
-    if (!headers.length) throw new Error("No headers found in CSV.");
-
-    const yearCol = headers.find((h) => /^(year|yr|fy|fiscal year)$/i.test(h));
-    const periodCol = headers.find((h) => /^(period|per|month)$/i.test(h));
-    const branchCol = headers.find((h) => /^(branch name|branch|store|location)$/i.test(h));
-    if (!yearCol || !periodCol) throw new Error("Missing Year or Period/Month columns.");
-
-    const idSet = new Set([yearCol, periodCol, branchCol].filter(Boolean));
-    const catCols = headers
-      .filter((h) => h && !idSet.has(h))
-      .filter((h) => !DIMENSION_COLUMN_NAMES.has(String(h).trim().toLowerCase()));
-
-    const parsed = [];
-    for (const row of records) {
-      const Y = Number(row[yearCol]);
-      const M = toMonthIndex(row[periodCol]) || Number(row[periodCol]);
-      if (!Y || !M) continue;
-      const B = branchCol ? row[branchCol] : undefined;
-      for (const col of catCols) {
-        const raw = row[col];
-        const value = Number(String(raw ?? "").replace(/,/g, ""));
-        if (Number.isNaN(value)) continue;
-        parsed.push({
-          Year: Y,
-          Month: M,
-          Category: String(col).trim(),
-          Value: value,
-          Branch: B ? String(B).trim() : undefined,
-        });
+  // Attach the saved mapping for a source's column signature, or a fresh guess
+  const prepareSource = (fileName, headers, records) => {
+    const signature = fileSignature(headers);
+    const savedMapping = loadSavedMappings()[signature];
+    const saved = Boolean(savedMapping) && mappingErrors(savedMapping, headers).length === 0;
+    return {
+      fileName,
+      headers,
+      records,
+      signature,
+      mapping: saved
+        ? savedMapping
+        : guessMapping(headers, { knownMetrics: KNOWN_METRICS, records }),
+      saved,
+    };
+  };
+
+  // Sources with a saved mapping load straight away; the first one without opens the
+  // mapping step and the queue resumes once it is confirmed. `review` opens every source.
+  const runImport = (queue) => {
+    let { pending, done } = queue;
+    while (pending.length) {
+      const [source, ...rest] = pending;
+      if (source.saved && !queue.review) {
+        try {
+          const parsed = normalizeParsedRows(source.records, source.headers, { mapping: source.mapping });
+          done = [...done, { ...source, rows: parsed }];
+          pending = rest;
+          continue;
+        } catch {
+          // Fall through to the mapping step
+        }
+      }
+      setImportQueue({ ...queue, pending: rest, done });
+      setUpload(source);
+      setShowMapping(true);
+      return;
+    }
+    setImportQueue(null);
+    setUpload(null);
+    setShowMapping(false);
+    finishImport(queue, done);
+  };
+
+  // Fold each source into the base rows with the conflict policy. A single file
+  // replacing the data is taken as-is so its own duplicates still show in validation.
+  // The result is saved as an uploaded dataset (or replaces the one being re-mapped).
+  const finishImport = ({ baseRows, baseName, policy, target }, sources) => {
+    let rows = baseRows.length ? baseRows : null;
+    const results = [];
+    for (const source of sources) {
+      if (rows === null) {
+        rows = source.rows;
+        results.push({ fileName: source.fileName, summary: null });
+        continue;
       }
+      const merged = mergeRows(rows, source.rows, { policy });
+      rows = merged.rows;
+      results.push({ fileName: source.fileName, summary: merged.summary });
+    }
+    const fileNames = sources.map((source) => source.fileName).join(", ");
+    const id = target?.id || newUploadId();
+    const name = target?.name || (baseRows.length ? `${baseName} + ${fileNames}` : fileNames);
+    setLastImport({
+      sources: sources.map(({ fileName, headers, records, signature, mapping, saved }) => ({
+        fileName, headers, records, signature, mapping, saved,
+      })),
+      baseRows,
+      baseName,
+      policy,
+      target: { id, name },
+    });
+    setImportSummary(
+      results.some((r) => r.summary)
+        ? { merged: baseRows.length > 0, policy, results, rowCount: rows.length }
+        : null
+    );
+    hydrateFromParsed(rows, id);
+    persistUpload(id, name, rows);
+  };
+
+  // Saved uploads become selectable datasets; without IndexedDB the rows stay loaded
+  // for this session only
+  const persistUpload = (id, name, rows) => {
+    const csv = toCsv(rowsToWideTable(rows));
+    const size = new Blob([csv]).size;
+    saveUpload({ id, name, size, rows })
+      .then(async (meta) => {
+        setUploadedDatasets((prev) => [meta, ...prev.filter((d) => d.id !== id)]);
+        loadedUploadRef.current = id;
+        setDataset(id);
+        trackVersion(id, await contentHash(csv), size, rows);
+      })
+      .catch((err) => console.warn("Failed to save uploaded dataset", err));
+  };
+
+  // Every distinct content hash of a dataset is kept as a snapshot for "Compare versions"
+  const trackVersion = (datasetId, hash, size, rows) => {
+    setDatasetVersions({ datasetId, hash, list: [] });
+    recordSnapshot({ datasetId, hash, size, rows })
+      .then((list) =>
+        setDatasetVersions((prev) => (prev?.datasetId === datasetId ? { datasetId, hash, list } : prev))
+      )
+      .catch((err) => console.warn("Failed to store dataset version", err));
+  };
+
+  // Reopened uploads are already stored; their newest snapshot is the current version
+  const showStoredVersions = (datasetId) => {
+    listSnapshots(datasetId)
+      .then((list) => setDatasetVersions({ datasetId, hash: list[0]?.hash || null, list }))
+      .catch((err) => console.warn("Dataset versions unavailable", err));
+  };
+
+  const versions =
+    datasetVersions && datasetVersions.datasetId === rowsOrigin ? datasetVersions.list : [];
+
+  const exportVersionChanges = (changes) => {
+    downloadCsv(diffToTable(changes), `${rowsOrigin}_changes.csv`.replace(/[\\/:*?"<>|]+/g, "_"));
+  };
+
+  const renameUploadedDataset = (id, name) => {
+    renameUpload(id, name)
+      .then(() =>
+        setUploadedDatasets((prev) => prev.map((d) => (d.id === id ? { ...d, name } : d)))
+      )
+      .catch((err) => setError(err.message || String(err)));
+  };
+
+  const deleteUploadedDataset = (id) => {
+    deleteUpload(id)
+      .then(() => {
+        setUploadedDatasets((prev) => prev.filter((d) => d.id !== id));
+        if (dataset === id) setDataset(DEFAULT_DATASET);
+      })
+      .catch((err) => setError(err.message || String(err)));
+  };
+
+  // Re-download in the wide layout of the bundled files
+  const downloadUploadedDataset = async (meta) => {
+    try {
+      const rows = meta.id === rowsOrigin ? sourceRows : await loadUploadRows(meta.id);
+      if (!rows) throw new Error(`Dataset "${meta.name}" is no longer stored.`);
+      const base = meta.name.replace(/\.(csv|xlsx|xlsm|xls)$/i, "").replace(/[\\/:*?"<>|]+/g, "_");
+      downloadCsv(rowsToWideTable(rows), `${base || "dataset"}.csv`);
+    } catch (err) {
+      setError(err.message || String(err));
     }
+  };
 
-    if (!parsed.length) throw new Error("No valid rows found in CSV.");
-    return parsed;
+  const startImport = (sources, options = {}) => {
+    setError("");
+    runImport({
+      pending: sources,
+      done: [],
+      baseRows: uploadMode === "merge" ? sourceRows : [],
+      baseName: datasetConfig?.label || dataset,
+      policy: mergePolicy,
+      ...options,
+    });
   };
 
-  const handleFile = (e) => {
+  const reviewImport = () =>
+    startImport(lastImport.sources, {
+      review: true,
+      baseRows: lastImport.baseRows,
+      baseName: lastImport.baseName,
+      policy: lastImport.policy,
+      target: lastImport.target,
+    });
+
+  // Every uploaded file becomes one or more { name, headers, records } sources:
+  // one per CSV, one per sheet of a workbook
+  const readUploadFile = (file, { signal, onProgress } = {}) => {
+    if (WORKBOOK_FILE_PATTERN.test(file.name)) {
+      return file
+        .arrayBuffer()
+        .then(readWorkbook)
+        .then((sheets) => {
+          if (!sheets.some((s) => s.records.length)) {
+            throw new Error(`No sheets with data found in ${file.name}.`);
+          }
+          return sheets.map((s) => ({
+            ...s,
+            name: sheets.length === 1 ? file.name : `${file.name} · ${s.name}`,
+          }));
+        });
+    }
+    return runAnalytics("parseFile", { file }, { signal, onProgress }).then(({ headers, records }) => [
+      { name: file.name, headers, records },
+    ]);
+  };
+
+  // Workbooks with several sheets go through the picker; everything else imports directly
+  const handleFile = async (e) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = "";
+    if (!files.length) return;
+    const controller = new AbortController();
+    const label = files.length === 1 ? files[0].name : `${files.length} files`;
+    const loaded = new Map();
+    const total = files.reduce((sum, f) => sum + f.size, 0);
+    const trackProgress = (file) => (progress) => {
+      loaded.set(file, progress.loaded);
+      const done = [...loaded.values()].reduce((sum, n) => sum + n, 0);
+      setLoadProgress({ label, phase: "parse", loaded: done, total, cancel: () => controller.abort() });
+    };
+    try {
+      setLoadProgress({ label, phase: "parse", loaded: 0, total, cancel: () => controller.abort() });
+      const perFile = await Promise.all(
+        files.map((f) => readUploadFile(f, { signal: controller.signal, onProgress: trackProgress(f) }))
+      );
+      setLoadProgress(null);
+      const candidates = perFile.flat();
+      if (perFile.some((list) => list.length > 1)) {
+        setError("");
+        setWorkbook({ fileName: files.map((f) => f.name).join(", "), sheets: candidates });
+      } else {
+        startImport(candidates.map((c) => prepareSource(c.name, c.headers, c.records)));
+      }
+    } catch (err) {
+      // One bad file stops the others still parsing
+      controller.abort();
+      setLoadProgress(null);
+      if (!isAbortError(err)) setError(err.message || String(err));
+    }
+  };
+
+  // Budget targets are kept apart from the datasets and stay loaded across them
+  const handleBudgetFile = async (e) => {
     const file = e.target.files?.[0];
+    e.target.value = "";
     if (!file) return;
-    Papa.parse(file, {
-      header: true,
-      skipEmptyLines: true,
-      dynamicTyping: true,
-      complete: (res) => {
-        try {
-          const parsed = normalizeParsedRows(res.data, res.meta.fields);
-          hydrateFromParsed(parsed);
-        } catch (err) {
-          setError(err.message || String(err));
-          setRows([]);
-        }
-      },
-      error: (err) => setError(err.message || String(err)),
+    try {
+      const { headers, records } = await runAnalytics("parseFile", { file });
+      const next = { fileName: file.name, rows: parseBudgetRecords(records, headers, { knownMetrics: KNOWN_METRICS }) };
+      setError("");
+      setBudget(next);
+      try {
+        localStorage.setItem(BUDGET_STORAGE_KEY, JSON.stringify(next));
+      } catch (err) {
+        // Too large to keep; the budget still applies until the page is reloaded
+        console.error(err);
+      }
+    } catch (err) {
+      setError(err.message || String(err));
+    }
+  };
+
+  const removeBudget = () => {
+    setBudget(null);
+    localStorage.removeItem(BUDGET_STORAGE_KEY);
+  };
+
+  const updateAnomalyNote = (id, patch) => {
+    setAnomalyNotes((prev) => {
+      const entry = { ...prev[id], ...patch };
+      const next = { ...prev };
+      if (entry.dismissed || entry.note) next[id] = entry;
+      else delete next[id];
+      localStorage.setItem(ANOMALY_STORAGE_KEY, JSON.stringify(next));
+      return next;
     });
   };
 
-  const parseTextDataset = (text) =>
-    new Promise((resolve, reject) => {
-      Papa.parse(text, {
-        header: true,
-        dynamicTyping: true,
-        skipEmptyLines: true,
-        complete: (res) => {
-          try {
-            resolve(normalizeParsedRows(res.data, res.meta.fields));
-          } catch (e) {
-            reject(e);
-          }
-        },
-        error: reject,
-      });
+  const focusAnomaly = (a) => {
+    const center = strFromYM(a.Year, a.Month);
+    const start = clampYM(addMonths(center, -FOCUS_MONTHS), minMonthStr, maxMonthStr);
+    const end = clampYM(addMonths(center, FOCUS_MONTHS), minMonthStr, maxMonthStr);
+    setDateStart(start);
+    setDateEnd(end);
+    setSelectedYear("all");
+    userRangeRef.current = { touched: true, start, end };
+  };
+
+  const importSheets = (sheets) => {
+    setWorkbook(null);
+    startImport(sheets.map((s) => prepareSource(s.name, s.headers, s.records)));
+  };
+
+  const confirmMapping = (mapping, { remember }) => {
+    if (!upload || !importQueue) return;
+    let parsed;
+    try {
+      parsed = normalizeParsedRows(upload.records, upload.headers, { mapping });
+    } catch (err) {
+      setError(err.message || String(err));
+      return;
+    }
+    const saved = loadSavedMappings();
+    if (remember) saved[upload.signature] = mapping;
+    else delete saved[upload.signature];
+    localStorage.setItem(COLUMN_MAPPING_STORAGE_KEY, JSON.stringify(saved));
+    setError("");
+    runImport({
+      ...importQueue,
+      done: [...importQueue.done, { ...upload, mapping, saved: remember, rows: parsed }],
     });
+  };
+
+  const cancelImport = () => {
+    setImportQueue(null);
+    setUpload(null);
+    setShowMapping(false);
+  };
 
   // Default categories prefer dataset-configured total for a quick summary
   const pickDefaultMetrics = useCallback(
@@ -666,16 +1258,53 @@ export default function App() {
     [datasetConfig]
   );
 
-  // Apply parsed data to state (preserve user range if they've touched it)
-  const hydrateFromParsed = (parsed) => {
-    setRows(parsed);
+  // `origin` is the dataset id the rows came from, or "upload" for a local file; `key` is
+  // the worker's key for rows it loaded itself
+  const hydrateFromParsed = (parsed, origin, key = null) => {
+    setSourceRows(parsed);
+    setRowsOrigin(origin);
+    setSourceKey(key);
+    setError("");
+  };
 
-    const minKey = Math.min(...parsed.map((r) => ymToKey(r.Year, r.Month)));
-    const maxKey = Math.max(...parsed.map((r) => ymToKey(r.Year, r.Month)));
-    const minY = Math.floor(minKey / 100), minM = minKey % 100;
-    const maxY = Math.floor(maxKey / 100), maxM = maxKey % 100;
-    const minStr = strFromYM(minY, minM);
-    const maxStr = strFromYM(maxY, maxM);
+  // The worker reads the period columns as fiscal periods once a fiscal start is set, indexes
+  // the rows into the cube the other jobs query, and returns only what the page lists:
+  // bounds, categories, branches and years. Every job result records the profile it was
+  // computed from, and those jobs only run once this one has landed.
+  const [dataProfile, setDataProfile] = useState(EMPTY_PROFILE);
+  // Page rows the worker holds as its active dataset, so a fiscal start change doesn't resend them
+  const sentRowsRef = useRef(null);
+  useEffect(() => {
+    if (!rowsOrigin) return;
+    const controller = new AbortController();
+    const reuse = !sourceKey && sentRowsRef.current === sourceRows;
+    if (!reuse) sentRowsRef.current = null;
+    runAnalytics(
+      "setRows",
+      {
+        key: sourceKey ?? PAGE_ROWS_KEY,
+        rows: sourceKey || reuse ? undefined : sourceRows,
+        fiscalYearStart,
+      },
+      { signal: controller.signal }
+    )
+      .then((profile) => {
+        if (!sourceKey) sentRowsRef.current = sourceRows;
+        setDataProfile(profile);
+      })
+      .catch((e) => {
+        if (isAbortError(e)) return;
+        console.error(e);
+        setDataProfile(EMPTY_PROFILE);
+        setError(`Could not prepare the data: ${e.message || e}`);
+      });
+    return () => controller.abort();
+  }, [sourceRows, sourceKey, rowsOrigin, fiscalYearStart]);
+
+  // Apply loaded data to state (preserve user range if they've touched it)
+  useEffect(() => {
+    if (!dataProfile.rowCount) return;
+    const { minStr, maxStr } = dataProfile.bounds;
     setMinMonthStr(minStr);
     setMaxMonthStr(maxStr);
 
@@ -695,14 +1324,14 @@ export default function App() {
       setDateEnd(maxStr);
     }
 
-    const metrics = [...new Set(parsed.map((r) => r.Category))];
+    const metrics = dataProfile.metrics;
     setSelectedMetrics((prev) => {
       const preserved = prev.filter((c) => metrics.includes(c));
       if (preserved.length) return preserved;
       return pickDefaultMetrics(metrics);
     });
 
-    const branches = [...new Set(parsed.map((r) => r.Branch).filter(Boolean))].sort();
+    const branches = dataProfile.branches;
     setAllBranches(branches);
     setSelectedBranches((prev) => {
       if (!Array.isArray(prev) || prev.length === 0) return [ALL];
@@ -710,174 +1339,152 @@ export default function App() {
       const valid = prev.filter((b) => branches.includes(b));
       return valid.length ? valid : [ALL];
     });
-    setError("");
-  };
-
-  const years = useMemo(
-    () => [...new Set(rows.map((r) => r.Year))].sort((a, b) => a - b),
-    [rows]
-  );
-
-  const allMetrics = useMemo(() => {
-    const seen = new Set();
-    const ordered = [];
-    for (const row of rows) {
-      const name = row?.Category;
-      if (!name) continue;
-      const normalized = String(name).trim().toLowerCase();
-      if (DIMENSION_COLUMN_NAMES.has(normalized)) continue;
-      if (seen.has(name)) continue;
-      seen.add(name);
-      ordered.push(name);
-    }
-    return ordered;
-  }, [rows]);
-
-  // Build chart data (Value metric): sum across branches (All or selected subset) and date range
-  const chartData = useMemo(() => {
-    if (!rows.length) return [];
-    const startKey = keyFromStr(dateStart);
-    const endKey = keyFromStr(dateEnd);
-    const hasRange = startKey && endKey && startKey <= endKey;
-
-    const includeAll = selectedBranches.includes(ALL);
-    const matchBranch = (r) => {
-      if (includeAll) return true;
-      if (!r.Branch) return false;
-      return selectedBranches.includes(r.Branch);
-    };
-
-    const key = (y, m) => `${y}-${String(m).padStart(2, "0")}`;
-    const map = new Map();
-
-    for (const r of rows) {
-      if (!matchBranch(r)) continue;
-      const k = ymToKey(r.Year, r.Month);
-      if (hasRange && (k < startKey || k > endKey)) continue;
-
-      const compound = key(r.Year, r.Month);
-      if (!map.has(compound)) {
-        map.set(compound, { month: `${monthNames[r.Month - 1]} ${r.Year}`, Year: r.Year, Month: r.Month });
-      }
-      const obj = map.get(compound);
-      if (selectedMetrics.includes(r.Category)) {
-        obj[r.Category] = (obj[r.Category] || 0) + r.Value;
-      }
-    }
-    return Array.from(map.values()).sort((a, b) => a.Year - b.Year || a.Month - b.Month);
-  }, [rows, selectedMetrics, selectedBranches, dateStart, dateEnd]);
-
-  // Monthly aggregation across ALL months (for R12 computation), filtered by selected branches only
-  const monthlyAggAllMonths = useMemo(() => {
-    if (!rows.length) return [];
-    const includeAll = selectedBranches.includes(ALL);
-    const matchBranch = (r) => {
-      if (includeAll) return true;
-      if (!r.Branch) return false;
-      return selectedBranches.includes(r.Branch);
-    };
-
-    const map = new Map(); // "YYYY-MM" -> {Year,Month,month, cat sums...}
-    const key = (y, m) => `${y}-${String(m).padStart(2, "0")}`;
-
-    for (const r of rows) {
-      if (!matchBranch(r)) continue;
-      const k = key(r.Year, r.Month);
-      if (!map.has(k)) {
-        map.set(k, { Year: r.Year, Month: r.Month, month: `${monthNames[r.Month - 1]} ${r.Year}` });
-      }
-      const obj = map.get(k);
-      obj[r.Category] = (obj[r.Category] || 0) + (Number(r.Value) || 0);
-    }
-
-    return Array.from(map.values()).sort((a, b) => a.Year - b.Year || a.Month - b.Month);
-  }, [rows, selectedBranches]);
+  }, [dataProfile]);
 
-  // Compute R12 growth % for selected categories
-  const r12Data = useMemo(() => {
-    if (!monthlyAggAllMonths.length || !selectedMetrics.length) return [];
+  const years = dataProfile.years;
 
-    const data = [];
-    const A = monthlyAggAllMonths;
-
-    for (let i = 0; i < A.length; i++) {
-      // Need at least 24 months history to form first YoY-R12 growth
-      if (i < 23) {
-        data.push({ Year: A[i].Year, Month: A[i].Month, month: A[i].month });
-        continue;
-      }
-      const row = { Year: A[i].Year, Month: A[i].Month, month: A[i].month };
+  const allMetrics = dataProfile.metrics;
 
-      for (const cat of selectedMetrics) {
-        let curr12 = 0, prev12 = 0;
-        for (let j = i - 11; j <= i; j++) curr12 += Number(A[j][cat] || 0);
-        for (let j = i - 23; j <= i - 12; j++) prev12 += Number(A[j][cat] || 0);
-        row[cat] = prev12 !== 0 ? (curr12 - prev12) / prev12 : null;
-      }
-      data.push(row);
-    }
+  const unassigned = useMemo(
+    () => unassignedBranches(allBranches, branchMaster),
+    [allBranches, branchMaster]
+  );
 
-    // Display clipped to current date window (math uses all months)
-    const startKey = keyFromStr(dateStart);
-    const endKey = keyFromStr(dateEnd);
-    if (startKey && endKey && startKey <= endKey) {
-      return data.filter((d) => {
-        const k = ymToKey(d.Year, d.Month);
-        return k >= startKey && k <= endKey;
-      });
-    }
-    return data;
-  }, [monthlyAggAllMonths, selectedMetrics, dateStart, dateEnd]);
+  // null = every branch; the analytics helpers treat it as "no branch filter"
+  const branchFilter = useMemo(
+    () => (selectedBranches.includes(ALL) ? null : selectedBranches),
+    [selectedBranches]
+  );
 
-  // Compute Rolling 12 Value for selected categories
-  const r12ValueData = useMemo(() => {
-    if (!monthlyAggAllMonths.length || !selectedMetrics.length) return [];
+  const regionOf = useCallback(
+    (code) => branchInfo.get(code)?.region || UNASSIGNED_REGION,
+    [branchInfo]
+  );
 
-    const data = [];
-    const A = monthlyAggAllMonths;
+  const activeGroupMetric =
+    groupMetric && allMetrics.includes(groupMetric)
+      ? groupMetric
+      : selectedMetrics[0] || allMetrics[0] || "";
+
+  // Series keys for grouped views: selected (or all) branches, or the regions they roll up to
+  const groupKeys = useMemo(() => {
+    if (groupBy === "none") return [];
+    const codes = branchFilter ?? allBranches;
+    if (groupBy === "branch") return codes;
+    const present = new Set(codes.map(regionOf));
+    const ordered = regions.map((r) => r.name).filter((name) => present.has(name));
+    if (present.has(UNASSIGNED_REGION)) ordered.push(UNASSIGNED_REGION);
+    return ordered;
+  }, [groupBy, branchFilter, allBranches, regionOf, regions]);
 
-    for (let i = 0; i < A.length; i++) {
-      const row = { Year: A[i].Year, Month: A[i].Month, month: A[i].month };
+  // What the chart, cards and export iterate over: categories, or groups of one category
+  const seriesKeys = groupBy === "none" ? selectedMetrics : groupKeys;
 
-      for (const cat of selectedMetrics) {
-        if (i < 11) {
-          row[cat] = null;
-          continue;
-        }
-        let sum = 0;
-        for (let j = i - 11; j <= i; j++) {
-          sum += Number(A[j][cat] || 0);
-        }
-        row[cat] = sum;
-      }
-      data.push(row);
-    }
+  // Region (or Unassigned) of every branch in the data, for region-grouped aggregation off-thread
+  const regionByBranch = useMemo(
+    () => Object.fromEntries(allBranches.map((code) => [code, regionOf(code)])),
+    [allBranches, regionOf]
+  );
 
-    const startKey = keyFromStr(dateStart);
-    const endKey = keyFromStr(dateEnd);
-    if (startKey && endKey && startKey <= endKey) {
-      return data.filter((d) => {
-        const k = ymToKey(d.Year, d.Month);
-        return k >= startKey && k <= endKey;
-      });
+  // Worker results, replaced as a set: the chart window (Value metric), every month for the
+  // rolling and comparison modes, and the branch table. Stale sets stay up until the next lands;
+  // `profile` records which data a set was computed from.
+  const [aggregates, setAggregates] = useState(EMPTY_AGGREGATES);
+  const aggregatesReady = aggregates.profile === dataProfile;
+  const chartData = aggregates.chart;
+  const monthlyAggAllMonths = aggregates.allMonths;
+  // Branch-level totals (Value metric only)
+  const branchSummary = aggregates.summary;
+  const rangeSummaries = aggregates.rangeSummaries;
+
+  // Rolling-window modes (growth / sum / trailing average) for selected categories
+  const rollingStat = METRIC_MODES[metric]?.rolling || null;
+  const rollingData = useMemo(() => {
+    if (!rollingStat) return null;
+    if (!monthlyAggAllMonths.length || !seriesKeys.length) return [];
+    const data = rollingWindow(monthlyAggAllMonths, seriesKeys, {
+      window: rollingWindowSize,
+      stat: rollingStat,
+    });
+    return clipToRange(data, dateStart, dateEnd);
+  }, [rollingStat, rollingWindowSize, monthlyAggAllMonths, seriesKeys, dateStart, dateEnd]);
+
+  // Period-over-period comparisons (same clipping as R12: math on all months, display in window)
+  const comparisonData = useMemo(() => {
+    if (!COMPARISON_MODES.has(metric)) return null;
+    if (!monthlyAggAllMonths.length || !seriesKeys.length) return [];
+    let data;
+    if (metric === "yoy") data = yearOverYear(monthlyAggAllMonths, seriesKeys);
+    else if (metric === "yoyDelta")
+      data = yearOverYear(monthlyAggAllMonths, seriesKeys, { asPct: false });
+    else if (metric === "mom") data = monthOverMonth(monthlyAggAllMonths, seriesKeys);
+    else data = priorYearOverlay(monthlyAggAllMonths, seriesKeys);
+    return clipToRange(data, dateStart, dateEnd);
+  }, [metric, monthlyAggAllMonths, seriesKeys, dateStart, dateEnd]);
+
+  const chartSource = rollingData ?? comparisonData ?? chartData;
+
+  // Budget targets on calendar months, like the actuals. Budget files are small, so they are
+  // aggregated here from rows rather than through the worker's cube.
+  const budgetRows = useMemo(
+    () => (budget ? toCalendarRows(budget.rows, fiscalYearStart) : []),
+    [budget, fiscalYearStart]
+  );
+  const budgetBounds = useMemo(() => datasetBounds(budgetRows), [budgetRows]);
+  const budgetMonthly = useMemo(() => {
+    if (!budgetRows.length || !seriesKeys.length) return [];
+    if (groupBy === "none") {
+      return aggregateMonthly(budgetRows, { branches: branchFilter, metrics: selectedMetrics, fiscalYearStart });
     }
-    return data;
-  }, [monthlyAggAllMonths, selectedMetrics, dateStart, dateEnd]);
+    const groupOf = groupBy === "branch" ? (code) => code || null : (code) => (code ? regionOf(code) : null);
+    return aggregateMonthlyByGroup(budgetRows, {
+      metric: activeGroupMetric,
+      groupOf,
+      branches: branchFilter,
+      fiscalYearStart,
+    });
+  }, [budgetRows, seriesKeys, groupBy, branchFilter, selectedMetrics, activeGroupMetric, regionOf, fiscalYearStart]);
+  const showBudget =
+    metric === "value" && budgetMonthly.some((p) => seriesKeys.some((key) => typeof p[key] === "number"));
+  // Variances cover the months both the window and the budget span; YTD runs from the start
+  // of the fiscal year holding the window's last month
+  const budgetWindow = useMemo(
+    () => budgetRange(budgetBounds, dateStart, dateEnd),
+    [budgetBounds, dateStart, dateEnd]
+  );
+  const ytdWindow = useMemo(() => {
+    const ytd = fiscalYearToDate(dateEnd, fiscalYearStart);
+    return ytd && budgetRange(budgetBounds, ytd.start, ytd.end) ? ytd : null;
+  }, [budgetBounds, dateEnd, fiscalYearStart]);
+
+  // Forecasts project the Value series past the last month of data; `profile` records which
+  // data a set of points was computed from
+  const forecastActive = forecastMethod !== "none" && metric === "value";
+  const [forecast, setForecast] = useState(EMPTY_FORECAST);
+  const forecastPoints = forecastActive && forecast.profile === dataProfile ? forecast.points : [];
+  // Shown only while the window runs to the end of the data, so the projection joins the line
+  const showForecast = forecastPoints.length > 0 && (!dateEnd || dateEnd >= maxMonthStr);
+  const budgetedData = showBudget ? withBudget(chartSource, budgetMonthly, seriesKeys) : chartSource;
+  const displayData = showForecast ? withForecast(budgetedData, forecastPoints, seriesKeys) : budgetedData;
+  const isPercentMetric = Boolean(METRIC_MODES[metric]?.percent);
+  const fmtMetric = (v) => (isPercentMetric ? fmtPct(v) : fmtValue(v, datasetConfig));
 
   // Auto-zoom to available R12-style data if user hasn't chosen a range
   useEffect(() => {
     if (metric === "value") return;
-    const source = metric === "r12" ? r12Data : r12ValueData;
+    // Wait for results from the current rows; stale ones would fit the previous dataset
+    if (!aggregatesReady) return;
+    const source = chartSource;
     if (!source.length) return;
     if (userRangeRef.current.touched) return;
 
     let firstIdx = -1, lastIdx = -1;
     for (let i = 0; i < source.length; i++) {
-      const hasAny = selectedMetrics.some(c => typeof source[i][c] === "number" && isFinite(source[i][c]));
+      const hasAny = seriesKeys.some(c => typeof source[i][c] === "number" && isFinite(source[i][c]));
       if (hasAny) { firstIdx = i; break; }
     }
     for (let i = source.length - 1; i >= 0; i--) {
-      const hasAny = selectedMetrics.some(c => typeof source[i][c] === "number" && isFinite(source[i][c]));
+      const hasAny = seriesKeys.some(c => typeof source[i][c] === "number" && isFinite(source[i][c]));
       if (hasAny) { lastIdx = i; break; }
     }
     if (firstIdx === -1 || lastIdx === -1) return;
@@ -891,67 +1498,220 @@ export default function App() {
     setDateStart(start);
     setDateEnd(end);
     // Don't mark touched – keep auto-fitting until user interacts.
-  }, [metric, r12Data, r12ValueData, selectedMetrics, minMonthStr, maxMonthStr]);
+  }, [metric, chartSource, seriesKeys, minMonthStr, maxMonthStr, aggregatesReady]);
 
-  const summaryStats = useMemo(() => {
-    const stats = {};
-    const source =
-      metric === "r12" ? r12Data : metric === "r12Value" ? r12ValueData : chartData;
-    for (const cat of selectedMetrics) {
-      const vals = source.map((d) => d[cat]).filter((v) => typeof v === "number" && isFinite(v));
-      if (!vals.length) continue;
-      const avg = vals.reduce((a, b) => a + b, 0) / vals.length;
-      const latest = vals[vals.length - 1];
-      stats[cat] = { avg, latest };
-    }
-    return stats;
-  }, [chartData, r12Data, selectedMetrics, metric]);
+  const summaryStats = useMemo(
+    () => summarizeSeries(chartSource, seriesKeys),
+    [chartSource, seriesKeys]
+  );
 
-  // Branch-level totals (Value metric only)
-  const branchSummary = useMemo(() => {
-    if (!rows.length || !selectedMetrics.length) return { rows: [], totals: {} };
-
-    const startKey = keyFromStr(dateStart);
-    const endKey = keyFromStr(dateEnd);
-    const hasRange = startKey && endKey && startKey <= endKey;
-
-    const includeAll = selectedBranches.includes(ALL);
-    const matchBranch = (r) => {
-      if (includeAll) return true;
-      if (!r.Branch) return false;
-      return selectedBranches.includes(r.Branch);
-    };
+  // Components selected together with their parent total (e.g. New Equipment Sales + Total Equipment)
+  const metricOverlaps = useMemo(
+    () => findOverlaps(selectedMetrics, METRIC_PARENTS),
+    [selectedMetrics]
+  );
+  const countedSelection = useMemo(
+    () => countedMetrics(selectedMetrics, METRIC_PARENTS, totalMode),
+    [selectedMetrics, totalMode]
+  );
 
-    const byBranch = new Map(); // branch -> { [cat]: sum, __total: sum }
-    const totals = Object.fromEntries(selectedMetrics.map((c) => [c, 0]));
-    let grand = 0;
-
-    for (const r of rows) {
-      if (!matchBranch(r)) continue;
-      const k = ymToKey(r.Year, r.Month);
-      if (hasRange && (k < startKey || k > endKey)) continue;
-      if (!selectedMetrics.includes(r.Category)) continue;
-
-      const b = (r.Branch && String(r.Branch).trim()) || "(Blank)";
-      if (!byBranch.has(b)) {
-        const init = Object.fromEntries(selectedMetrics.map((c) => [c, 0]));
-        init.__total = 0;
-        byBranch.set(b, init);
-      }
-      const acc = byBranch.get(b);
-      const v = Number(r.Value) || 0;
-      acc[r.Category] += v;
-      acc.__total += v;
-      totals[r.Category] += v;
-      grand += v;
+  // Unusual months of every charted series, scored over all months and listed for the date
+  // range. Ungrouped series belong to the branch selection; grouped ones to their branch or region.
+  const anomalies = useMemo(() => {
+    const range = rangeKeys(dateStart, dateEnd);
+    const scope = branchFilter ? branchFilter.join(", ") : "All branches";
+    return detectAnomalies(monthlyAggAllMonths, seriesKeys, { threshold: anomalyThreshold })
+      .filter((a) => !range || (ymToKey(a.Year, a.Month) >= range.startKey && ymToKey(a.Year, a.Month) <= range.endKey))
+      .map((a) => {
+        const branch = groupBy === "none" ? scope : a.key;
+        const category = groupBy === "none" ? a.key : activeGroupMetric;
+        const id = [dataset, branch, category, strFromYM(a.Year, a.Month)].join("|");
+        const saved = anomalyNotes[id] || {};
+        return { ...a, id, branch, category, dismissed: Boolean(saved.dismissed), note: saved.note || "" };
+      });
+  }, [monthlyAggAllMonths, seriesKeys, anomalyThreshold, dateStart, dateEnd, branchFilter, groupBy, activeGroupMetric, dataset, anomalyNotes]);
+  const anomalyMarkers = metric === "value" ? anomalies.filter((a) => !a.dismissed) : [];
+
+  // Sum of the counted categories as one figure, for value-style modes only
+  const combinedStats = useMemo(() => {
+    if (groupBy !== "none" || isPercentMetric || selectedMetrics.length < 2) return null;
+    const series = withCombinedSeries(chartSource, countedSelection, COMBINED_SERIES_KEY);
+    return summarizeSeries(series, [COMBINED_SERIES_KEY])[COMBINED_SERIES_KEY] || null;
+  }, [groupBy, isPercentMetric, selectedMetrics, chartSource, countedSelection]);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    runAnalytics(
+      "aggregate",
+      {
+        groups:
+          groupBy === "none" ? null : { by: groupBy, regionByBranch, fallback: UNASSIGNED_REGION },
+        metric: activeGroupMetric,
+        metrics: selectedMetrics,
+        totalMetrics: countedSelection,
+        branches: branchFilter,
+        start: dateStart,
+        end: dateEnd,
+        fiscalYearStart,
+        ranges: {
+          ...(budgetWindow && { budget: budgetWindow }),
+          ...(ytdWindow && { ytd: ytdWindow }),
+        },
+      },
+      { signal: controller.signal }
+    )
+      .then((result) => setAggregates({ ...result, profile: dataProfile }))
+      .catch((e) => {
+        if (!isAbortError(e)) console.error(e);
+      });
+    return () => controller.abort();
+  }, [
+    dataProfile,
+    selectedMetrics,
+    countedSelection,
+    branchFilter,
+    dateStart,
+    dateEnd,
+    fiscalYearStart,
+    groupBy,
+    activeGroupMetric,
+    regionByBranch,
+    budgetWindow,
+    ytdWindow,
+  ]);
+
+  useEffect(() => {
+    if (!forecastActive || !seriesKeys.length) {
+      setForecast(EMPTY_FORECAST);
+      return;
     }
+    const controller = new AbortController();
+    runAnalytics(
+      "forecast",
+      {
+        groups:
+          groupBy === "none" ? null : { by: groupBy, regionByBranch, fallback: UNASSIGNED_REGION },
+        keys: seriesKeys,
+        metric: activeGroupMetric,
+        branches: branchFilter,
+        method: forecastMethod,
+        horizon: forecastHorizon,
+        level: forecastLevel,
+        basis: forecastBasis,
+        fiscalYearStart,
+      },
+      { signal: controller.signal }
+    )
+      .then((points) => setForecast({ points, profile: dataProfile }))
+      .catch((e) => {
+        if (!isAbortError(e)) console.error(e);
+      });
+    return () => controller.abort();
+  }, [
+    dataProfile,
+    forecastActive,
+    forecastMethod,
+    forecastHorizon,
+    forecastLevel,
+    forecastBasis,
+    seriesKeys,
+    branchFilter,
+    groupBy,
+    activeGroupMetric,
+    regionByBranch,
+    fiscalYearStart,
+  ]);
+
+  // Targets behind the branch table's variance columns, over the same ranges as `rangeSummaries`
+  const budgetSummaries = useMemo(() => {
+    const summarize = (range) =>
+      range
+        ? summarizeByBranch(budgetRows, {
+            branches: branchFilter,
+            metrics: selectedMetrics,
+            totalMetrics: countedSelection,
+            ...range,
+          })
+        : null;
+    return { budget: summarize(budgetWindow), ytd: summarize(ytdWindow) };
+  }, [budgetRows, branchFilter, selectedMetrics, countedSelection, budgetWindow, ytdWindow]);
+
+  // Summary card variances, window and year to date. Categories use the branch tables, so only
+  // branches with targets count; grouped series compare their monthly totals.
+  const budgetCards = useMemo(() => {
+    if (!showBudget) return null;
+    const merged = withBudget(monthlyAggAllMonths, budgetMonthly, seriesKeys);
+    const compare = (name, range) =>
+      Object.fromEntries(
+        seriesKeys.map((key) => [
+          key,
+          groupBy === "none"
+            ? budgetVariance(rangeSummaries[name], budgetSummaries[name], { field: key })
+            : range && compareToBudget(clipToRange(merged, range.start, range.end), key),
+        ])
+      );
+    return { window: compare("budget", budgetWindow), ytd: compare("ytd", ytdWindow) };
+  }, [showBudget, monthlyAggAllMonths, budgetMonthly, seriesKeys, groupBy, rangeSummaries, budgetSummaries, budgetWindow, ytdWindow]);
+
+  // Categories the Seasonality and ranking panels add together: the counted selection, or the
+  // category a grouped view breaks down
+  const combinedMetrics = useMemo(
+    () => (groupBy === "none" ? countedSelection : [activeGroupMetric]),
+    [groupBy, countedSelection, activeGroupMetric]
+  );
+  // Seasonal index by branch, fetched only while the Seasonality panel is open
+  const [seasonality, setSeasonality] = useState(EMPTY_SEASONALITY);
+  useEffect(() => {
+    if (!showSeasonality) return;
+    const controller = new AbortController();
+    runAnalytics(
+      "seasonality",
+      { metrics: combinedMetrics, branches: branchFilter, start: dateStart, end: dateEnd, fiscalYearStart },
+      { signal: controller.signal }
+    )
+      .then((index) => setSeasonality({ index, profile: dataProfile }))
+      .catch((e) => {
+        if (!isAbortError(e)) console.error(e);
+      });
+    return () => controller.abort();
+  }, [dataProfile, showSeasonality, combinedMetrics, branchFilter, dateStart, dateEnd, fiscalYearStart]);
 
-    const outRows = Array.from(byBranch.entries())
-      .map(([Branch, sums]) => ({ Branch, ...sums }))
-      .sort((a, b) => a.Branch.localeCompare(b.Branch, undefined, { numeric: true }));
+  // Branch leaderboard, fetched only while the ranking panel is open
+  const [ranking, setRanking] = useState(EMPTY_RANKING);
+  useEffect(() => {
+    if (!showRanking) return;
+    const controller = new AbortController();
+    runAnalytics(
+      "ranking",
+      { metrics: combinedMetrics, branches: branchFilter, start: dateStart, end: dateEnd },
+      { signal: controller.signal }
+    )
+      .then((leaderboard) => setRanking({ leaderboard, profile: dataProfile }))
+      .catch((e) => {
+        if (!isAbortError(e)) console.error(e);
+      });
+    return () => controller.abort();
+  }, [dataProfile, showRanking, combinedMetrics, branchFilter, dateStart, dateEnd]);
 
-    return { rows: outRows, totals: { ...totals, __total: grand } };
-  }, [rows, selectedMetrics, selectedBranches, dateStart, dateEnd]);
+  const branchSummaryGroups = useMemo(
+    () =>
+      groupBranchSummary(
+        branchSummary.rows,
+        regionOf,
+        regions.map((r) => r.name)
+      ),
+    [branchSummary, regionOf, regions]
+  );
+  const showRegionSubtotals =
+    regionSubtotals && branchSummaryGroups.some((g) => g.region !== UNASSIGNED_REGION);
+
+  const toggleRegionCollapsed = (region) =>
+    setCollapsedRegions((prev) => {
+      const next = new Set(prev);
+      if (next.has(region)) next.delete(region);
+      else next.add(region);
+      return next;
+    });
 
   // Load dataset when selection changes
   useEffect(() => {
@@ -962,6 +1722,32 @@ export default function App() {
     const fallbackId = fallbackEntry?.id;
     const targetFile = datasetFiles[dataset];
 
+    if (isUploadedDataset(dataset)) {
+      if (loadedUploadRef.current === dataset) {
+        loadedUploadRef.current = null;
+        return;
+      }
+      let cancelled = false;
+      loadUploadRows(dataset)
+        .then((stored) => {
+          if (cancelled) return;
+          if (stored) {
+            hydrateFromParsed(stored, dataset);
+            showStoredVersions(dataset);
+          } else if (fallbackId) {
+            setDataset(fallbackId);
+          }
+        })
+        .catch((e) => {
+          if (cancelled) return;
+          console.error(e);
+          if (fallbackId) setDataset(fallbackId);
+        });
+      return () => {
+        cancelled = true;
+      };
+    }
+
     if (!targetFile) {
       if (fallbackId && dataset !== fallbackId) setDataset(fallbackId);
       return;
@@ -970,36 +1756,308 @@ export default function App() {
     const controller = new AbortController();
     let cancelled = false;
 
-    async function loadDatasetFromFile(url) {
+    // Cancelling goes back to whatever is on screen; bundled rows come from the loader's cache
+    const previous = rowsOrigin;
+    const cancel = previous
+      ? () => {
+          if (isUploadedDataset(previous)) loadedUploadRef.current = previous;
+          setDataset(previous);
+        }
+      : null;
+
+    async function loadDatasetFromFile(entry) {
       try {
         setError("");
-        const resp = await fetch(url, { signal: controller.signal });
-        if (!resp.ok) throw new Error(`Failed to load ${url}`);
-        const text = await resp.text();
-        if (cancelled || controller.signal.aborted) return;
-        const parsed = await parseTextDataset(text);
+        const { rows: parsed, hash, size, key } = await loadBundledDataset(entry, {
+          signal: controller.signal,
+          onProgress: (progress) => {
+            if (!cancelled) setLoadProgress({ label: entry.label || entry.fileName, ...progress, cancel });
+          },
+        });
         if (cancelled || controller.signal.aborted) return;
-        hydrateFromParsed(parsed);
+        setLoadProgress(null);
+        hydrateFromParsed(parsed, dataset, key);
+        trackVersion(dataset, hash, size, parsed);
       } catch (e) {
         if (controller.signal.aborted || cancelled) return;
+        setLoadProgress(null);
         console.error(e);
         setError(e.message || String(e));
       }
     }
 
-    loadDatasetFromFile(targetFile);
+    loadDatasetFromFile(datasetMap[dataset] || { file: targetFile });
 
     return () => {
       cancelled = true;
       controller.abort();
+      setLoadProgress(null);
     };
   }, [dataset, datasetFiles, availableDatasets, datasetMap]);
 
+  // Detail files are cross-checked against the default (all departments) dataset, which the
+  // worker loads (rows staying there) and compares with the active rows
+  const referenceEntry =
+    rowsOrigin && rowsOrigin !== DEFAULT_DATASET ? datasetMap[DEFAULT_DATASET] || null : null;
+  const referenceName = referenceEntry ? referenceEntry.label || DEFAULT_DATASET : null;
+  const [validation, setValidation] = useState(EMPTY_VALIDATION);
+  const validationExceptions = validation.exceptions;
+  useEffect(() => {
+    setValidation(EMPTY_VALIDATION);
+    if (!dataProfile.rowCount) return;
+    const controller = new AbortController();
+    const reference = referenceEntry
+      ? preloadBundledDataset(referenceEntry, { signal: controller.signal }).then(
+          (key) => ({ key, name: referenceName }),
+          (e) => {
+            if (isAbortError(e)) throw e;
+            // The cross-check is optional; the single-file checks still run
+            console.error(e);
+            return null;
+          }
+        )
+      : Promise.resolve(null);
+    reference
+      .then((ref) =>
+        runAnalytics(
+          "validate",
+          { parents: METRIC_PARENTS, equivalents: ROLLUP_EQUIVALENTS, reference: ref },
+          { signal: controller.signal }
+        )
+      )
+      .then(setValidation)
+      .catch((e) => {
+        if (!isAbortError(e)) console.error(e);
+      });
+    return () => controller.abort();
+  }, [dataProfile, referenceEntry, referenceName]);
+
+  const exportExceptionsCsv = () => {
+    downloadCsv(exceptionsToTable(validationExceptions), `${dataset}_exceptions.csv`);
+  };
+
+  // Exceptions carry the file's own (fiscal) Year/Period
+  const formatExceptionPeriod = (e) => {
+    if (!e.Year || !e.Month) return "";
+    const cal = fiscalToCalendar(e.Year, e.Month, fiscalYearStart);
+    return periodLabel(cal.Year, cal.Month, fiscalYearStart);
+  };
+
+  const focusException = (e) => {
+    if (e.Branch && allBranches.includes(e.Branch)) {
+      setSelectedBranches([e.Branch]);
+    }
+    if (e.Category && allMetrics.includes(e.Category) && !selectedMetrics.includes(e.Category)) {
+      setSelectedMetrics([...selectedMetrics, e.Category]);
+    }
+    if (e.Year && e.Month && minMonthStr && maxMonthStr) {
+      const cal = fiscalToCalendar(e.Year, e.Month, fiscalYearStart);
+      const center = `${cal.Year}-${String(cal.Month).padStart(2, "0")}`;
+      const start = clampYM(addMonths(center, -FOCUS_MONTHS), minMonthStr, maxMonthStr);
+      const end = clampYM(addMonths(center, FOCUS_MONTHS), minMonthStr, maxMonthStr);
+      setDateStart(start);
+      setDateEnd(end);
+      setSelectedYear("all");
+      userRangeRef.current = { touched: true, start, end };
+    }
+  };
+
   // Persist prefs
   useEffect(() => {
-    const payload = { dataset, viewMode, selectedBranches, dateStart, dateEnd, metric };
+    const payload = {
+      dataset,
+      viewMode,
+      selectedBranches,
+      dateStart,
+      dateEnd,
+      metric,
+      rollingWindow: rollingWindowSize,
+      fiscalYearStart,
+      groupBy,
+      groupMetric,
+      totalMode,
+      uploadMode,
+      mergePolicy,
+      forecastMethod,
+      forecastHorizon,
+      forecastBasis,
+      forecastLevel,
+      anomalyThreshold,
+    };
     localStorage.setItem("psdash:v1", JSON.stringify(payload));
-  }, [dataset, viewMode, selectedBranches, dateStart, dateEnd, metric]);
+  }, [dataset, viewMode, selectedBranches, dateStart, dateEnd, metric, rollingWindowSize, fiscalYearStart, groupBy, groupMetric, totalMode, uploadMode, mergePolicy, forecastMethod, forecastHorizon, forecastBasis, forecastLevel, anomalyThreshold]);
+
+  // What links and saved views capture. A full date range is left empty so the view keeps
+  // following the data as new months arrive.
+  const currentView = {
+    dataset,
+    metric,
+    viewMode,
+    dateStart: dateStart === minMonthStr ? "" : dateStart,
+    dateEnd: dateEnd === maxMonthStr ? "" : dateEnd,
+    selectedYear,
+    rollingWindow: rollingWindowSize,
+    fiscalYearStart,
+    groupBy,
+    groupMetric,
+    totalMode,
+    selectedBranches,
+    selectedMetrics,
+    forecastMethod,
+    forecastHorizon,
+    forecastBasis,
+    forecastLevel,
+  };
+  const viewSearch = encodeViewState(currentView, {
+    ...VIEW_DEFAULTS,
+    selectedMetrics: pickDefaultMetrics(allMetrics),
+  });
+
+  // Mirror the view into the URL once its dataset is on screen. Each settled change is a
+  // history entry, so back/forward step through earlier views.
+  useEffect(() => {
+    if (!urlSyncRef.current || rowsOrigin !== dataset) return;
+    if (viewSearch === window.location.search) {
+      historyModeRef.current = "push";
+      return;
+    }
+    const timer = setTimeout(() => {
+      const url = `${window.location.pathname}${viewSearch}${window.location.hash}`;
+      if (historyModeRef.current === "replace") window.history.replaceState(null, "", url);
+      else window.history.pushState(null, "", url);
+      historyModeRef.current = "push";
+    }, URL_SYNC_DELAY);
+    return () => clearTimeout(timer);
+  }, [viewSearch, rowsOrigin, dataset]);
+
+  // Shows a complete view (history entry or saved view) in place of the current one
+  const openView = (view) => {
+    applyView(view);
+    keepLinkedRange(view);
+    const known = availableDatasets.some((d) => d.id === view.dataset) || isUploadedDataset(view.dataset);
+    if (known && view.dataset !== rowsOrigin) {
+      // The rows effect fits range, branches and categories to the other dataset
+      setDataset(view.dataset);
+      return;
+    }
+    if (!dataProfile.rowCount) return;
+    if (!view.selectedBranches.includes(ALL)) {
+      const valid = view.selectedBranches.filter((b) => allBranches.includes(b));
+      setSelectedBranches(valid.length ? valid : [ALL]);
+    }
+    const metrics = view.selectedMetrics.filter((c) => allMetrics.includes(c));
+    setSelectedMetrics(metrics.length ? metrics : pickDefaultMetrics(allMetrics));
+    setDateStart(clampYM(view.dateStart || minMonthStr, minMonthStr, maxMonthStr));
+    setDateEnd(clampYM(view.dateEnd || maxMonthStr, minMonthStr, maxMonthStr));
+  };
+
+  useEffect(() => {
+    const onPopState = () => {
+      historyModeRef.current = "replace";
+      openView(decodeViewState(window.location.search, VIEW_DEFAULTS) || VIEW_DEFAULTS);
+    };
+    window.addEventListener("popstate", onPopState);
+    return () => window.removeEventListener("popstate", onPopState);
+  }, [dataProfile, rowsOrigin, allBranches, allMetrics, minMonthStr, maxMonthStr, availableDatasets, pickDefaultMetrics]);
+
+  const copyViewLink = async () => {
+    const url = `${window.location.origin}${window.location.pathname}${viewSearch}${window.location.hash}`;
+    try {
+      await navigator.clipboard.writeText(url);
+      setLinkCopied(true);
+      setTimeout(() => setLinkCopied(false), 2000);
+    } catch {
+      window.prompt("Copy this link:", url);
+    }
+  };
+  const updateSavedViews = (next) => {
+    setSavedViews(next);
+    storeSavedViews(next);
+  };
+
+  const saveView = (name) =>
+    updateSavedViews({
+      ...savedViews,
+      views: [...savedViews.views, { id: newViewId(), name, view: cleanViewState(currentView) }],
+    });
+
+  const overwriteView = (id) =>
+    updateSavedViews({
+      ...savedViews,
+      views: savedViews.views.map((v) => (v.id === id ? { ...v, view: cleanViewState(currentView) } : v)),
+    });
+
+  const renameView = (id, name) =>
+    updateSavedViews({
+      ...savedViews,
+      views: savedViews.views.map((v) => (v.id === id ? { ...v, name } : v)),
+    });
+
+  const deleteView = (id) =>
+    updateSavedViews({
+      views: savedViews.views.filter((v) => v.id !== id),
+      defaultId: savedViews.defaultId === id ? null : savedViews.defaultId,
+    });
+
+  const openSavedView = (id) => {
+    const saved = savedViews.views.find((v) => v.id === id);
+    if (saved) openView({ ...VIEW_DEFAULTS, ...saved.view });
+  };
+
+  const exportSavedViews = () => {
+    const blob = new Blob([JSON.stringify(savedViewsToJson(savedViews), null, 2) + "\n"], {
+      type: "application/json",
+    });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = "dashboard-views.json";
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const importSavedViewsFile = async (file) => {
+    let data;
+    try {
+      data = JSON.parse(await file.text());
+    } catch {
+      throw new Error(`${file.name} is not valid JSON.`);
+    }
+    const { saved, added, replaced } = importSavedViews(savedViews, data);
+    updateSavedViews(saved);
+    return `Imported ${added} new and ${replaced} updated view${added + replaced === 1 ? "" : "s"} from ${file.name}.`;
+  };
+
+  // One-line summary for the saved views table
+  const describeView = (view) => {
+    const full = { ...VIEW_DEFAULTS, ...view };
+    const source =
+      datasetMap[full.dataset]?.label ||
+      uploadedEntries.find((d) => d.id === full.dataset)?.label ||
+      full.dataset;
+    const mode = METRIC_MODES[full.metric] || METRIC_MODES.value;
+    const range =
+      full.dateStart || full.dateEnd
+        ? `${full.dateStart || "first month"} – ${full.dateEnd || "latest"}`
+        : "All months";
+    const list = (values, noun) => (values.length <= 2 ? values.join(", ") : `${values.length} ${noun}`);
+    return [
+      source,
+      resolveModeText(mode.label, full.rollingWindow),
+      full.viewMode === "bar" ? "Bar" : "Line",
+      range,
+      list(full.selectedMetrics, "categories"),
+      full.selectedBranches.includes(ALL) ? "All branches" : list(full.selectedBranches, "branches"),
+      full.groupBy !== "none" ? `By ${full.groupBy}` : null,
+    ]
+      .filter(Boolean)
+      .join(" · ");
+  };
+
+  const viewKey = (view) => encodeViewState({ ...VIEW_DEFAULTS, ...view }, VIEW_DEFAULTS);
+  const currentViewKey = viewKey(cleanViewState(currentView));
+  const activeSavedViewId = savedViews.views.find((v) => viewKey(v.view) === currentViewKey)?.id ?? null;
+
 
   const metricColors = useMemo(() => {
     const paletteOverrides = {};
@@ -1022,44 +2080,84 @@ export default function App() {
     return getPersistentColorMap(allMetrics, COLOR_STORAGE_KEY, overrides);
   }, [allMetrics, datasetConfig]);
 
+  const seriesColors = useMemo(() => {
+    if (groupBy === "none") return metricColors;
+    return Object.fromEntries(groupKeys.map((key) => [key, colorFromString(key)]));
+  }, [groupBy, groupKeys, metricColors]);
+
+  // Small multiples for the Seasonality panel: every charted series over the date range
+  const seasonalSeries = useMemo(() => {
+    if (!showSeasonality) return [];
+    const data = clipToRange(monthlyAggAllMonths, dateStart, dateEnd);
+    return seriesKeys.map((key) => ({
+      key,
+      color: seriesColors[key] || theme.primarySurface,
+      overlay: yearOverlay(data, key, { fiscalYearStart }),
+      profile: monthProfile(data, key, { fiscalYearStart }),
+    }));
+  }, [showSeasonality, monthlyAggAllMonths, dateStart, dateEnd, seriesKeys, seriesColors, theme, fiscalYearStart]);
+
   const downloadViewCsv = () => {
-    const source =
-      metric === "r12" ? r12Data : metric === "r12Value" ? r12ValueData : chartData;
+    const source = budgetedData;
     if (!source.length) return;
-    const header = ["Year", "Month", "Label", ...selectedMetrics];
-    const rowsForExport = source.map((d) => [
-      d.Year, d.Month, d.month, ...selectedMetrics.map((c) => d[c] ?? "")
+    const columns =
+      metric === "priorYear"
+        ? seriesKeys.flatMap((c) => [c, priorYearKey(c)])
+        : showBudget
+        ? seriesKeys.flatMap((c) => [c, budgetKey(c)])
+        : seriesKeys;
+    // Forecast months follow the actuals, each series with its projection and interval
+    const forecastColumns = forecastPoints.length
+      ? seriesKeys.flatMap((c) => [forecastKey(c), `${c} (Forecast low)`, `${c} (Forecast high)`])
+      : [];
+    const forecastCells = (d) =>
+      forecastPoints.length
+        ? seriesKeys.flatMap((c) => [
+            d[forecastKey(c)] ?? "",
+            d[forecastRangeKey(c)]?.[0] ?? "",
+            d[forecastRangeKey(c)]?.[1] ?? "",
+          ])
+        : [];
+    const header = ["Year", "Month", "Label", ...columns, ...forecastColumns];
+    const rowsForExport = [...source, ...forecastPoints].map((d) => [
+      d.Year, d.Month, d.month, ...columns.map((c) => d[c] ?? ""), ...forecastCells(d)
     ]);
-    const csv = [[...header], ...rowsForExport].map(r =>
-      r.map(x => (x == null ? "" : String(x).includes(",") ? `"${String(x).replace(/"/g, '""')}"` : x)).join(",")
-    ).join("\n");
-    const blob = new Blob([csv], { type: "text/csv;charset=utf-8;" });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download =
-      metric === "r12"
-        ? "dashboard_r12_growth.csv"
-        : metric === "r12Value"
-        ? "dashboard_r12_value.csv"
-        : "dashboard_view.csv";
-    a.click();
-    URL.revokeObjectURL(url);
+    downloadCsv(
+      [header, ...rowsForExport],
+      resolveModeText((METRIC_MODES[metric] || METRIC_MODES.value).file, rollingWindowSize)
+    );
   };
 
-  const chartSource =
-    metric === "r12" ? r12Data : metric === "r12Value" ? r12ValueData : chartData;
   const datasetLabel = datasetConfig?.label || datasetConfig?.id || dataset;
   const datasetSizeText = formatFileSize(datasetConfig?.size);
   const datasetUpdatedText = formatTimestamp(datasetConfig?.lastModified);
-  const chartTitle =
+  const loadProgressText = loadProgress
+    ? `${loadProgress.phase === "download" ? "Downloading" : "Parsing"} ${loadProgress.label}` +
+      (loadProgress.total > 0
+        ? ` (${Math.min(100, Math.round((loadProgress.loaded / loadProgress.total) * 100))}%)`
+        : "…")
+    : null;
+  const datasetRowsText =
+    datasetConfig?.rowCount != null ? new Intl.NumberFormat().format(datasetConfig.rowCount) : null;
+  const metricLabel = resolveModeText(METRIC_MODES[metric]?.label, rollingWindowSize);
+  const baseChartTitle =
     metric === "r12"
-      ? "R12 Growth %"
+      ? metricLabel
       : metric === "r12Value"
-      ? `Rolling 12 ${datasetLabel}`
-      : datasetLabel;
+      ? `Rolling ${rollingWindowSize} ${datasetLabel}`
+      : metric === "value" || !METRIC_MODES[metric]
+      ? datasetLabel
+      : `${metricLabel} – ${datasetLabel}`;
+  const chartTitle =
+    groupBy === "none"
+      ? baseChartTitle
+      : `${baseChartTitle} – ${activeGroupMetric} by ${groupBy === "region" ? "Region" : "Branch"}`;
+  const forecastMethodLabel = FORECAST_METHODS.find((o) => o.value === forecastMethod)?.label || "";
+  // Shaded forecast intervals are Areas, which need a composed chart
+  const LineContainer = showForecast ? ComposedChart : LineChart;
+  const BarContainer = showBudget ? ComposedChart : BarChart;
   const activeHover =
-    hoveredMetric && selectedMetrics.includes(hoveredMetric)
+    hoveredMetric && seriesKeys.includes(hoveredMetric)
       ? hoveredMetric
       : null;
 
@@ -1084,6 +2182,58 @@ export default function App() {
     [theme]
   );
 
+  // "YYYY-MM" bounds -> "Jan 2025 – Dec 2025" (or fiscal periods)
+  const rangeText = (range) =>
+    [range.start, range.end]
+      .map((ym) => {
+        const [y, m] = ym.split("-").map(Number);
+        return periodLabel(y, m, fiscalYearStart);
+      })
+      .join(" – ");
+  const describeBranch = (code) => (branchName(code, branchInfo) ? `${code} · ${branchName(code, branchInfo)}` : code);
+  const budgetRangeTitle = budgetWindow ? `Budget for ${rangeText(budgetWindow)}` : "No budget in the date range";
+  const ytdRangeTitle = ytdWindow ? `Year to date: ${rangeText(ytdWindow)}` : undefined;
+  const varianceColor = (v) => (v > 0 ? theme.positive : v < 0 ? theme.negative : undefined);
+  const fmtSigned = (v, fmt) => (v == null ? "—" : `${v > 0 ? "+" : ""}${fmt(v)}`);
+  // Budget and variance cells of the branch table for `branches` (every branch when omitted)
+  const renderBudgetCells = (branches, fontWeight) => {
+    if (!budget) return null;
+    const blank = { amount: null, pct: null };
+    const w = budgetVariance(rangeSummaries.budget, budgetSummaries.budget, { branches }) || blank;
+    const ytd = budgetVariance(rangeSummaries.ytd, budgetSummaries.ytd, { branches }) || blank;
+    const cell = { ...tdCell, textAlign: "right", fontWeight, fontVariantNumeric: "tabular-nums" };
+    const money = (v) => fmtValue(v, datasetConfig);
+    return (
+      <>
+        <td style={cell}>{w.target == null ? "—" : money(w.target)}</td>
+        <td style={{ ...cell, color: varianceColor(w.amount) }}>{fmtSigned(w.amount, money)}</td>
+        <td style={{ ...cell, color: varianceColor(w.pct) }}>{fmtSigned(w.pct, fmtPct)}</td>
+        <td style={{ ...cell, color: varianceColor(ytd.amount) }}>{fmtSigned(ytd.amount, money)}</td>
+        <td style={{ ...cell, color: varianceColor(ytd.pct) }}>{fmtSigned(ytd.pct, fmtPct)}</td>
+      </>
+    );
+  };
+
+  const renderBranchRow = (r, indented) => (
+    <tr key={r.Branch} style={{ borderTop: `1px solid ${theme.tableRowBorder}` }}>
+      <td style={indented ? { ...tdCell, paddingLeft: 28 } : tdCell}>
+        {r.Branch}
+        {branchName(r.Branch, branchInfo) && (
+          <span style={{ color: theme.textMuted }}> · {branchName(r.Branch, branchInfo)}</span>
+        )}
+      </td>
+      {selectedMetrics.map((c) => (
+        <td key={c} style={{ ...tdCell, textAlign: "right", fontVariantNumeric: "tabular-nums" }}>
+          {fmtValue(r[c] || 0, datasetConfig)}
+        </td>
+      ))}
+      <td style={{ ...tdCell, textAlign: "right", fontWeight: 600, fontVariantNumeric: "tabular-nums" }}>
+        {fmtValue(r.__total || 0, datasetConfig)}
+      </td>
+      {renderBudgetCells([r.Branch], 400)}
+    </tr>
+  );
+
   return (
     <div
       style={{
@@ -1112,11 +2262,22 @@ export default function App() {
             disabled={!availableDatasets.length}
           >
             {availableDatasets.length ? (
-              availableDatasets.map((option) => (
-                <option key={option.id} value={option.id}>
-                  {option.label || option.id}
-                </option>
-              ))
+              <>
+                {availableDatasets.map((option) => (
+                  <option key={option.id} value={option.id}>
+                    {option.label || option.id}
+                  </option>
+                ))}
+                {uploadedEntries.length > 0 && (
+                  <optgroup label="Uploaded">
+                    {uploadedEntries.map((option) => (
+                      <option key={option.id} value={option.id}>
+                        {option.label}
+                      </option>
+                    ))}
+                  </optgroup>
+                )}
+              </>
             ) : (
               <option value="" disabled>
                 Loading datasets...
@@ -1130,8 +2291,72 @@ export default function App() {
                 <span className="dataset-meta__bullet" aria-hidden="true">•</span>
               )}
               {datasetUpdatedText && <span>Updated: {datasetUpdatedText}</span>}
+              {datasetRowsText && (
+                <>
+                  <span className="dataset-meta__bullet" aria-hidden="true">•</span>
+                  <span>Rows: {datasetRowsText}</span>
+                </>
+              )}
+            </div>
+          )}
+          {loadProgress && (
+            <div className="dataset-meta" role="status">
+              <span>{loadProgressText}</span>
+              {loadProgress.cancel && (
+                <button
+                  type="button"
+                  onClick={loadProgress.cancel}
+                  style={{
+                    background: "transparent",
+                    border: "none",
+                    color: theme.textMuted,
+                    textDecoration: "underline",
+                    fontSize: 12,
+                    cursor: "pointer",
+                    padding: 0,
+                  }}
+                >
+                  Cancel
+                </button>
+              )}
             </div>
           )}
+          {uploadedEntries.length > 0 && (
+            <button
+              type="button"
+              onClick={() => setShowUploadManager((v) => !v)}
+              style={{
+                background: "transparent",
+                border: "none",
+                color: theme.textMuted,
+                textDecoration: "underline",
+                fontSize: 12,
+                cursor: "pointer",
+                padding: 0,
+                alignSelf: "flex-start",
+              }}
+            >
+              {showUploadManager ? "Hide uploads" : `Manage uploads (${uploadedEntries.length})`}
+            </button>
+          )}
+          {versions.length > 1 && (
+            <button
+              type="button"
+              onClick={() => setShowVersions((v) => !v)}
+              style={{
+                background: "transparent",
+                border: "none",
+                color: theme.textMuted,
+                textDecoration: "underline",
+                fontSize: 12,
+                cursor: "pointer",
+                padding: 0,
+                alignSelf: "flex-start",
+              }}
+            >
+              {showVersions ? "Hide versions" : `Compare versions (${versions.length})`}
+            </button>
+          )}
         </div>
 
         <div className="field">
@@ -1139,7 +2364,20 @@ export default function App() {
           <select className="select" value={selectedYear} onChange={(e) => onYearPick(e.target.value)}>
             <option value="all">All Years</option>
             {years.map((y) => (
-              <option key={y}>{y}</option>
+              <option key={y} value={y}>{fiscalYearStart === 1 ? y : `FY${y}`}</option>
+            ))}
+          </select>
+        </div>
+
+        <div className="field">
+          <label className="label">Fiscal Year Starts</label>
+          <select
+            className="select"
+            value={fiscalYearStart}
+            onChange={(e) => onFiscalStartChange(e.target.value)}
+          >
+            {MONTH_NAMES.map((name, i) => (
+              <option key={name} value={i + 1}>{name}</option>
             ))}
           </select>
         </div>
@@ -1155,12 +2393,51 @@ export default function App() {
         <div className="field">
           <label className="label">Metric</label>
           <select className="select" value={metric} onChange={(e) => setMetric(e.target.value)}>
-            <option value="value">Value</option>
-            <option value="r12">R12 Growth %</option>
-            <option value="r12Value">Rolling 12 Value</option>
+            {Object.entries(METRIC_MODES).map(([id, mode]) => (
+              <option key={id} value={id}>{resolveModeText(mode.label, rollingWindowSize)}</option>
+            ))}
+          </select>
+        </div>
+
+        <div className="field">
+          <label className="label">Window</label>
+          <select
+            className="select"
+            value={rollingWindowSize}
+            onChange={(e) => setRollingWindowSize(Number(e.target.value))}
+            disabled={!rollingStat}
+            title={rollingStat ? undefined : "Applies to rolling metrics"}
+          >
+            {ROLLING_WINDOW_OPTIONS.map((n) => (
+              <option key={n} value={n}>{n} months</option>
+            ))}
           </select>
         </div>
 
+        <div className="field">
+          <label className="label">Group By</label>
+          <select className="select" value={groupBy} onChange={(e) => setGroupBy(e.target.value)}>
+            {GROUP_BY_OPTIONS.map((o) => (
+              <option key={o.value} value={o.value}>{o.label}</option>
+            ))}
+          </select>
+        </div>
+
+        {groupBy !== "none" && (
+          <div className="field">
+            <label className="label">Grouped Category</label>
+            <select
+              className="select"
+              value={activeGroupMetric}
+              onChange={(e) => setGroupMetric(e.target.value)}
+            >
+              {allMetrics.map((m) => (
+                <option key={m} value={m}>{m}</option>
+              ))}
+            </select>
+          </div>
+        )}
+
         <div className="field">
           <label className="label">From</label>
           <input
@@ -1186,11 +2463,115 @@ export default function App() {
         </div>
 
         <div className="field">
-          <label className="label">CSV Upload</label>
-          <input className="file" type="file" accept=".csv" onChange={handleFile} />
+          <label className="label">Forecast</label>
+          <select
+            className="select"
+            value={forecastMethod}
+            onChange={(e) => setForecastMethod(e.target.value)}
+            disabled={metric !== "value"}
+            title={metric === "value" ? undefined : "Applies to the Value metric"}
+          >
+            <option value="none">Off</option>
+            {FORECAST_METHODS.map((o) => (
+              <option key={o.value} value={o.value}>{o.label}</option>
+            ))}
+          </select>
+        </div>
+
+        {forecastActive && (
+          <>
+            <div className="field">
+              <label className="label">Horizon</label>
+              <select
+                className="select"
+                value={forecastHorizon}
+                onChange={(e) => setForecastHorizon(Number(e.target.value))}
+              >
+                {FORECAST_HORIZON_OPTIONS.map((n) => (
+                  <option key={n} value={n}>{n} months</option>
+                ))}
+              </select>
+            </div>
+
+            <div className="field">
+              <label className="label">Forecast Basis</label>
+              <select className="select" value={forecastBasis} onChange={(e) => setForecastBasis(e.target.value)}>
+                {FORECAST_BASIS_OPTIONS.map((o) => (
+                  <option key={o.value} value={o.value}>{o.label}</option>
+                ))}
+              </select>
+            </div>
+
+            <div className="field">
+              <label className="label">Interval</label>
+              <select
+                className="select"
+                value={forecastLevel}
+                onChange={(e) => setForecastLevel(Number(e.target.value))}
+              >
+                {Object.keys(FORECAST_LEVELS).map((level) => (
+                  <option key={level} value={level}>{Math.round(level * 100)}%</option>
+                ))}
+              </select>
+            </div>
+          </>
+        )}
+
+        <div className="field">
+          <label className="label">Upload (CSV / Excel)</label>
+          <input className="file" type="file" accept=".csv,.xlsx,.xlsm,.xls" multiple onChange={handleFile} />
+        </div>
+
+        <div className="field">
+          <label className="label">Uploads</label>
+          <select className="select" value={uploadMode} onChange={(e) => setUploadMode(e.target.value)}>
+            <option value="replace">Replace current data</option>
+            <option value="merge">Merge into current data</option>
+          </select>
+        </div>
+
+        <div className="field">
+          <label className="label">On Overlap</label>
+          <select className="select" value={mergePolicy} onChange={(e) => setMergePolicy(e.target.value)}>
+            {Object.entries(MERGE_POLICIES).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
         </div>
+
+        <div className="field">
+          <label className="label">Budget (CSV)</label>
+          <input className="file" type="file" accept=".csv" onChange={handleBudgetFile} />
+        </div>
+
+        {lastImport && rowsOrigin === lastImport.target.id && !showMapping && (
+          <button className="btn" onClick={reviewImport}>Edit column mapping</button>
+        )}
       </div>
 
+      {budget && (
+        <div style={{ fontSize: 12, color: theme.caption, marginTop: 6 }}>
+          Budget: {budget.fileName} · {budget.rows.length.toLocaleString()} targets
+          {budgetBounds && ` · ${rangeText({ start: budgetBounds.minStr, end: budgetBounds.maxStr })}`}
+          {" "}
+          <button
+            type="button"
+            onClick={removeBudget}
+            style={{
+              background: "transparent",
+              border: "none",
+              color: theme.textMuted,
+              textDecoration: "underline",
+              fontSize: 12,
+              cursor: "pointer",
+              padding: 0,
+            }}
+          >
+            Remove
+          </button>
+        </div>
+      )}
+
       {/* Presets + export */}
       <div className="toolbar toolbar--row">
         <button className="btn" onClick={setPresetAll}>All</button>
@@ -1198,9 +2579,56 @@ export default function App() {
         <button className="btn" onClick={() => setPresetLastN(12)}>Last 12M</button>
         <button className="btn" onClick={() => setPresetLastN(24)}>Last 24M</button>
         <div className="spacer" />
+        {savedViews.views.length > 0 && (
+          <select
+            className="select"
+            aria-label="Open saved view"
+            value={activeSavedViewId ?? ""}
+            onChange={(e) => openSavedView(e.target.value)}
+          >
+            <option value="" disabled>Saved views…</option>
+            {savedViews.views.map((v) => (
+              <option key={v.id} value={v.id}>
+                {v.name}{v.id === savedViews.defaultId ? " (default)" : ""}
+              </option>
+            ))}
+          </select>
+        )}
+        <button className="btn" onClick={() => setShowSavedViews((v) => !v)}>
+          {showSavedViews ? "Hide views" : "Manage views"}
+        </button>
+        <button className="btn" onClick={copyViewLink}>{linkCopied ? "Link copied" : "Copy link"}</button>
         <button className="btn btn--primary" onClick={downloadViewCsv}>Export View (CSV)</button>
       </div>
 
+      {showSavedViews && (
+        <SavedViews
+          views={savedViews.views}
+          defaultId={savedViews.defaultId}
+          activeId={activeSavedViewId}
+          describe={describeView}
+          onSave={saveView}
+          onOpen={openSavedView}
+          onRename={renameView}
+          onOverwrite={overwriteView}
+          onDelete={deleteView}
+          onSetDefault={(id) => updateSavedViews({ ...savedViews, defaultId: id })}
+          onExport={exportSavedViews}
+          onImport={importSavedViewsFile}
+          onClose={() => setShowSavedViews(false)}
+          theme={{
+            surface: theme.surface,
+            border: theme.border,
+            shadow: theme.shadow,
+            textPrimary: theme.textPrimary,
+            textMuted: theme.textMuted,
+            controlSurface: theme.controlSurface,
+            controlBorder: theme.controlBorder,
+            controlText: theme.controlText,
+          }}
+        />
+      )}
+
       {/* Toolbar styles */}
       <style>{`
         .toolbar {
@@ -1328,9 +2756,139 @@ export default function App() {
         }
       `}</style>
 
+      {showUploadManager && uploadedDatasets.length > 0 && (
+        <UploadedDatasets
+          datasets={uploadedDatasets}
+          activeId={dataset}
+          formatSize={formatFileSize}
+          formatTime={formatTimestamp}
+          onOpen={setDataset}
+          onRename={renameUploadedDataset}
+          onDownload={downloadUploadedDataset}
+          onDelete={deleteUploadedDataset}
+          onClose={() => setShowUploadManager(false)}
+          theme={{
+            surface: theme.surface,
+            border: theme.border,
+            shadow: theme.shadow,
+            textPrimary: theme.textPrimary,
+            textMuted: theme.textMuted,
+            controlSurface: theme.controlSurface,
+            controlBorder: theme.controlBorder,
+            controlText: theme.controlText,
+          }}
+        />
+      )}
+
+      {showVersions && versions.length > 1 && (
+        <VersionCompare
+          key={rowsOrigin}
+          versions={versions}
+          currentHash={datasetVersions?.hash}
+          loadRows={loadSnapshotRows}
+          formatTime={formatTimestamp}
+          formatPeriod={formatExceptionPeriod}
+          onExport={exportVersionChanges}
+          onClose={() => setShowVersions(false)}
+          theme={{
+            surface: theme.surface,
+            border: theme.border,
+            shadow: theme.shadow,
+            textPrimary: theme.textPrimary,
+            textMuted: theme.textMuted,
+            controlSurface: theme.controlSurface,
+            controlBorder: theme.controlBorder,
+            controlText: theme.controlText,
+          }}
+        />
+      )}
+
+      {workbook && (
+        <SheetPicker
+          fileName={workbook.fileName}
+          sheets={workbook.sheets}
+          onImport={importSheets}
+          onCancel={() => setWorkbook(null)}
+          theme={{
+            surface: theme.surface,
+            border: theme.border,
+            shadow: theme.shadow,
+            textPrimary: theme.textPrimary,
+            textMuted: theme.textMuted,
+            controlSurface: theme.controlSurface,
+            controlBorder: theme.controlBorder,
+            controlText: theme.controlText,
+          }}
+        />
+      )}
+
+      {showMapping && upload && (
+        <ColumnMappingWizard
+          key={`${upload.signature}:${upload.fileName}`}
+          fileName={
+            importQueue && importQueue.done.length + importQueue.pending.length > 0
+              ? `${upload.fileName} (${importQueue.done.length + 1} of ${
+                  importQueue.done.length + importQueue.pending.length + 1
+                })`
+              : upload.fileName
+          }
+          headers={upload.headers}
+          records={upload.records}
+          mapping={upload.mapping}
+          knownMetrics={KNOWN_METRICS}
+          savedMapping={upload.saved}
+          onApply={confirmMapping}
+          onCancel={cancelImport}
+          theme={{
+            surface: theme.surface,
+            border: theme.border,
+            shadow: theme.shadow,
+            textPrimary: theme.textPrimary,
+            textMuted: theme.textMuted,
+            controlSurface: theme.controlSurface,
+            controlBorder: theme.controlBorder,
+            controlText: theme.controlText,
+          }}
+        />
+      )}
+
+      {importSummary && (
+        <ImportSummary
+          summary={importSummary}
+          onDismiss={() => setImportSummary(null)}
+          theme={{
+            surface: theme.surface,
+            border: theme.border,
+            shadow: theme.shadow,
+            textPrimary: theme.textPrimary,
+            textMuted: theme.textMuted,
+          }}
+        />
+      )}
+
       {error && <p style={{ color: "red" }}>{error}</p>}
 
-      {rows.length > 0 && (
+      {dataProfile.rowCount > 0 && (
+        <ValidationPanel
+          exceptions={validationExceptions}
+          referenceName={validation.referenceName}
+          formatPeriod={formatExceptionPeriod}
+          onFocus={focusException}
+          onExport={exportExceptionsCsv}
+          theme={{
+            surface: theme.surface,
+            border: theme.border,
+            shadow: theme.shadow,
+            textPrimary: theme.textPrimary,
+            textMuted: theme.textMuted,
+            controlSurface: theme.controlSurface,
+            controlBorder: theme.controlBorder,
+            controlText: theme.controlText,
+          }}
+        />
+      )}
+
+      {dataProfile.rowCount > 0 && (
         <>
           {/* Branch & Region toggle chips */}
           <div style={{ marginTop: 20, textAlign: "center" }}>
@@ -1340,10 +2898,7 @@ export default function App() {
             <div style={{ marginTop: 8, display: "flex", flexWrap: "wrap", justifyContent: "center", gap: 6 }}>
               {[
                 { name: "All (sum)", value: ALL },
-                { name: "NC", branches: ["113", "114", "117", "160"] },
-                { name: "SC", branches: ["215", "216", "218"] },
-                { name: "GA", branches: ["364", "365", "367"] },
-                { name: "TN", branches: ["520", "536"] },
+                ...regions.filter((region) => region.branches.length),
               ].map((region) => {
                 const isAll = region.value === ALL;
                 const active = isAll
@@ -1387,9 +2942,11 @@ export default function App() {
             <div style={{ marginTop: 12, display: "flex", flexWrap: "wrap", justifyContent: "center", gap: 6 }}>
               {allBranches.map((b) => {
                 const active = selectedBranches.includes(b);
+                const info = branchInfo.get(b);
                 return (
                   <button
                     key={b}
+                    title={[info?.name, info?.region, info?.district].filter(Boolean).join(" · ") || undefined}
                     onClick={() =>
                       setSelectedBranches((prev) => {
                         if (prev.includes(ALL)) return [b];
@@ -1412,14 +2969,66 @@ export default function App() {
                     }}
                   >
                     {b}
+                    {info?.name && (
+                      <span style={{ fontWeight: 400, opacity: 0.8 }}> · {info.name}</span>
+                    )}
                   </button>
                 );
               })}
             </div>
 
             <div style={{ fontSize: 12, color: theme.caption, marginTop: 6 }}>
-              Click regions or branches to filter. <b>All (sum)</b> resets the full company view.
+              Click regions or branches to filter. <b>All (sum)</b> resets the full company view.{" "}
+              <button
+                type="button"
+                onClick={() => setShowBranchEditor((v) => !v)}
+                style={{
+                  background: "transparent",
+                  border: "none",
+                  color: theme.textMuted,
+                  textDecoration: "underline",
+                  fontSize: 12,
+                  cursor: "pointer",
+                  padding: 0,
+                }}
+              >
+                {showBranchEditor ? "Hide branch editor" : "Edit branches"}
+              </button>
             </div>
+
+            {branchMasterSource === "default" && branchMasterError && (
+              <div style={{ fontSize: 12, color: "#b45309", marginTop: 6 }}>
+                branches.json could not be loaded ({branchMasterError}); using the built-in branch list.
+              </div>
+            )}
+
+            {unassigned.length > 0 && (
+              <div style={{ fontSize: 12, color: "#b45309", marginTop: 6 }}>
+                Branches in this dataset without a region: {unassigned.join(", ")}
+              </div>
+            )}
+
+            {showBranchEditor && (
+              <BranchMasterEditor
+                master={branchMaster}
+                dataBranches={allBranches}
+                source={branchMasterSource}
+                loadFailed={Boolean(branchMasterError)}
+                onSave={saveBranchMaster}
+                onReset={resetBranchMaster}
+                onClose={() => setShowBranchEditor(false)}
+                theme={{
+                  surface: theme.surface,
+                  border: theme.border,
+                  shadow: theme.shadow,
+                  textPrimary: theme.textPrimary,
+                  textMuted: theme.textMuted,
+                  controlSurface: theme.controlSurface,
+                  controlBorder: theme.controlBorder,
+                  controlText: theme.controlText,
+                }}
+              />
+            )}
           </div>
 
           {/* Category picker */}
@@ -1459,7 +3068,7 @@ export default function App() {
 
             <ResponsiveContainer width="100%" height={420}>
               {viewMode === "line" ? (
-                <LineChart data={chartSource}>
+                <LineContainer data={displayData}>
                   <CartesianGrid strokeDasharray="3 3" stroke={theme.chartGrid} />
                   <XAxis
                     dataKey="month"
@@ -1471,7 +3080,7 @@ export default function App() {
                     tickLine={{ stroke: theme.chartAxis }}
                   />
                   <YAxis
-                    tickFormatter={(v) => (metric === "r12" ? fmtPct(v) : formatAbbrev(v))}
+                    tickFormatter={(v) => (isPercentMetric ? fmtPct(v) : formatAbbrev(v))}
                     label={{
                       value: chartTitle,
                       angle: -90,
@@ -1485,7 +3094,7 @@ export default function App() {
                   <Tooltip
                     labelFormatter={(label) => label}
                     formatter={(v) =>
-                      metric === "r12" ? fmtPct(v) : fmtValue(v, datasetConfig)
+                      Array.isArray(v) ? `${fmtMetric(v[0])} – ${fmtMetric(v[1])}` : fmtMetric(v)
                     }
                     contentStyle={{
                       backgroundColor: theme.tooltipBackground,
@@ -1506,29 +3115,98 @@ export default function App() {
                     onMouseLeave={() => setHoveredMetric(null)}
                   />
                   <ReferenceLine y={0} stroke={theme.chartReference} strokeDasharray="3 3" />
-                  {selectedMetrics.map((cat) => (
+                  {seriesKeys.map((cat) => (
                     <Line
                       key={cat}
                       type="monotone"
                       dataKey={cat}
-                      stroke={metricColors[cat] || theme.primarySurface}
+                      stroke={seriesColors[cat] || theme.primarySurface}
                       strokeWidth={activeHover === cat ? 2.75 : 2}
                       strokeOpacity={activeHover && activeHover !== cat ? 0.25 : 1}
                       dot={{
                         r: 2,
-                        stroke: metricColors[cat] || theme.primarySurface,
-                        fill: metricColors[cat] || theme.primarySurface,
+                        stroke: seriesColors[cat] || theme.primarySurface,
+                        fill: seriesColors[cat] || theme.primarySurface,
                         strokeOpacity: activeHover && activeHover !== cat ? 0.25 : 1,
                         fillOpacity: activeHover && activeHover !== cat ? 0.25 : 1,
                       }}
                       activeDot={{
                         r: 4,
-                        stroke: metricColors[cat] || theme.primarySurface,
-                        fill: metricColors[cat] || theme.primarySurface,
+                        stroke: seriesColors[cat] || theme.primarySurface,
+                        fill: seriesColors[cat] || theme.primarySurface,
                       }}
                       connectNulls
                     />
                   ))}
+                  {metric === "priorYear" &&
+                    seriesKeys.map((cat) => (
+                      <Line
+                        key={priorYearKey(cat)}
+                        type="monotone"
+                        dataKey={priorYearKey(cat)}
+                        stroke={seriesColors[cat] || theme.primarySurface}
+                        strokeWidth={1.5}
+                        strokeDasharray="5 4"
+                        strokeOpacity={activeHover && activeHover !== cat ? 0.15 : 0.5}
+                        dot={false}
+                        activeDot={{ r: 3 }}
+                        connectNulls
+                      />
+                    ))}
+                  {showBudget &&
+                    seriesKeys.map((cat) => (
+                      <Line
+                        key={budgetKey(cat)}
+                        type="stepAfter"
+                        dataKey={budgetKey(cat)}
+                        stroke={seriesColors[cat] || theme.primarySurface}
+                        strokeWidth={1.5}
+                        strokeDasharray="2 3"
+                        strokeOpacity={activeHover && activeHover !== cat ? 0.15 : 0.8}
+                        dot={false}
+                        activeDot={{ r: 3 }}
+                      />
+                    ))}
+                  {showForecast &&
+                    seriesKeys.map((cat) => (
+                      <Area
+                        key={forecastRangeKey(cat)}
+                        type="monotone"
+                        dataKey={forecastRangeKey(cat)}
+                        stroke="none"
+                        fill={seriesColors[cat] || theme.primarySurface}
+                        fillOpacity={activeHover && activeHover !== cat ? 0.04 : 0.15}
+                        legendType="none"
+                        isAnimationActive={false}
+                      />
+                    ))}
+                  {showForecast &&
+                    seriesKeys.map((cat) => (
+                      <Line
+                        key={forecastKey(cat)}
+                        type="monotone"
+                        dataKey={forecastKey(cat)}
+                        stroke={seriesColors[cat] || theme.primarySurface}
+                        strokeWidth={2}
+                        strokeDasharray="6 4"
+                        strokeOpacity={activeHover && activeHover !== cat ? 0.25 : 1}
+                        dot={false}
+                        activeDot={{ r: 3 }}
+                        legendType="none"
+                      />
+                    ))}
+                  {anomalyMarkers.map((a) => (
+                    <ReferenceDot
+                      key={a.id}
+                      x={a.month}
+                      y={a.actual}
+                      r={6}
+                      fill={a.note ? theme.negative : "none"}
+                      fillOpacity={0.35}
+                      stroke={theme.negative}
+                      strokeWidth={2}
+                    />
+                  ))}
                   <Brush
                     dataKey="month"
                     height={24}
@@ -1536,9 +3214,9 @@ export default function App() {
                     stroke={theme.brushStroke}
                     fill={theme.brushFill}
                   />
-                </LineChart>
+                </LineContainer>
               ) : (
-                <BarChart data={chartSource}>
+                <BarContainer data={displayData}>
                   <CartesianGrid strokeDasharray="3 3" stroke={theme.chartGrid} />
                   <XAxis
                     dataKey="month"
@@ -1550,7 +3228,7 @@ export default function App() {
                     tickLine={{ stroke: theme.chartAxis }}
                   />
                   <YAxis
-                    tickFormatter={(v) => (metric === "r12" ? fmtPct(v) : formatAbbrev(v))}
+                    tickFormatter={(v) => (isPercentMetric ? fmtPct(v) : formatAbbrev(v))}
                     label={{
                       value: chartTitle,
                       angle: -90,
@@ -1564,7 +3242,7 @@ export default function App() {
                   <Tooltip
                     labelFormatter={(label) => label}
                     formatter={(v) =>
-                      metric === "r12" ? fmtPct(v) : fmtValue(v, datasetConfig)
+                      Array.isArray(v) ? `${fmtMetric(v[0])} – ${fmtMetric(v[1])}` : fmtMetric(v)
                     }
                     contentStyle={{
                       backgroundColor: theme.tooltipBackground,
@@ -1585,14 +3263,47 @@ export default function App() {
                     onMouseLeave={() => setHoveredMetric(null)}
                   />
                   <ReferenceLine y={0} stroke={theme.chartReference} strokeDasharray="3 3" />
-                  {selectedMetrics.map((cat) => (
+                  {seriesKeys.map((cat) => (
                     <Bar
                       key={cat}
                       dataKey={cat}
-                      fill={metricColors[cat] || theme.primarySurface}
+                      fill={seriesColors[cat] || theme.primarySurface}
                       fillOpacity={activeHover && activeHover !== cat ? 0.35 : 1}
                     />
                   ))}
+                  {metric === "priorYear" &&
+                    seriesKeys.map((cat) => (
+                      <Bar
+                        key={priorYearKey(cat)}
+                        dataKey={priorYearKey(cat)}
+                        fill={seriesColors[cat] || theme.primarySurface}
+                        fillOpacity={activeHover && activeHover !== cat ? 0.12 : 0.4}
+                      />
+                    ))}
+                  {showBudget &&
+                    seriesKeys.map((cat) => (
+                      <Line
+                        key={budgetKey(cat)}
+                        type="step"
+                        dataKey={budgetKey(cat)}
+                        stroke={seriesColors[cat] || theme.primarySurface}
+                        strokeWidth={2}
+                        strokeDasharray="2 3"
+                        strokeOpacity={activeHover && activeHover !== cat ? 0.15 : 0.9}
+                        dot={false}
+                        activeDot={{ r: 3 }}
+                      />
+                    ))}
+                  {showForecast &&
+                    seriesKeys.map((cat) => (
+                      <Bar
+                        key={forecastKey(cat)}
+                        dataKey={forecastKey(cat)}
+                        fill={seriesColors[cat] || theme.primarySurface}
+                        fillOpacity={activeHover && activeHover !== cat ? 0.12 : 0.4}
+                        legendType="none"
+                      />
+                    ))}
                   <Brush
                     dataKey="month"
                     height={24}
@@ -1600,49 +3311,259 @@ export default function App() {
                     stroke={theme.brushStroke}
                     fill={theme.brushFill}
                   />
-                </BarChart>
+                </BarContainer>
               )}
             </ResponsiveContainer>
 
-            {metric === "r12" && (
+            {rollingStat === "growth" && (
+              <div style={{ marginTop: 6, fontSize: 12, color: theme.caption }}>
+                R{rollingWindowSize} growth requires {rollingWindowSize * 2} months of history. Early months without a full prior {rollingWindowSize}-month baseline are shown as blanks.
+              </div>
+            )}
+            {(rollingStat === "sum" || rollingStat === "avg") && (
+              <div style={{ marginTop: 6, fontSize: 12, color: theme.caption }}>
+                Rolling {rollingWindowSize} values require {rollingWindowSize} months of history. Months before a full {rollingWindowSize}-month window are shown as blanks.
+              </div>
+            )}
+            {(metric === "yoy" || metric === "yoyDelta") && (
+              <div style={{ marginTop: 6, fontSize: 12, color: theme.caption }}>
+                Each month is compared with the same month one year earlier. Months without a prior-year value are shown as blanks.
+              </div>
+            )}
+            {metric === "mom" && (
+              <div style={{ marginTop: 6, fontSize: 12, color: theme.caption }}>
+                Each month is compared with the previous month. Months without a prior month (or with a zero base) are shown as blanks.
+              </div>
+            )}
+            {metric === "priorYear" && (
               <div style={{ marginTop: 6, fontSize: 12, color: theme.caption }}>
-                R12 growth requires 24 months of history. Early months without a full prior 12-month baseline are shown as blanks.
+                Dashed series show the same month one year earlier for each selected category.
               </div>
             )}
-            {metric === "r12Value" && (
+            {viewMode === "line" && anomalyMarkers.length > 0 && (
               <div style={{ marginTop: 6, fontSize: 12, color: theme.caption }}>
-                Rolling 12 values require 12 months of history. Months before a full 12-month window are shown as blanks.
+                Red circles mark unusual months (filled when annotated); see Anomalies below.
+              </div>
+            )}
+            {budget && (
+              <div style={{ marginTop: 6, fontSize: 12, color: theme.caption }}>
+                {showBudget
+                  ? "Dotted lines are the budget targets for each series."
+                  : metric !== "value"
+                  ? "Budget targets are shown with the Value metric."
+                  : "The budget has no targets for the selected categories and branches."}
+              </div>
+            )}
+            {forecastMethod !== "none" && (
+              <div style={{ marginTop: 6, fontSize: 12, color: theme.caption }}>
+                {!forecastActive
+                  ? "Forecasts are shown with the Value metric."
+                  : showForecast
+                  ? `${viewMode === "line" ? "Dashed lines" : "Faded bars"} project ${forecastHorizon} months with ${forecastMethodLabel}` +
+                    `${forecastBasis === "branch" ? ", summed from each branch's own forecast" : ""}` +
+                    `${viewMode === "line" ? `; shaded bands are the ${Math.round(forecastLevel * 100)}% prediction interval` : ""}.`
+                  : forecastPoints.length
+                  ? "Extend the date range to the latest month to see the forecast."
+                  : forecast.profile === dataProfile
+                  ? `Not enough history to forecast with ${forecastMethodLabel} (${forecastMethod === "seasonalNaive" ? "13 months" : "two years"} needed).`
+                  : "Forecasting…"}
               </div>
             )}
           </div>
 
+          <SeasonalityPanel
+            open={showSeasonality}
+            onToggle={() => setShowSeasonality((v) => !v)}
+            series={seasonalSeries}
+            months={seasonMonths(fiscalYearStart).map((m) => m.label)}
+            index={seasonality.profile === dataProfile ? seasonality.index : null}
+            indexLabel={combinedMetrics.join(" + ")}
+            formatValue={(v) => fmtValue(v, datasetConfig)}
+            formatAxis={formatAbbrev}
+            describeBranch={describeBranch}
+            theme={{
+              surface: theme.surface,
+              border: theme.border,
+              shadow: theme.shadow,
+              textPrimary: theme.textPrimary,
+              textMuted: theme.textMuted,
+              controlSurface: theme.controlSurface,
+              controlBorder: theme.controlBorder,
+              controlText: theme.controlText,
+              chartGrid: theme.chartGrid,
+              chartAxis: theme.chartAxis,
+              chartTick: theme.chartTick,
+              tooltipBackground: theme.tooltipBackground,
+              tooltipBorder: theme.tooltipBorder,
+              tooltipText: theme.tooltipText,
+              positive: theme.positive,
+              negative: theme.negative,
+            }}
+          />
+
+          <AnomaliesPanel
+            anomalies={anomalies}
+            threshold={anomalyThreshold}
+            formatValue={(v) => fmtValue(v, datasetConfig)}
+            onThresholdChange={setAnomalyThreshold}
+            onFocus={focusAnomaly}
+            onDismiss={(id) => updateAnomalyNote(id, { dismissed: true })}
+            onRestore={(id) => updateAnomalyNote(id, { dismissed: false })}
+            onNote={(id, note) => updateAnomalyNote(id, { note })}
+            theme={{
+              surface: theme.surface,
+              border: theme.border,
+              shadow: theme.shadow,
+              textPrimary: theme.textPrimary,
+              textMuted: theme.textMuted,
+              controlSurface: theme.controlSurface,
+              controlBorder: theme.controlBorder,
+              controlText: theme.controlText,
+            }}
+          />
+
+          <BranchRanking
+            open={showRanking}
+            onToggle={() => setShowRanking((v) => !v)}
+            rows={ranking.profile === dataProfile ? ranking.leaderboard.rows : null}
+            periods={
+              ranking.profile === dataProfile && ranking.leaderboard.ranges
+                ? Object.fromEntries(
+                    Object.entries(ranking.leaderboard.ranges).map(([name, range]) => [name, range && rangeText(range)])
+                  )
+                : null
+            }
+            metricLabel={combinedMetrics.join(" + ")}
+            formatValue={(v) => fmtValue(v, datasetConfig)}
+            formatPct={fmtPct}
+            describeBranch={describeBranch}
+            theme={{
+              surface: theme.surface,
+              border: theme.border,
+              shadow: theme.shadow,
+              textPrimary: theme.textPrimary,
+              textMuted: theme.textMuted,
+              controlSurface: theme.controlSurface,
+              controlBorder: theme.controlBorder,
+              controlText: theme.controlText,
+              trend: theme.primarySurface,
+              positive: theme.positive,
+              negative: theme.negative,
+            }}
+          />
+
           {/* Summary */}
           <div style={{ marginTop: 16 }}>
             <h3 style={{ margin: "0 0 8px 0", textAlign: "center" }}>Summary</h3>
             <div style={{ display: "flex", flexWrap: "wrap", gap: 10 }}>
-              {selectedMetrics.map((cat) => {
+              {seriesKeys.map((cat) => {
                 const s = summaryStats[cat];
                 if (!s) return null;
+                const overlap =
+                  groupBy === "none" ? metricOverlaps.find((o) => o.metric === cat) : null;
                 return (
                   <div key={cat} className="summary-card" style={{ flex: "1 1 220px" }}>
                     <div className="summary-title">{cat}</div>
                     <div className="summary-row">
-                      Latest: <b>{metric === "r12" ? fmtPct(s.latest) : fmtValue(s.latest, datasetConfig)}</b>
+                      Latest: <b>{fmtMetric(s.latest)}</b>
                     </div>
                     <div className="summary-row">
-                      Avg: <b>{metric === "r12" ? fmtPct(s.avg) : fmtValue(s.avg, datasetConfig)}</b>
+                      Avg: <b>{fmtMetric(s.avg)}</b>
                     </div>
+                    {[
+                      ["Vs budget", budgetCards?.window[cat]],
+                      ["YTD vs budget", budgetCards?.ytd[cat]],
+                    ].map(
+                      ([label, v]) =>
+                        v && (
+                          <div key={label} className="summary-row">
+                            {label}:{" "}
+                            <b style={{ color: varianceColor(v.amount) }}>
+                              {fmtSigned(v.amount, (n) => fmtValue(n, datasetConfig))}
+                              {v.pct != null && ` (${fmtSigned(v.pct, fmtPct)})`}
+                            </b>
+                          </div>
+                        )
+                    )}
+                    {overlap && (
+                      <div className="summary-row" style={{ fontSize: 12, color: theme.textMuted }}>
+                        Included in {overlap.ancestor}
+                      </div>
+                    )}
                   </div>
                 );
               })}
+              {combinedStats && (
+                <div className="summary-card" style={{ flex: "1 1 220px" }}>
+                  <div className="summary-title">Combined ({countedSelection.length} of {selectedMetrics.length})</div>
+                  <div className="summary-row">
+                    Latest: <b>{fmtMetric(combinedStats.latest)}</b>
+                  </div>
+                  <div className="summary-row">
+                    Avg: <b>{fmtMetric(combinedStats.avg)}</b>
+                  </div>
+                </div>
+              )}
             </div>
 
+            {groupBy === "none" && metricOverlaps.length > 0 && (
+              <div
+                style={{
+                  marginTop: 10,
+                  padding: "8px 12px",
+                  borderRadius: 8,
+                  border: "1px solid #f59e0b",
+                  color: theme.textPrimary,
+                  fontSize: 13,
+                  display: "flex",
+                  flexWrap: "wrap",
+                  alignItems: "center",
+                  gap: 8,
+                }}
+              >
+                <span>
+                  Overlapping categories:{" "}
+                  {metricOverlaps.map((o) => `${o.metric} is part of ${o.ancestor}`).join("; ")}.
+                </span>
+                <label style={{ display: "flex", alignItems: "center", gap: 6 }}>
+                  Totals count
+                  <select
+                    className="select"
+                    value={totalMode}
+                    onChange={(e) => setTotalMode(e.target.value)}
+                  >
+                    {TOTAL_MODE_OPTIONS.map((o) => (
+                      <option key={o.value} value={o.value}>{o.label}</option>
+                    ))}
+                  </select>
+                </label>
+              </div>
+            )}
+
             {/* Summary by Branch (value metric) */}
-            {metric !== "r12" && branchSummary.rows.length > 0 && (
+            {!isPercentMetric && branchSummary.rows.length > 0 && (
               <div style={{ marginTop: 20 }}>
                 <h4 style={{ margin: "0 0 6px 0", textAlign: "center" }}>
                   Summary by Branch (current selection)
                 </h4>
+                <label
+                  style={{
+                    display: "flex",
+                    justifyContent: "center",
+                    alignItems: "center",
+                    gap: 6,
+                    fontSize: 12,
+                    color: theme.textMuted,
+                    marginBottom: 6,
+                  }}
+                >
+                  <input
+                    type="checkbox"
+                    checked={regionSubtotals}
+                    onChange={(e) => setRegionSubtotals(e.target.checked)}
+                  />
+                  Region subtotals
+                </label>
                 <div
                   style={{
                     overflowX: "auto",
@@ -1659,23 +3580,65 @@ export default function App() {
                         {selectedMetrics.map((c) => (
                           <th key={c} style={{ ...thCell, textAlign: "right" }}>{c}</th>
                         ))}
-                        <th style={{ ...thCell, textAlign: "right" }}>Total</th>
+                        <th
+                          style={{ ...thCell, textAlign: "right" }}
+                          title={
+                            countedSelection.length < selectedMetrics.length
+                              ? `Sums ${countedSelection.join(", ")}`
+                              : undefined
+                          }
+                        >
+                          Total{countedSelection.length < selectedMetrics.length ? "*" : ""}
+                        </th>
+                        {budget &&
+                          [
+                            ["Budget", budgetRangeTitle],
+                            ["Var $", budgetRangeTitle],
+                            ["Var %", budgetRangeTitle],
+                            ["YTD Var $", ytdRangeTitle],
+                            ["YTD Var %", ytdRangeTitle],
+                          ].map(([label, title]) => (
+                            <th key={label} style={{ ...thCell, textAlign: "right" }} title={title}>
+                              {label}
+                            </th>
+                          ))}
                       </tr>
                     </thead>
                     <tbody>
-                      {branchSummary.rows.map((r) => (
-                        <tr key={r.Branch} style={{ borderTop: `1px solid ${theme.tableRowBorder}` }}>
-                          <td style={tdCell}>{r.Branch}</td>
-                          {selectedMetrics.map((c) => (
-                            <td key={c} style={{ ...tdCell, textAlign: "right", fontVariantNumeric: "tabular-nums" }}>
-                              {fmtValue(r[c] || 0, datasetConfig)}
-                            </td>
-                          ))}
-                          <td style={{ ...tdCell, textAlign: "right", fontWeight: 600, fontVariantNumeric: "tabular-nums" }}>
-                            {fmtValue(r.__total || 0, datasetConfig)}
-                          </td>
-                        </tr>
-                      ))}
+                      {showRegionSubtotals
+                        ? branchSummaryGroups.map((g) => {
+                            const collapsed = collapsedRegions.has(g.region);
+                            return (
+                              <React.Fragment key={`region:${g.region}`}>
+                                <tr
+                                  onClick={() => toggleRegionCollapsed(g.region)}
+                                  style={{
+                                    borderTop: `1px solid ${theme.borderStrong}`,
+                                    background: theme.surfaceMuted,
+                                    cursor: "pointer",
+                                  }}
+                                >
+                                  <td style={{ ...tdCell, fontWeight: 700 }}>
+                                    {collapsed ? "▸" : "▾"} {g.region}
+                                    <span style={{ color: theme.textMuted, fontWeight: 400 }}>
+                                      {" "}({g.rows.length})
+                                    </span>
+                                  </td>
+                                  {selectedMetrics.map((c) => (
+                                    <td key={c} style={{ ...tdCell, textAlign: "right", fontWeight: 700, fontVariantNumeric: "tabular-nums" }}>
+                                      {fmtValue(g.subtotal[c] || 0, datasetConfig)}
+                                    </td>
+                                  ))}
+                                  <td style={{ ...tdCell, textAlign: "right", fontWeight: 700, fontVariantNumeric: "tabular-nums" }}>
+                                    {fmtValue(g.subtotal.__total || 0, datasetConfig)}
+                                  </td>
+                                  {renderBudgetCells(g.rows.map((r) => r.Branch), 700)}
+                                </tr>
+                                {!collapsed && g.rows.map((r) => renderBranchRow(r, true))}
+                              </React.Fragment>
+                            );
+                          })
+                        : branchSummary.rows.map((r) => renderBranchRow(r, false))}
                     </tbody>
                     <tfoot>
                       <tr style={{ borderTop: `2px solid ${theme.borderStrong}`, background: theme.tableFooterBg }}>
@@ -1688,12 +3651,18 @@ export default function App() {
                         <td style={{ ...tdCell, textAlign: "right", fontWeight: 800, fontVariantNumeric: "tabular-nums" }}>
                           {fmtValue(branchSummary.totals.__total || 0, datasetConfig)}
                         </td>
+                        {renderBudgetCells(null, 700)}
                       </tr>
                     </tfoot>
                   </table>
                 </div>
                 <div style={{ color: theme.caption, fontSize: 12, marginTop: 6, textAlign: "center" }}>
                   Includes filters: date range, branch picker, and selected categories.
+                  {budget &&
+                    (budgetWindow
+                      ? ` Variances compare actuals with the budget for ${rangeText(budgetWindow)}` +
+                        `${ytdWindow ? `; YTD covers ${rangeText(ytdWindow)}` : ""}.`
+                      : " The budget does not cover the selected date range.")}
                 </div>
               </div>
             )}
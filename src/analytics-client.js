@@ -0,0 +1,77 @@
+import { runJob } from "./analytics-jobs";
+
+// One shared analytics worker for the page. Where workers are unavailable (older browsers,
+// tests) the same jobs run on the main thread with identical results.
+let worker = null;
+let workerFailed = false;
+let nextId = 1;
+const pending = new Map();
+
+function getWorker() {
+  if (worker || workerFailed) return worker;
+  if (typeof Worker === "undefined") {
+    workerFailed = true;
+    return null;
+  }
+  try {
+    worker = new Worker(new URL("./analytics.worker.js", import.meta.url), { type: "module" });
+  } catch (err) {
+    console.warn("Analytics worker unavailable; running on the main thread.", err);
+    workerFailed = true;
+    return null;
+  }
+  worker.onmessage = ({ data }) => {
+    const job = pending.get(data.id);
+    if (!job) return;
+    if (data.progress) {
+      job.onProgress?.(data.progress);
+      return;
+    }
+    pending.delete(data.id);
+    if (data.error) {
+      const err = new Error(data.error.message);
+      err.name = data.error.name || "Error";
+      job.reject(err);
+    } else {
+      job.resolve(data.result);
+    }
+  };
+  worker.onerror = (event) => {
+    console.error("Analytics worker failed", event.message || event);
+    pending.forEach((job) => job.reject(new Error("Analytics worker failed.")));
+    pending.clear();
+  };
+  return worker;
+}
+
+const abortError = () => new DOMException("The operation was aborted.", "AbortError");
+
+export const isAbortError = (err) => err?.name === "AbortError";
+
+/**
+ * Runs an analytics job (see analytics-jobs.js) and resolves with its result. `signal`
+ * cancels it, rejecting with an AbortError; `onProgress` receives
+ * `{ phase: "download" | "parse", loaded, total }` updates from load and parse jobs.
+ */
+export function runAnalytics(type, payload, { signal, onProgress } = {}) {
+  const w = getWorker();
+  if (!w) return runJob(type, payload, { signal, onProgress });
+  if (signal?.aborted) return Promise.reject(abortError());
+
+  const id = nextId++;
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      if (!pending.has(id)) return;
+      pending.delete(id);
+      w.postMessage({ id, type: "cancel" });
+      reject(abortError());
+    };
+    const done = (fn) => (value) => {
+      signal?.removeEventListener("abort", onAbort);
+      fn(value);
+    };
+    pending.set(id, { resolve: done(resolve), reject: done(reject), onProgress });
+    signal?.addEventListener("abort", onAbort, { once: true });
+    w.postMessage({ id, type, payload });
+  });
+}
@@ -0,0 +1,335 @@
+import Papa from "papaparse";
+import {
+  PARSE_OPTIONS,
+  normalizeParsedRows,
+  cleanHeaders,
+  expandCompiled,
+  buildCube,
+  cubeMonthly,
+  cubeMonthlyByGroup,
+  cubeBranchSummary,
+  seriesValues,
+  forecastSeries,
+  sumForecasts,
+  forecastPoints,
+  forecastMonthly,
+  withCombinedSeries,
+  seasonalIndex,
+  rankBranches,
+  strFromYM,
+  clampYM,
+  addMonths,
+  toCalendarRows,
+  datasetBounds,
+  listMetrics,
+  listBranches,
+  listFiscalYears,
+  validateRows,
+  crossCheckRows,
+  sortExceptions,
+} from "./analytics";
+import { contentHash } from "./dataset-store";
+
+// The heavy work behind dataset loading and the chart: fetching, parsing and aggregating.
+// analytics.worker.js runs these off the UI thread; analytics-client.js calls them directly
+// where workers are unavailable. Every job takes `{ signal, onProgress }` and rejects with
+// an AbortError once the signal fires.
+
+const CHUNK_SIZE = 256 * 1024;
+
+const abortError = () => new DOMException("The operation was aborted.", "AbortError");
+
+const throwIfAborted = (signal) => {
+  if (signal?.aborted) throw abortError();
+};
+
+// Response text, reporting bytes read when the body can be streamed
+async function readText(resp, { signal, onProgress, total }) {
+  const length = Number(resp.headers?.get?.("content-length")) || total || 0;
+  if (!resp.body?.getReader) {
+    const text = await resp.text();
+    onProgress?.({ phase: "download", loaded: text.length, total: text.length });
+    return text;
+  }
+  const reader = resp.body.getReader();
+  const decoder = new TextDecoder();
+  let text = "";
+  let loaded = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    throwIfAborted(signal);
+    if (done) break;
+    loaded += value.byteLength;
+    text += decoder.decode(value, { stream: true });
+    onProgress?.({ phase: "download", loaded, total: length });
+  }
+  return text + decoder.decode();
+}
+
+// Papa in chunks, yielding between them so a cancel can land mid-file
+function parseInChunks(input, { signal, onProgress, total }) {
+  return new Promise((resolve, reject) => {
+    const records = [];
+    let fields = null;
+    Papa.parse(input, {
+      ...PARSE_OPTIONS,
+      chunkSize: CHUNK_SIZE,
+      chunk: (res, parser) => {
+        if (!fields) fields = res.meta.fields || [];
+        for (const record of res.data) records.push(record);
+        onProgress?.({ phase: "parse", loaded: res.meta.cursor, total });
+        parser.pause();
+        setTimeout(() => (signal?.aborted ? parser.abort() : parser.resume()), 0);
+      },
+      complete: () => (signal?.aborted ? reject(abortError()) : resolve({ fields: fields || [], records })),
+      error: reject,
+    });
+  });
+}
+
+// Bundled datasets' rows as parsed, by the loader's key. They stay here so making one the
+// active dataset (or a validation reference) doesn't send them back from the page.
+const loaded = new Map();
+
+// Load result for `rows`, keeping them under `key`; `withRows: false` leaves them in the
+// worker only
+function retain({ key, withRows = true }, rows, fields = {}) {
+  if (key) loaded.set(key, rows);
+  return { ...fields, rowCount: rows.length, ...(withRows && { rows }) };
+}
+
+async function loadCsv({ url, hash, size, key, withRows }, { signal, onProgress }) {
+  if (key && hash && loaded.has(key)) return retain({ key, withRows }, loaded.get(key), { hash, size });
+  const resp = await fetch(url, { signal });
+  if (!resp.ok) throw new Error(`Failed to load ${url}`);
+  const text = await readText(resp, { signal, onProgress, total: size });
+  const { fields, records } = await parseInChunks(text, { signal, onProgress, total: text.length });
+  return retain({ key, withRows }, normalizeParsedRows(records, fields), {
+    hash: hash || (await contentHash(text)),
+    size: size ?? text.length,
+  });
+}
+
+async function loadCompiled({ url, hash, size, key, withRows }, { signal, onProgress }) {
+  if (key && hash && loaded.has(key)) return retain({ key, withRows }, loaded.get(key));
+  const resp = await fetch(url, { signal });
+  if (!resp.ok) throw new Error(`Failed to load ${url}`);
+  const compiled = JSON.parse(await readText(resp, { signal, onProgress, total: size }));
+  // A compiled copy from another version of the CSV would show stale numbers
+  if (hash && compiled.hash !== hash) throw new Error(`${url} is out of date`);
+  return retain({ key, withRows }, expandCompiled(compiled));
+}
+
+// Uploaded CSV -> raw records for the column mapping step
+async function parseFile({ file }, { signal, onProgress }) {
+  const { fields, records } = await parseInChunks(file, { signal, onProgress, total: file.size });
+  const headers = cleanHeaders(fields);
+  if (!headers.length) throw new Error(`No headers found in ${file.name}.`);
+  return { headers, records };
+}
+
+// The dataset the other jobs query: its key, its rows as parsed (Year/Period may be fiscal)
+// and the cube of their calendar months. Set once per dataset or fiscal start change rather
+// than with every request.
+let activeKey = null;
+let activeSource = [];
+let activeCube = buildCube([]);
+
+/**
+ * Makes a dataset the active one and returns what the page shows of it:
+ * `{ rowCount, bounds, metrics, branches, years }`, bounds as `{ minStr, maxStr }` or null.
+ * `rows` come from the page (uploads, stored datasets); without them the rows already held
+ * under `key` are used. Period columns are read as fiscal periods from `fiscalYearStart`.
+ * A failure leaves no active dataset, so later jobs answer empty rather than from the last one.
+ */
+function setRows({ key = null, rows, fiscalYearStart = 1 }) {
+  const source = Array.isArray(rows) ? rows : key !== null && key === activeKey ? activeSource : loaded.get(key);
+  activeKey = null;
+  activeSource = [];
+  activeCube = buildCube([]);
+  if (!source) throw new Error("The dataset is no longer loaded; select it again.");
+  const calendar = toCalendarRows(source, fiscalYearStart);
+  activeCube = buildCube(calendar);
+  activeKey = key;
+  activeSource = source;
+  const bounds = datasetBounds(calendar);
+  return {
+    rowCount: source.length,
+    bounds: bounds && { minStr: bounds.minStr, maxStr: bounds.maxStr },
+    metrics: listMetrics(calendar),
+    branches: listBranches(calendar),
+    years: listFiscalYears(calendar, fiscalYearStart),
+  };
+}
+
+/**
+ * Data-quality exceptions of the active dataset: its own checks, then a cell-by-cell
+ * comparison with the rows held under `reference.key` (a bundled rollup), limited to the
+ * months and branches the dataset covers so a partial file isn't reported as missing the
+ * rest. `referenceName` is null when there was nothing to compare with.
+ */
+function validate({ parents, equivalents, tolerance, reference }) {
+  const own = validateRows(activeSource, { parents, tolerance });
+  const referenceRows = reference ? loaded.get(reference.key) : null;
+  if (!referenceRows || !activeSource.length) return { exceptions: own, referenceName: null };
+  const bounds = datasetBounds(activeSource);
+  const cross = crossCheckRows(referenceRows, activeSource, {
+    equivalents,
+    tolerance,
+    referenceName: reference.name,
+    start: bounds.minStr,
+    end: bounds.maxStr,
+    branches: [...new Set(activeSource.map((r) => r.Branch))],
+  });
+  return { exceptions: sortExceptions([...own, ...cross]), referenceName: reference.name };
+}
+
+// Grouped views name their series by branch code or by the region in `regionByBranch`
+const groupFn = (groups) =>
+  groups.by === "branch"
+    ? (code) => code || null
+    : (code) => (code ? groups.regionByBranch[code] || groups.fallback : null);
+
+/**
+ * The chart's window (`chart`), the all-months series behind rolling and comparison
+ * modes (`allMonths`) and the branch table (`summary`), for the current rows. `ranges`
+ * (`{ [name]: { start, end } }`) adds a branch table per named range, as `rangeSummaries`.
+ */
+function aggregate({ groups, metrics, metric, branches, start, end, fiscalYearStart, totalMetrics, ranges = {} }) {
+  const cube = activeCube;
+  if (!cube.months) return { chart: [], allMonths: [], summary: { rows: [], totals: {} }, rangeSummaries: {} };
+  const monthly = (range) =>
+    groups
+      ? cubeMonthlyByGroup(cube, { metric, groupOf: groupFn(groups), branches, fiscalYearStart, ...range })
+      : cubeMonthly(cube, { branches, fiscalYearStart, ...range });
+  return {
+    chart: groups
+      ? monthly({ start, end })
+      : cubeMonthly(cube, { branches, metrics, start, end, fiscalYearStart }),
+    allMonths: monthly({}),
+    summary: cubeBranchSummary(cube, { branches, metrics, totalMetrics, start, end }),
+    rangeSummaries: Object.fromEntries(
+      Object.entries(ranges).map(([name, range]) => [
+        name,
+        cubeBranchSummary(cube, { branches, metrics, totalMetrics, ...range }),
+      ])
+    ),
+  };
+}
+
+/**
+ * Projections of the chart's series (`keys`) past the last month of data. The "total" basis
+ * forecasts each series as charted; "branch" forecasts every selected branch on its own and
+ * sums them into the series it belongs to. Rows without a branch only count in the total.
+ */
+function forecast({ groups, keys, metric, branches, method, horizon, level, basis, fiscalYearStart }) {
+  const cube = activeCube;
+  if (!cube.months || !keys?.length) return [];
+  const end = { Year: cube.years[cube.months - 1], Month: cube.monthNums[cube.months - 1] };
+  const codes = (Array.isArray(branches) ? branches : cube.branches).filter(Boolean);
+
+  if (basis !== "branch" || !codes.length) {
+    const monthly = groups
+      ? cubeMonthlyByGroup(cube, { metric, groupOf: groupFn(groups), branches })
+      : cubeMonthly(cube, { branches, metrics: keys });
+    return forecastMonthly(monthly, keys, { end, method, horizon, level, fiscalYearStart });
+  }
+
+  const parts = Object.fromEntries(keys.map((key) => [key, []]));
+  const groupOf = groups ? groupFn(groups) : null;
+  for (const code of codes) {
+    const monthly = cubeMonthly(cube, { branches: [code], metrics: groups ? [metric] : keys });
+    const project = (category) => forecastSeries(seriesValues(monthly, category, end), { method, horizon });
+    if (groupOf) parts[groupOf(code)]?.push(project(metric));
+    else keys.forEach((key) => parts[key].push(project(key)));
+  }
+  const forecasts = Object.fromEntries(Object.entries(parts).map(([key, list]) => [key, sumForecasts(list)]));
+  return forecastPoints(end, forecasts, { level, fiscalYearStart });
+}
+
+// Series key for the summed categories behind the seasonal index
+const SEASONAL_KEY = "__seasonal";
+
+/**
+ * Seasonal index of the summed `metrics` between `start` and `end`, for the whole selection
+ * (`total`) and each of its branches with data (`branches: [{ Branch, index }]`).
+ */
+function seasonality({ metrics, branches, start, end, fiscalYearStart }) {
+  const cube = activeCube;
+  if (!cube.months || !metrics?.length) return { total: [], branches: [] };
+  const indexOf = (codes) => {
+    const monthly = withCombinedSeries(
+      cubeMonthly(cube, { branches: codes, metrics, start, end }),
+      metrics,
+      SEASONAL_KEY
+    );
+    return seasonalIndex(monthly, SEASONAL_KEY, { fiscalYearStart });
+  };
+  const codes = (Array.isArray(branches) ? branches : cube.branches).filter(Boolean);
+  return {
+    total: indexOf(branches),
+    branches: codes
+      .map((Branch) => ({ Branch, index: indexOf([Branch]) }))
+      .filter((b) => b.index.some((v) => v !== null))
+      .sort((a, b) => a.Branch.localeCompare(b.Branch, undefined, { numeric: true })),
+  };
+}
+
+// Series key for the summed categories behind each branch's trend
+const TREND_KEY = "__trend";
+
+/**
+ * Leaderboard of the selected branches by the summed `metrics` between `start` and `end`
+ * (clamped to the data): `rankBranches` rows plus each branch's month-by-month `trend`, and
+ * the windows behind them (`ranges`). Growth only covers months whose year-earlier month is
+ * in the data, so YoY compares `compared` (the date range from the data's second year on)
+ * with `prior`; either comparison is null without that history. Shares are of the whole
+ * company, whatever the branch filter.
+ */
+function ranking({ metrics, branches, start, end }) {
+  const cube = activeCube;
+  if (!cube.months || !metrics?.length) return { rows: [], ranges: null };
+  const first = strFromYM(cube.years[0], cube.monthNums[0]);
+  const last = strFromYM(cube.years[cube.months - 1], cube.monthNums[cube.months - 1]);
+  const to = clampYM(end || last, first, last);
+  const from = clampYM(start || first, first, to);
+  const yearBack = (range) => ({ start: addMonths(range.start, -12), end: addMonths(range.end, -12) });
+  const comparedStart = [from, addMonths(first, 12)].sort().pop();
+  const compared = comparedStart <= to ? { start: comparedStart, end: to } : null;
+  const r12 = addMonths(to, -23) >= first ? { start: addMonths(to, -11), end: to } : null;
+  const ranges = {
+    current: { start: from, end: to },
+    compared,
+    prior: compared && yearBack(compared),
+    r12,
+    r12Prior: r12 && yearBack(r12),
+  };
+  const summary = (range, codes = branches) =>
+    range ? cubeBranchSummary(cube, { branches: codes, metrics, ...range }) : undefined;
+  const rows = rankBranches(summary(ranges.current), {
+    compared: summary(ranges.compared),
+    prior: summary(ranges.prior),
+    r12: summary(ranges.r12),
+    r12Prior: summary(ranges.r12Prior),
+    companyTotal: summary(ranges.current, null).totals.__total,
+  });
+  const [Year, Month] = to.split("-").map(Number);
+  return {
+    rows: rows.map((r) => {
+      const monthly = cubeMonthly(cube, { branches: [r.Branch], metrics, ...ranges.current });
+      return { ...r, trend: seriesValues(withCombinedSeries(monthly, metrics, TREND_KEY), TREND_KEY, { Year, Month }) };
+    }),
+    ranges,
+  };
+}
+
+const JOBS = { loadCsv, loadCompiled, parseFile, setRows, validate, aggregate, forecast, seasonality, ranking };
+
+export async function runJob(type, payload, { signal, onProgress } = {}) {
+  const job = JOBS[type];
+  if (!job) throw new Error(`Unknown analytics job "${type}".`);
+  throwIfAborted(signal);
+  const result = await job(payload, { signal, onProgress });
+  throwIfAborted(signal);
+  return result;
+}
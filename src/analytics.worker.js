@@ -0,0 +1,26 @@
+import { runJob } from "./analytics-jobs";
+
+// Runs analytics jobs off the UI thread. Messages in: { id, type, payload } to start a job,
+// { id, type: "cancel" } to abort it. Messages out: { id, progress }, { id, result } or { id, error }.
+const running = new Map();
+
+self.onmessage = async ({ data }) => {
+  const { id, type, payload } = data;
+  if (type === "cancel") {
+    running.get(id)?.abort();
+    return;
+  }
+  const controller = new AbortController();
+  running.set(id, controller);
+  try {
+    const result = await runJob(type, payload, {
+      signal: controller.signal,
+      onProgress: (progress) => self.postMessage({ id, progress }),
+    });
+    self.postMessage({ id, result });
+  } catch (err) {
+    self.postMessage({ id, error: { name: err?.name, message: err?.message || String(err) } });
+  } finally {
+    running.delete(id);
+  }
+};
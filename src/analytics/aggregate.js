@@ -0,0 +1,195 @@
+import { DIMENSION_COLUMN_NAMES } from "./parse.js";
+import { rangeKeys, strFromKey, ymToKey } from "./dates.js";
+import { periodLabel } from "./fiscal.js";
+
+// `branches` is an array of branch codes, or null/undefined for every branch
+export function makeBranchMatcher(branches) {
+  if (!Array.isArray(branches)) return () => true;
+  const set = new Set(branches);
+  return (r) => Boolean(r.Branch) && set.has(r.Branch);
+}
+
+export function filterRows(rows, { branches, start, end, metrics } = {}) {
+  const matchBranch = makeBranchMatcher(branches);
+  const range = rangeKeys(start, end);
+  const metricSet = Array.isArray(metrics) ? new Set(metrics) : null;
+  return rows.filter((r) => {
+    if (!matchBranch(r)) return false;
+    if (metricSet && !metricSet.has(r.Category)) return false;
+    if (!range) return true;
+    const k = ymToKey(r.Year, r.Month);
+    return k >= range.startKey && k <= range.endKey;
+  });
+}
+
+// Earliest/latest month present; loops rather than spreading into Math.min/max
+export function datasetBounds(rows) {
+  let minKey = Infinity;
+  let maxKey = -Infinity;
+  for (const r of rows) {
+    const k = ymToKey(r.Year, r.Month);
+    if (k < minKey) minKey = k;
+    if (k > maxKey) maxKey = k;
+  }
+  if (!Number.isFinite(minKey)) return null;
+  return { minKey, maxKey, minStr: strFromKey(minKey), maxStr: strFromKey(maxKey) };
+}
+
+export function listYears(rows) {
+  return [...new Set(rows.map((r) => r.Year))].sort((a, b) => a - b);
+}
+
+export function listBranches(rows) {
+  return [...new Set(rows.map((r) => r.Branch).filter(Boolean))].sort();
+}
+
+// Categories in first-seen order, skipping anything that looks like a dimension
+export function listMetrics(rows) {
+  const seen = new Set();
+  const ordered = [];
+  for (const row of rows) {
+    const name = row?.Category;
+    if (!name) continue;
+    if (DIMENSION_COLUMN_NAMES.has(String(name).trim().toLowerCase())) continue;
+    if (seen.has(name)) continue;
+    seen.add(name);
+    ordered.push(name);
+  }
+  return ordered;
+}
+
+const sortByMonth = (a, b) => a.Year - b.Year || a.Month - b.Month;
+
+/**
+ * One point per month, summing each category across the matched branches.
+ * When `metrics` is given only those categories are summed, but every month
+ * inside the window still gets a point so the axis stays continuous.
+ * `fiscalYearStart` only changes the `month` labels (e.g. "FY25 P03").
+ */
+export function aggregateMonthly(rows, { branches, metrics, start, end, fiscalYearStart = 1 } = {}) {
+  const matchBranch = makeBranchMatcher(branches);
+  const range = rangeKeys(start, end);
+  const metricSet = Array.isArray(metrics) ? new Set(metrics) : null;
+  const map = new Map();
+
+  for (const r of rows) {
+    if (!matchBranch(r)) continue;
+    const k = ymToKey(r.Year, r.Month);
+    if (range && (k < range.startKey || k > range.endKey)) continue;
+
+    let obj = map.get(k);
+    if (!obj) {
+      obj = {
+        month: periodLabel(r.Year, r.Month, fiscalYearStart),
+        Year: r.Year,
+        Month: r.Month,
+      };
+      map.set(k, obj);
+    }
+    if (metricSet && !metricSet.has(r.Category)) continue;
+    obj[r.Category] = (obj[r.Category] || 0) + (Number(r.Value) || 0);
+  }
+  return Array.from(map.values()).sort(sortByMonth);
+}
+
+/**
+ * Branch-level totals across the window, plus a grand total row.
+ * `__total` only adds up `totalMetrics` (default: every metric), so callers can
+ * leave out components already included in a selected total column.
+ */
+export function summarizeByBranch(rows, { branches, metrics = [], totalMetrics, start, end } = {}) {
+  if (!rows.length || !metrics.length) return { rows: [], totals: {} };
+
+  const matchBranch = makeBranchMatcher(branches);
+  const range = rangeKeys(start, end);
+  const metricSet = new Set(metrics);
+  const countedSet = new Set(totalMetrics ?? metrics);
+
+  const byBranch = new Map(); // branch -> { [cat]: sum, __total: sum }
+  const totals = Object.fromEntries(metrics.map((c) => [c, 0]));
+  let grand = 0;
+
+  for (const r of rows) {
+    if (!matchBranch(r)) continue;
+    if (!metricSet.has(r.Category)) continue;
+    const k = ymToKey(r.Year, r.Month);
+    if (range && (k < range.startKey || k > range.endKey)) continue;
+
+    const b = (r.Branch && String(r.Branch).trim()) || "(Blank)";
+    if (!byBranch.has(b)) {
+      const init = Object.fromEntries(metrics.map((c) => [c, 0]));
+      init.__total = 0;
+      byBranch.set(b, init);
+    }
+    const acc = byBranch.get(b);
+    const v = Number(r.Value) || 0;
+    acc[r.Category] += v;
+    totals[r.Category] += v;
+    if (countedSet.has(r.Category)) {
+      acc.__total += v;
+      grand += v;
+    }
+  }
+
+  const outRows = Array.from(byBranch.entries())
+    .map(([Branch, sums]) => ({ Branch, ...sums }))
+    .sort((a, b) => a.Branch.localeCompare(b.Branch, undefined, { numeric: true }));
+
+  return { rows: outRows, totals: { ...totals, __total: grand } };
+}
+
+/**
+ * Like aggregateMonthly, but for a single `metric` with one key per group.
+ * `groupOf(branchCode)` returns the series key for a row's branch (null drops the row).
+ */
+export function aggregateMonthlyByGroup(
+  rows,
+  { metric, groupOf, branches, start, end, fiscalYearStart = 1 } = {}
+) {
+  const matchBranch = makeBranchMatcher(branches);
+  const range = rangeKeys(start, end);
+  const map = new Map();
+
+  for (const r of rows) {
+    if (!matchBranch(r)) continue;
+    const k = ymToKey(r.Year, r.Month);
+    if (range && (k < range.startKey || k > range.endKey)) continue;
+
+    let obj = map.get(k);
+    if (!obj) {
+      obj = {
+        month: periodLabel(r.Year, r.Month, fiscalYearStart),
+        Year: r.Year,
+        Month: r.Month,
+      };
+      map.set(k, obj);
+    }
+    if (r.Category !== metric) continue;
+    const group = groupOf(r.Branch);
+    if (group == null) continue;
+    obj[group] = (obj[group] || 0) + (Number(r.Value) || 0);
+  }
+  return Array.from(map.values()).sort(sortByMonth);
+}
+
+// Nest summarizeByBranch rows under their region with a subtotal per region, in `regionOrder`
+export function groupBranchSummary(summaryRows, regionOf, regionOrder = []) {
+  const groups = new Map();
+  for (const row of summaryRows) {
+    const region = regionOf(row.Branch);
+    if (!groups.has(region)) groups.set(region, { region, rows: [], subtotal: {} });
+    const group = groups.get(region);
+    group.rows.push(row);
+    for (const [key, value] of Object.entries(row)) {
+      if (key === "Branch" || typeof value !== "number") continue;
+      group.subtotal[key] = (group.subtotal[key] || 0) + value;
+    }
+  }
+  const rank = (region) => {
+    const i = regionOrder.indexOf(region);
+    return i === -1 ? regionOrder.length : i;
+  };
+  return Array.from(groups.values()).sort(
+    (a, b) => rank(a.region) - rank(b.region) || a.region.localeCompare(b.region)
+  );
+}
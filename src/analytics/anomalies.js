@@ -0,0 +1,58 @@
+// Unusual months: every point of a monthly series against the same calendar month in the
+// series' other years, scored as a robust z-score (distance from their median in scaled MADs)
+// so one bad year can't hide another.
+
+// Scale factors turning a median / mean absolute deviation into a standard deviation
+const MAD_SCALE = 1.4826;
+const MEAN_AD_SCALE = 1.2533;
+
+export const ANOMALY_THRESHOLDS = [
+  { value: 2.5, label: "High" },
+  { value: 3.5, label: "Normal" },
+  { value: 5, label: "Low" },
+];
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = sorted.length >> 1;
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+// Robust spread of `values` around `center`; the mean deviation stands in when over half
+// agree, and a zero (a flat history) means nothing can be judged against it
+function robustSpread(values, center) {
+  const deviations = values.map((v) => Math.abs(v - center));
+  const mad = median(deviations);
+  if (mad) return MAD_SCALE * mad;
+  return MEAN_AD_SCALE * (deviations.reduce((a, b) => a + b, 0) / deviations.length);
+}
+
+/**
+ * Points of `monthly` where a `keys` value lies `threshold` or more robust z-scores from the
+ * median of the same month in at least `minYears` other years, as
+ * `[{ key, Year, Month, month, actual, expected, z }]`, most unusual first.
+ */
+export function detectAnomalies(monthly, keys, { threshold = 3.5, minYears = 3 } = {}) {
+  const found = [];
+  for (const key of keys) {
+    const byMonth = new Map(); // calendar month -> points with a value
+    for (const p of monthly) {
+      if (typeof p[key] !== "number" || !Number.isFinite(p[key])) continue;
+      if (!byMonth.has(p.Month)) byMonth.set(p.Month, []);
+      byMonth.get(p.Month).push(p);
+    }
+    for (const points of byMonth.values()) {
+      if (points.length <= minYears) continue;
+      for (const p of points) {
+        const others = points.filter((o) => o !== p).map((o) => o[key]);
+        const expected = median(others);
+        const spread = robustSpread(others, expected);
+        if (!spread) continue;
+        const z = (p[key] - expected) / spread;
+        if (Math.abs(z) < threshold) continue;
+        found.push({ key, Year: p.Year, Month: p.Month, month: p.month, actual: p[key], expected, z });
+      }
+    }
+  }
+  return found.sort((a, b) => Math.abs(b.z) - Math.abs(a.z));
+}
@@ -0,0 +1,56 @@
+// Branch master: code -> name / region / district, plus the display order of regions.
+
+const cleanText = (v) => (v == null ? "" : String(v).trim());
+
+export function normalizeBranchMaster(input) {
+  const rawBranches = Array.isArray(input?.branches) ? input.branches : [];
+  const seen = new Set();
+  const branches = [];
+  for (const b of rawBranches) {
+    const code = cleanText(b?.code);
+    if (!code || seen.has(code)) continue;
+    seen.add(code);
+    const entry = { code };
+    for (const field of ["name", "region", "district"]) {
+      const value = cleanText(b[field]);
+      if (value) entry[field] = value;
+    }
+    branches.push(entry);
+  }
+
+  // Declared regions first, then any region only referenced by a branch
+  const regions = [];
+  const addRegion = (r) => {
+    const name = cleanText(r);
+    if (name && !regions.includes(name)) regions.push(name);
+  };
+  (Array.isArray(input?.regions) ? input.regions : []).forEach(addRegion);
+  branches.forEach((b) => addRegion(b.region));
+
+  return { regions, branches };
+}
+
+export function branchLookup(master) {
+  return new Map((master?.branches || []).map((b) => [b.code, b]));
+}
+
+// [{ name, branches: [codes] }] in region order; empty regions are kept so the editor can show them
+export function regionGroups(master) {
+  const groups = new Map((master?.regions || []).map((r) => [r, []]));
+  for (const b of master?.branches || []) {
+    if (!b.region) continue;
+    if (!groups.has(b.region)) groups.set(b.region, []);
+    groups.get(b.region).push(b.code);
+  }
+  return Array.from(groups, ([name, branches]) => ({ name, branches }));
+}
+
+// Codes seen in the data that have no region in the master
+export function unassignedBranches(codes, master) {
+  const lookup = branchLookup(master);
+  return (codes || []).filter((code) => !lookup.get(code)?.region);
+}
+
+export function branchName(code, lookup) {
+  return lookup?.get(String(code))?.name || "";
+}
@@ -0,0 +1,112 @@
+import { applyColumnMapping, cleanHeaders } from "./mapping.js";
+import { rangeKeys, strFromKey, ymToKey } from "./dates.js";
+
+// Budget targets: a long CSV of Year, Period, Branch, Category and Target, held as the same
+// {Year, Month, Category, Value, Branch} rows as actuals so every aggregate works on both.
+// Year/Period are read like the actuals' (fiscal when a fiscal start is set).
+
+const BUDGET_COLUMNS = {
+  year: /^(year|yr|fy|fiscal year)$/i,
+  period: /^(period|per|month|mo|fiscal period|fiscal month)$/i,
+  branch: /^(branch|branch #|branch no\.?|branch code|location|loc)$/i,
+  category: /^(category|metric|account|line item)$/i,
+  value: /^(target|budget|plan|amount|value)$/i,
+};
+const REQUIRED = { year: "Year", period: "Period", category: "Category", value: "Target" };
+
+export const budgetKey = (key) => `${key} (Budget)`;
+
+/**
+ * Parsed budget CSV -> long-format rows. Categories matching a known metric
+ * case-insensitively take its spelling; throws when a required column is missing.
+ */
+export function parseBudgetRecords(records, headers, { knownMetrics = [] } = {}) {
+  const cols = cleanHeaders(headers);
+  const mapping = { date: null, metrics: {} };
+  for (const [role, re] of Object.entries(BUDGET_COLUMNS)) {
+    mapping[role] = cols.find((h) => re.test(h)) ?? null;
+  }
+  const missing = Object.keys(REQUIRED).filter((role) => !mapping[role]);
+  if (missing.length) {
+    throw new Error(
+      `Budget file is missing ${missing.map((r) => REQUIRED[r]).join(", ")} ` +
+        "(expected columns Year, Period, Branch, Category, Target)."
+    );
+  }
+  const canonical = new Map(knownMetrics.map((m) => [m.toLowerCase(), m]));
+  for (const raw of records || []) {
+    const cat = String(raw?.[mapping.category] ?? "").trim();
+    const target = canonical.get(cat.toLowerCase());
+    if (cat && target && target !== cat) mapping.metrics[cat] = target;
+  }
+  const rows = applyColumnMapping(records, mapping);
+  if (!rows.length) throw new Error("Budget file has no usable target rows.");
+  return rows;
+}
+
+/** Monthly budget series merged into chart points as `budgetKey(key)`, by month. */
+export function withBudget(data, budgetMonthly, keys) {
+  if (!budgetMonthly.length) return data;
+  const byMonth = new Map(budgetMonthly.map((p) => [ymToKey(p.Year, p.Month), p]));
+  return data.map((point) => {
+    const target = byMonth.get(ymToKey(point.Year, point.Month));
+    if (!target) return point;
+    const next = { ...point };
+    for (const key of keys) if (typeof target[key] === "number") next[budgetKey(key)] = target[key];
+    return next;
+  });
+}
+
+// The months both `start`–`end` and the budget cover, or null when they don't overlap
+export function budgetRange(bounds, start, end) {
+  if (!bounds) return null;
+  const range = rangeKeys(start, end);
+  const startKey = Math.max(bounds.minKey, range?.startKey ?? -Infinity);
+  const endKey = Math.min(bounds.maxKey, range?.endKey ?? Infinity);
+  return startKey <= endKey ? { start: strFromKey(startKey), end: strFromKey(endKey) } : null;
+}
+
+/** Actual vs target -> `{ amount, pct }` (pct as a fraction, null without a positive target). */
+export function variance(actual, target) {
+  if (typeof actual !== "number" || typeof target !== "number") return { amount: null, pct: null };
+  const amount = actual - target;
+  return { amount, pct: target > 0 ? amount / target : null };
+}
+
+/**
+ * Totals of `key` and its target over chart points merged by withBudget, as
+ * `{ actual, target, amount, pct }`; null when no point has a target.
+ */
+export function compareToBudget(data, key) {
+  let actual = 0;
+  let target = 0;
+  let targeted = false;
+  for (const point of data) {
+    if (typeof point[key] === "number") actual += point[key];
+    if (typeof point[budgetKey(key)] === "number") {
+      target += point[budgetKey(key)];
+      targeted = true;
+    }
+  }
+  return targeted ? { actual, target, ...variance(actual, target) } : null;
+}
+
+/**
+ * Branch-table actuals (`summarizeByBranch`-shaped) against the targets over the same months,
+ * for `field` (a category or `__total`) and `branches` (every branch when omitted). Actuals
+ * count only for branches with targets, unless the budget has company-wide rows without a
+ * branch and every branch is asked for. Null when nothing asked for has a target.
+ */
+export function budgetVariance(actualSummary, targetSummary, { branches, field = "__total" } = {}) {
+  const targeted = (targetSummary?.rows || []).filter(
+    (r) => (!branches || branches.includes(r.Branch)) && typeof r[field] === "number"
+  );
+  if (!targeted.length) return null;
+  const companyWide = !branches && targeted.some((r) => r.Branch === "(Blank)");
+  const codes = new Set(targeted.map((r) => r.Branch));
+  const actual = companyWide
+    ? actualSummary?.totals[field] || 0
+    : (actualSummary?.rows || []).reduce((sum, r) => (codes.has(r.Branch) ? sum + (r[field] || 0) : sum), 0);
+  const target = targeted.reduce((sum, r) => sum + r[field], 0);
+  return { actual, target, ...variance(actual, target) };
+}
@@ -0,0 +1,91 @@
+import { ymToKey, strFromYM, keyFromStr } from "./dates.js";
+import { rowKey } from "./merge.js";
+
+// Build-time compiled form of a bundled CSV: one value per month × branch for each
+// category, so loading skips CSV parsing entirely. Written by
+// scripts/generate-dataset-list.mjs next to the manifest; the app falls back to the CSV.
+export const COMPILED_FORMAT = "psdash-monthly";
+export const COMPILED_VERSION = 1;
+
+// Months from the YYYYMM `startKey` to y/m
+const monthIndex = (startKey, y, m) => (y - Math.floor(startKey / 100)) * 12 + (m - (startKey % 100));
+
+/**
+ * Long-format rows -> `{ format, version, source, hash, start, months, branches, categories, values }`.
+ * `values[category]` is a months × branches grid (row-major by month) with null where the
+ * source has no value. Files that repeat a Year/Period/Branch/Category key are refused,
+ * since folding the repeats together would hide them from validation.
+ */
+export function compileRows(rows, { source = null, hash = null } = {}) {
+  if (!rows.length) throw new Error("No rows to compile.");
+  let minKey = Infinity;
+  let maxKey = -Infinity;
+  const branches = [];
+  const branchIndex = new Map();
+  const categories = [];
+  for (const r of rows) {
+    const k = ymToKey(r.Year, r.Month);
+    if (k < minKey) minKey = k;
+    if (k > maxKey) maxKey = k;
+    const branch = r.Branch ?? null;
+    if (!branchIndex.has(branch)) {
+      branchIndex.set(branch, branches.length);
+      branches.push(branch);
+    }
+    if (!categories.includes(r.Category)) categories.push(r.Category);
+  }
+
+  const months = monthIndex(minKey, Math.floor(maxKey / 100), maxKey % 100) + 1;
+  const size = months * branches.length;
+  const values = Object.fromEntries(categories.map((c) => [c, new Array(size).fill(null)]));
+  const seen = new Set();
+  for (const r of rows) {
+    const key = rowKey(r);
+    if (seen.has(key)) {
+      throw new Error(`${r.Category} for ${strFromYM(r.Year, r.Month)} branch ${r.Branch ?? "-"} appears more than once.`);
+    }
+    seen.add(key);
+    const cell = monthIndex(minKey, r.Year, r.Month) * branches.length + branchIndex.get(r.Branch ?? null);
+    values[r.Category][cell] = r.Value;
+  }
+
+  return {
+    format: COMPILED_FORMAT,
+    version: COMPILED_VERSION,
+    source,
+    hash,
+    start: strFromYM(Math.floor(minKey / 100), minKey % 100),
+    months,
+    branches,
+    categories,
+    values,
+  };
+}
+
+// Compiled grid -> long-format rows, in month, branch, category order
+export function expandCompiled(compiled) {
+  if (compiled?.format !== COMPILED_FORMAT || compiled.version !== COMPILED_VERSION) {
+    throw new Error("Unsupported compiled dataset format.");
+  }
+  const { months, branches, categories, values } = compiled;
+  const startKey = keyFromStr(compiled.start);
+  if (!startKey) throw new Error("Compiled dataset has no start month.");
+  const startYear = Math.floor(startKey / 100);
+  const startMonth = startKey % 100;
+
+  const rows = [];
+  for (let m = 0; m < months; m++) {
+    const offset = startMonth - 1 + m;
+    const Year = startYear + Math.floor(offset / 12);
+    const Month = (offset % 12) + 1;
+    for (let b = 0; b < branches.length; b++) {
+      const cell = m * branches.length + b;
+      const Branch = branches[b] == null ? undefined : branches[b];
+      for (const Category of categories) {
+        const Value = values[Category][cell];
+        if (Value != null) rows.push({ Year, Month, Category, Value, Branch });
+      }
+    }
+  }
+  return rows;
+}
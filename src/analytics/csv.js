@@ -0,0 +1,48 @@
+// Minimal CSV writer for exports: quotes cells containing commas, quotes or line breaks
+const escapeCell = (x) => {
+  if (x == null) return "";
+  const s = String(x);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+export function toCsv(table) {
+  return table.map((row) => row.map(escapeCell).join(",")).join("\n");
+}
+
+// Long-format rows -> wide table (Year, Period, Branch, one column per category), the
+// layout of the bundled files. Branch is omitted when no row has one.
+export function rowsToWideTable(rows) {
+  const categories = [];
+  const seenCategories = new Set();
+  const cells = new Map();
+  let hasBranch = false;
+  for (const r of rows) {
+    if (!seenCategories.has(r.Category)) {
+      seenCategories.add(r.Category);
+      categories.push(r.Category);
+    }
+    if (r.Branch) hasBranch = true;
+    const key = `${r.Year}|${r.Month}|${r.Branch ?? ""}`;
+    let cell = cells.get(key);
+    if (!cell) {
+      cell = { Year: r.Year, Month: r.Month, Branch: r.Branch ?? "", values: {} };
+      cells.set(key, cell);
+    }
+    cell.values[r.Category] = (cell.values[r.Category] || 0) + r.Value;
+  }
+  const ordered = [...cells.values()].sort(
+    (a, b) =>
+      a.Year - b.Year ||
+      a.Month - b.Month ||
+      String(a.Branch).localeCompare(String(b.Branch), undefined, { numeric: true })
+  );
+  return [
+    ["Year", "Period", ...(hasBranch ? ["Branch"] : []), ...categories],
+    ...ordered.map((c) => [
+      c.Year,
+      c.Month,
+      ...(hasBranch ? [c.Branch] : []),
+      ...categories.map((cat) => c.values[cat] ?? ""),
+    ]),
+  ];
+}
@@ -0,0 +1,192 @@
+import { rangeKeys, ymToKey } from "./dates.js";
+import { periodLabel } from "./fiscal.js";
+
+// Indexed form of long-format rows for repeated filtering: one dense value per
+// category × month × branch, built once per dataset. Queries cost months × selected
+// categories × selected branches instead of a scan over every row, and return exactly
+// what the row-based aggregateMonthly / aggregateMonthlyByGroup / summarizeByBranch do.
+
+const BLANK_BRANCH = "";
+
+/**
+ * Long-format rows -> `{ startKey, months, years, monthNums, branches, categories, values,
+ * hasValue, hasRow }`. `values[(c * months + m) * branches.length + b]` sums every row for
+ * that cell; `hasValue` marks cells that had at least one row and `hasRow` marks
+ * month × branch pairs with any row at all. Rows without a branch share the "" branch.
+ */
+export function buildCube(rows) {
+  let minKey = Infinity;
+  let maxKey = -Infinity;
+  const branchIndex = new Map();
+  const categoryIndex = new Map();
+  for (const r of rows) {
+    const k = ymToKey(r.Year, r.Month);
+    if (k < minKey) minKey = k;
+    if (k > maxKey) maxKey = k;
+    const branch = r.Branch ? String(r.Branch) : BLANK_BRANCH;
+    if (!branchIndex.has(branch)) branchIndex.set(branch, branchIndex.size);
+    if (!categoryIndex.has(r.Category)) categoryIndex.set(r.Category, categoryIndex.size);
+  }
+
+  const startYear = Math.floor(minKey / 100);
+  const startMonth = minKey % 100;
+  const months = rows.length
+    ? (Math.floor(maxKey / 100) - startYear) * 12 + (maxKey % 100) - startMonth + 1
+    : 0;
+  const years = new Int32Array(months);
+  const monthNums = new Int32Array(months);
+  for (let m = 0; m < months; m++) {
+    const offset = startMonth - 1 + m;
+    years[m] = startYear + Math.floor(offset / 12);
+    monthNums[m] = (offset % 12) + 1;
+  }
+
+  const B = branchIndex.size;
+  const size = categoryIndex.size * months * B;
+  const values = new Float64Array(size);
+  const hasValue = new Uint8Array(size);
+  const hasRow = new Uint8Array(months * B);
+  for (const r of rows) {
+    const m = (r.Year - startYear) * 12 + r.Month - startMonth;
+    const b = branchIndex.get(r.Branch ? String(r.Branch) : BLANK_BRANCH);
+    const cell = (categoryIndex.get(r.Category) * months + m) * B + b;
+    values[cell] += Number(r.Value) || 0;
+    hasValue[cell] = 1;
+    hasRow[m * B + b] = 1;
+  }
+
+  return {
+    startKey: rows.length ? minKey : null,
+    months,
+    years,
+    monthNums,
+    branches: [...branchIndex.keys()],
+    branchIndex,
+    categories: [...categoryIndex.keys()],
+    categoryIndex,
+    values,
+    hasValue,
+    hasRow,
+  };
+}
+
+// Branch indexes a `branches` filter selects; null/undefined selects every branch, blank included
+function branchSlots(cube, branches) {
+  if (!Array.isArray(branches)) return cube.branches.map((_, b) => b);
+  const slots = [];
+  for (const code of new Set(branches)) {
+    const b = code ? cube.branchIndex.get(String(code)) : undefined;
+    if (b !== undefined) slots.push(b);
+  }
+  return slots;
+}
+
+// First/last month index inside "YYYY-MM" bounds; no (or an inverted) range means every month
+function monthSpan(cube, start, end) {
+  const range = rangeKeys(start, end);
+  if (!range || !cube.months) return [0, cube.months - 1];
+  const index = (key) => (Math.floor(key / 100) - cube.years[0]) * 12 + (key % 100) - cube.monthNums[0];
+  return [Math.max(0, index(range.startKey)), Math.min(cube.months - 1, index(range.endKey))];
+}
+
+// One `{ month, Year, Month }` point per month in the span where any selected branch has rows
+function monthPoints(cube, slots, [first, last], fiscalYearStart) {
+  const B = cube.branches.length;
+  const points = [];
+  for (let m = first; m <= last; m++) {
+    if (!slots.some((b) => cube.hasRow[m * B + b])) continue;
+    const Year = cube.years[m];
+    const Month = cube.monthNums[m];
+    points.push({ m, point: { month: periodLabel(Year, Month, fiscalYearStart), Year, Month } });
+  }
+  return points;
+}
+
+// Same result as aggregateMonthly(rows, options)
+export function cubeMonthly(cube, { branches, metrics, start, end, fiscalYearStart = 1 } = {}) {
+  const slots = branchSlots(cube, branches);
+  const points = monthPoints(cube, slots, monthSpan(cube, start, end), fiscalYearStart);
+  const names = Array.isArray(metrics) ? metrics : cube.categories;
+  const B = cube.branches.length;
+  for (const name of new Set(names)) {
+    const c = cube.categoryIndex.get(name);
+    if (c === undefined) continue;
+    for (const { m, point } of points) {
+      const base = (c * cube.months + m) * B;
+      let sum = 0;
+      let seen = false;
+      for (const b of slots) {
+        if (!cube.hasValue[base + b]) continue;
+        sum += cube.values[base + b];
+        seen = true;
+      }
+      if (seen) point[name] = sum;
+    }
+  }
+  return points.map((p) => p.point);
+}
+
+// Same result as aggregateMonthlyByGroup(rows, options)
+export function cubeMonthlyByGroup(cube, { metric, groupOf, branches, start, end, fiscalYearStart = 1 } = {}) {
+  const slots = branchSlots(cube, branches);
+  const points = monthPoints(cube, slots, monthSpan(cube, start, end), fiscalYearStart);
+  const c = cube.categoryIndex.get(metric);
+  if (c === undefined) return points.map((p) => p.point);
+  const groups = slots.map((b) => groupOf(cube.branches[b] || undefined));
+  const B = cube.branches.length;
+  for (const { m, point } of points) {
+    const base = (c * cube.months + m) * B;
+    slots.forEach((b, i) => {
+      const group = groups[i];
+      if (group == null || !cube.hasValue[base + b]) return;
+      point[group] = (point[group] || 0) + cube.values[base + b];
+    });
+  }
+  return points.map((p) => p.point);
+}
+
+// Same result as summarizeByBranch(rows, options)
+export function cubeBranchSummary(cube, { branches, metrics = [], totalMetrics, start, end } = {}) {
+  if (!cube.months || !metrics.length) return { rows: [], totals: {} };
+  const slots = branchSlots(cube, branches);
+  const [first, last] = monthSpan(cube, start, end);
+  const counted = new Set(totalMetrics ?? metrics);
+  const B = cube.branches.length;
+
+  const byBranch = new Map();
+  const totals = Object.fromEntries(metrics.map((name) => [name, 0]));
+  let grand = 0;
+  for (const name of new Set(metrics)) {
+    const c = cube.categoryIndex.get(name);
+    if (c === undefined) continue;
+    for (const b of slots) {
+      let sum = 0;
+      let seen = false;
+      for (let m = first; m <= last; m++) {
+        const cell = (c * cube.months + m) * B + b;
+        if (!cube.hasValue[cell]) continue;
+        sum += cube.values[cell];
+        seen = true;
+      }
+      if (!seen) continue;
+      const branch = cube.branches[b] || "(Blank)";
+      if (!byBranch.has(branch)) {
+        const init = Object.fromEntries(metrics.map((n) => [n, 0]));
+        init.__total = 0;
+        byBranch.set(branch, init);
+      }
+      const acc = byBranch.get(branch);
+      acc[name] += sum;
+      totals[name] += sum;
+      if (counted.has(name)) {
+        acc.__total += sum;
+        grand += sum;
+      }
+    }
+  }
+
+  const rows = Array.from(byBranch.entries())
+    .map(([Branch, sums]) => ({ Branch, ...sums }))
+    .sort((a, b) => a.Branch.localeCompare(b.Branch, undefined, { numeric: true }));
+  return { rows, totals: { ...totals, __total: grand } };
+}
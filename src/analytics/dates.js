@@ -0,0 +1,72 @@
+export const MONTH_NAMES = [
+  "Jan","Feb","Mar","Apr","May","Jun","Jul","Aug","Sep","Oct","Nov","Dec",
+];
+
+// YYYY-MM helpers
+export const ymToKey = (y, m) => y * 100 + m;
+
+export const keyFromStr = (s) => {
+  if (!s) return null;
+  const [yy, mm] = s.split("-").map(Number);
+  if (!yy || !mm) return null;
+  return ymToKey(yy, mm);
+};
+
+export const strFromYM = (y, m) => `${y}-${String(m).padStart(2, "0")}`;
+
+export const strFromKey = (k) => strFromYM(Math.floor(k / 100), k % 100);
+
+export const monthLabel = (y, m) => `${MONTH_NAMES[m - 1]} ${y}`;
+
+export const clampYM = (s, minS, maxS) => {
+  const k = keyFromStr(s), minK = keyFromStr(minS), maxK = keyFromStr(maxS);
+  if (!k || !minK || !maxK) return s;
+  if (k < minK) return minS;
+  if (k > maxK) return maxS;
+  return s;
+};
+
+export const addMonths = (s, delta) => {
+  const [yy, mm] = s.split("-").map(Number);
+  const d0 = new Date(yy, mm - 1, 1);
+  d0.setMonth(d0.getMonth() + delta);
+  return strFromYM(d0.getFullYear(), d0.getMonth() + 1);
+};
+
+export const toMonthIndex = (m) => {
+  if (m == null) return null;
+  const s = String(m).trim();
+  const n = Number(s);
+  if (!Number.isNaN(n)) return Math.max(1, Math.min(12, n));
+  const idx = MONTH_NAMES.findIndex((x) => x.toLowerCase() === s.slice(0, 3).toLowerCase());
+  return idx >= 0 ? idx + 1 : null;
+};
+
+// Resolve a "YYYY-MM" window into numeric keys; null when the window is unset or inverted
+export const rangeKeys = (start, end) => {
+  const startKey = keyFromStr(start);
+  const endKey = keyFromStr(end);
+  return startKey && endKey && startKey <= endKey ? { startKey, endKey } : null;
+};
+
+// Year and month from a single date cell: 2024-03, 2024-03-15, 2024/3, 3/15/2024, 03/2024,
+// "Mar 2024", "March 2024", 202403 or a Date. Null when the value is not recognisable.
+export const parseYearMonth = (value) => {
+  if (value == null || value === "") return null;
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime())
+      ? null
+      : { Year: value.getFullYear(), Month: value.getMonth() + 1 };
+  }
+  const s = String(value).trim();
+  const valid = (y, m) => (y >= 1900 && y <= 2999 && m >= 1 && m <= 12 ? { Year: y, Month: m } : null);
+  let match = s.match(/^(\d{4})[-/.](\d{1,2})(?:[-/.]\d{1,2})?(?:[T ].*)?$/);
+  if (match) return valid(Number(match[1]), Number(match[2]));
+  match = s.match(/^(\d{1,2})[-/.](?:\d{1,2}[-/.])?(\d{4})$/);
+  if (match) return valid(Number(match[2]), Number(match[1]));
+  match = s.match(/^(\d{4})(\d{2})$/);
+  if (match) return valid(Number(match[1]), Number(match[2]));
+  match = s.match(/^([A-Za-z]{3,})\.?[\s-]+(\d{4})$/);
+  if (match) return valid(Number(match[2]), toMonthIndex(match[1]));
+  return null;
+};
@@ -0,0 +1,84 @@
+import { collapseRows } from "./merge.js";
+
+// Cell-by-cell comparison of two versions of a dataset, for restatements
+export const DIFF_STATUSES = {
+  changed: "Changed",
+  added: "Added",
+  removed: "Removed",
+};
+
+const addTo = (groups, key, fields, delta) => {
+  let g = groups.get(key);
+  if (!g) {
+    g = { ...fields, count: 0, netDelta: 0, grossDelta: 0 };
+    groups.set(key, g);
+  }
+  g.count += 1;
+  g.netDelta += delta;
+  g.grossDelta += Math.abs(delta);
+};
+
+/**
+ * Every Year/Period/Branch/Category value that differs between `before` and `after`,
+ * largest change first. `delta` is after − before (a missing side counts as 0).
+ * The summary totals the restated amounts overall, by category and by year.
+ */
+export function diffRows(before, after, { tolerance = 0.005 } = {}) {
+  const a = collapseRows(before);
+  const b = collapseRows(after);
+  const changes = [];
+  for (const key of new Set([...a.keys(), ...b.keys()])) {
+    const old = a.get(key);
+    const next = b.get(key);
+    const beforeValue = old ? old.Value : null;
+    const afterValue = next ? next.Value : null;
+    if (old && next && Math.abs(afterValue - beforeValue) <= tolerance) continue;
+    const cell = next || old;
+    const delta = (afterValue ?? 0) - (beforeValue ?? 0);
+    changes.push({
+      Year: cell.Year,
+      Month: cell.Month,
+      Branch: cell.Branch ?? null,
+      Category: cell.Category,
+      status: !old ? "added" : !next ? "removed" : "changed",
+      before: beforeValue,
+      after: afterValue,
+      delta,
+      pct: beforeValue ? delta / Math.abs(beforeValue) : null,
+    });
+  }
+  changes.sort((x, y) => Math.abs(y.delta) - Math.abs(x.delta));
+
+  const byCategory = new Map();
+  const byYear = new Map();
+  const summary = { changed: 0, added: 0, removed: 0, netDelta: 0, grossDelta: 0 };
+  for (const c of changes) {
+    summary[c.status] += 1;
+    summary.netDelta += c.delta;
+    summary.grossDelta += Math.abs(c.delta);
+    addTo(byCategory, c.Category, { Category: c.Category }, c.delta);
+    addTo(byYear, c.Year, { Year: c.Year }, c.delta);
+  }
+  summary.byCategory = [...byCategory.values()].sort((x, y) => y.grossDelta - x.grossDelta);
+  summary.byYear = [...byYear.values()].sort((x, y) => x.Year - y.Year);
+  return { changes, summary };
+}
+
+export const DIFF_CSV_HEADER = ["Status", "Year", "Period", "Branch", "Category", "Before", "After", "Change", "Change %"];
+
+export function diffToTable(changes) {
+  return [
+    DIFF_CSV_HEADER,
+    ...changes.map((c) => [
+      DIFF_STATUSES[c.status],
+      c.Year,
+      c.Month,
+      c.Branch,
+      c.Category,
+      c.before,
+      c.after,
+      c.delta,
+      c.pct == null ? "" : c.pct,
+    ]),
+  ];
+}
@@ -0,0 +1,62 @@
+import { monthLabel, strFromYM } from "./dates.js";
+
+// Fiscal years are named for the calendar year they end in: with a July start,
+// FY2025 P01 is Jul 2024 and FY2025 P12 is Jun 2025. A start of 1 is the calendar year.
+
+export const normalizeFiscalStart = (start) => {
+  const n = Math.floor(Number(start));
+  return n >= 1 && n <= 12 ? n : 1;
+};
+
+export function fiscalToCalendar(fiscalYear, period, start = 1) {
+  const s = normalizeFiscalStart(start);
+  const offset = s - 1 + (period - 1);
+  return {
+    Year: fiscalYear - (s > 1 ? 1 : 0) + Math.floor(offset / 12),
+    Month: (offset % 12) + 1,
+  };
+}
+
+export function calendarToFiscal(year, month, start = 1) {
+  const s = normalizeFiscalStart(start);
+  if (s === 1) return { fiscalYear: year, period: month };
+  return {
+    fiscalYear: month >= s ? year + 1 : year,
+    period: ((month - s + 12) % 12) + 1,
+  };
+}
+
+// Remap rows whose Year/Month hold fiscal year/period onto calendar months
+export function toCalendarRows(rows, start = 1) {
+  const s = normalizeFiscalStart(start);
+  if (s === 1) return rows;
+  return rows.map((r) => ({ ...r, ...fiscalToCalendar(r.Year, r.Month, s) }));
+}
+
+export function periodLabel(year, month, start = 1) {
+  const s = normalizeFiscalStart(start);
+  if (s === 1) return monthLabel(year, month);
+  const { fiscalYear, period } = calendarToFiscal(year, month, s);
+  return `FY${String(fiscalYear % 100).padStart(2, "0")} P${String(period).padStart(2, "0")}`;
+}
+
+// Calendar "YYYY-MM" bounds of a fiscal year
+export function fiscalYearRange(fiscalYear, start = 1) {
+  const first = fiscalToCalendar(fiscalYear, 1, start);
+  const last = fiscalToCalendar(fiscalYear, 12, start);
+  return { start: strFromYM(first.Year, first.Month), end: strFromYM(last.Year, last.Month) };
+}
+
+export function listFiscalYears(rows, start = 1) {
+  const years = new Set();
+  for (const r of rows) years.add(calendarToFiscal(r.Year, r.Month, start).fiscalYear);
+  return [...years].sort((a, b) => a - b);
+}
+
+// Calendar "YYYY-MM" bounds from the start of the fiscal year holding `end` through `end`
+export function fiscalYearToDate(end, start = 1) {
+  const [year, month] = String(end || "").split("-").map(Number);
+  if (!year || !month) return null;
+  const { fiscalYear } = calendarToFiscal(year, month, start);
+  return { start: fiscalYearRange(fiscalYear, start).start, end: strFromYM(year, month) };
+}
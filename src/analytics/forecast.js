@@ -0,0 +1,236 @@
+import { ymToKey } from "./dates.js";
+import { periodLabel } from "./fiscal.js";
+
+// Monthly projections with prediction intervals. Every method works on one contiguous series
+// (gaps count as zero) and returns a point forecast plus its standard error per step, so
+// per-branch forecasts can be summed into a total with their variances added.
+
+export const FORECAST_METHODS = [
+  { value: "seasonalNaive", label: "Seasonal naive" },
+  { value: "holtWinters", label: "Holt-Winters" },
+  { value: "trend", label: "Trend + seasonality" },
+];
+
+// Two-sided normal quantiles for the interval levels on offer
+export const FORECAST_LEVELS = { 0.8: 1.2816, 0.95: 1.96 };
+
+export const forecastKey = (key) => `${key} (Forecast)`;
+export const forecastRangeKey = (key) => `${key} (Forecast range)`;
+
+// Months of history each method needs before it will project anything
+const minHistory = (method, period) => (method === "seasonalNaive" ? period + 1 : 2 * period);
+
+/**
+ * Values of `key` month by month from its first appearance in `monthly` through `end`
+ * (`{ Year, Month }`, default the last point). Months without a value count as zero.
+ */
+export function seriesValues(monthly, key, end = monthly[monthly.length - 1]) {
+  if (!end) return [];
+  const byKey = new Map();
+  let first = null;
+  for (const p of monthly) {
+    if (typeof p[key] !== "number") continue;
+    const k = ymToKey(p.Year, p.Month);
+    byKey.set(k, p[key]);
+    if (first === null || k < first) first = k;
+  }
+  if (first === null) return [];
+  const values = [];
+  let year = Math.floor(first / 100);
+  let month = first % 100;
+  const last = ymToKey(end.Year, end.Month);
+  while (ymToKey(year, month) <= last) {
+    values.push(byKey.get(ymToKey(year, month)) ?? 0);
+    month += 1;
+    if (month > 12) {
+      month = 1;
+      year += 1;
+    }
+  }
+  return values;
+}
+
+// y[t] = y[t - period], carried forward a season at a time
+function seasonalNaive(y, horizon, period) {
+  const n = y.length;
+  let sse = 0;
+  for (let t = period; t < n; t++) sse += (y[t] - y[t - period]) ** 2;
+  const sigma = Math.sqrt(sse / (n - period));
+  return Array.from({ length: horizon }, (_, i) => {
+    const seasons = Math.floor(i / period) + 1;
+    return { value: y[n - period + (i % period)], se: sigma * Math.sqrt(seasons) };
+  });
+}
+
+// One additive Holt-Winters pass; returns the final states and one-step squared error.
+// The first two seasons set the starting trend, and the first season, detrended, the
+// seasonal terms; smoothing starts at the second season.
+function holtWintersFit(y, period, alpha, beta, gamma) {
+  const mean = (from) => y.slice(from, from + period).reduce((a, b) => a + b, 0) / period;
+  const mid = (period - 1) / 2;
+  let trend = (mean(period) - mean(0)) / period;
+  let level = mean(0) + mid * trend;
+  const season = y.slice(0, period).map((v, i) => v - (mean(0) + (i - mid) * trend));
+  let sse = 0;
+  for (let t = period; t < y.length; t++) {
+    const s = season[t % period];
+    sse += (y[t] - (level + trend + s)) ** 2;
+    const nextLevel = alpha * (y[t] - s) + (1 - alpha) * (level + trend);
+    trend = beta * (nextLevel - level) + (1 - beta) * trend;
+    season[t % period] = gamma * (y[t] - nextLevel) + (1 - gamma) * s;
+    level = nextLevel;
+  }
+  return { level, trend, season, sse };
+}
+
+const ALPHAS = [0.1, 0.3, 0.5, 0.7, 0.9];
+const BETAS = [0.01, 0.1, 0.3];
+const GAMMAS = [0.05, 0.2, 0.4];
+
+// Additive Holt-Winters with smoothing weights picked by grid search on one-step error
+function holtWinters(y, horizon, period) {
+  let best = null;
+  for (const alpha of ALPHAS) {
+    for (const beta of BETAS) {
+      for (const gamma of GAMMAS) {
+        const fit = holtWintersFit(y, period, alpha, beta, gamma);
+        if (!best || fit.sse < best.sse) best = { ...fit, alpha, beta, gamma };
+      }
+    }
+  }
+  const { level, trend, season, sse, alpha, beta, gamma } = best;
+  const n = y.length;
+  const variance = sse / (n - period);
+  let spread = 1;
+  return Array.from({ length: horizon }, (_, i) => {
+    const h = i + 1;
+    if (h > 1) {
+      const j = h - 1;
+      spread += (alpha * (1 + j * beta) + (j % period === 0 ? gamma : 0)) ** 2;
+    }
+    return {
+      value: level + h * trend + season[(n + i) % period],
+      se: Math.sqrt(variance * spread),
+    };
+  });
+}
+
+// Least squares on a linear trend plus one level per month of the season
+function trendSeasonal(y, horizon, period) {
+  const n = y.length;
+  const count = new Array(period).fill(0);
+  const meanT = new Array(period).fill(0);
+  const meanY = new Array(period).fill(0);
+  for (let t = 0; t < n; t++) {
+    const c = t % period;
+    count[c] += 1;
+    meanT[c] += t;
+    meanY[c] += y[t];
+  }
+  for (let c = 0; c < period; c++) {
+    meanT[c] /= count[c];
+    meanY[c] /= count[c];
+  }
+  let stt = 0;
+  let sty = 0;
+  for (let t = 0; t < n; t++) {
+    const c = t % period;
+    stt += (t - meanT[c]) ** 2;
+    sty += (t - meanT[c]) * (y[t] - meanY[c]);
+  }
+  const slope = stt ? sty / stt : 0;
+  const intercept = meanY.map((m, c) => m - slope * meanT[c]);
+  let sse = 0;
+  for (let t = 0; t < n; t++) sse += (y[t] - (intercept[t % period] + slope * t)) ** 2;
+  const sigma = Math.sqrt(sse / Math.max(1, n - period - 1));
+  return Array.from({ length: horizon }, (_, i) => {
+    const t = n + i;
+    const c = t % period;
+    const leverage = 1 / count[c] + (stt ? (t - meanT[c]) ** 2 / stt : 0);
+    return { value: intercept[c] + slope * t, se: sigma * Math.sqrt(1 + leverage) };
+  });
+}
+
+const METHODS = { seasonalNaive, holtWinters, trend: trendSeasonal };
+
+/**
+ * `horizon` steps past the end of `values` as `[{ value, se }]`; empty when the series is
+ * shorter than the method needs (a season and a month for seasonal naive, two seasons otherwise).
+ */
+export function forecastSeries(values, { method = "seasonalNaive", horizon = 12, period = 12 } = {}) {
+  const fn = METHODS[method];
+  if (!fn) throw new Error(`Unknown forecast method: ${method}`);
+  const y = values.map((v) => Number(v) || 0);
+  if (horizon < 1 || y.length < minHistory(method, period)) return [];
+  return fn(y, Math.floor(horizon), period);
+}
+
+// Several independent forecasts of the same horizon -> their sum, standard errors in quadrature
+export function sumForecasts(forecasts) {
+  const present = forecasts.filter((f) => f.length);
+  if (!present.length) return [];
+  const horizon = Math.min(...present.map((f) => f.length));
+  return Array.from({ length: horizon }, (_, i) => {
+    let value = 0;
+    let variance = 0;
+    for (const f of present) {
+      value += f[i].value;
+      variance += f[i].se ** 2;
+    }
+    return { value, se: Math.sqrt(variance) };
+  });
+}
+
+/**
+ * Forecasts per key (`{ [key]: [{ value, se }] }`) -> chart points for the months after `end`,
+ * each holding `forecastKey(key)` and a `[low, high]` `forecastRangeKey(key)` at `level`.
+ */
+export function forecastPoints(end, forecasts, { level = 0.8, fiscalYearStart = 1 } = {}) {
+  const z = FORECAST_LEVELS[level];
+  if (!z) throw new Error(`Unsupported forecast interval: ${level}`);
+  const horizon = Math.max(0, ...Object.values(forecasts).map((f) => f.length));
+  const points = [];
+  let year = end.Year;
+  let month = end.Month;
+  for (let i = 0; i < horizon; i++) {
+    month += 1;
+    if (month > 12) {
+      month = 1;
+      year += 1;
+    }
+    const point = { month: periodLabel(year, month, fiscalYearStart), Year: year, Month: month };
+    for (const [key, steps] of Object.entries(forecasts)) {
+      const step = steps[i];
+      if (!step) continue;
+      point[forecastKey(key)] = step.value;
+      point[forecastRangeKey(key)] = [step.value - z * step.se, step.value + z * step.se];
+    }
+    points.push(point);
+  }
+  return points;
+}
+
+// Each key of a monthly series projected on its own (the summed forecast)
+export function forecastMonthly(monthly, keys, { end, method, horizon, period, level, fiscalYearStart } = {}) {
+  const last = end || monthly[monthly.length - 1];
+  if (!last) return [];
+  const forecasts = Object.fromEntries(
+    keys.map((key) => [key, forecastSeries(seriesValues(monthly, key, last), { method, horizon, period })])
+  );
+  return forecastPoints(last, forecasts, { level, fiscalYearStart });
+}
+
+/**
+ * Chart data with the forecast appended. The last actual month also carries each forecast
+ * key (with a zero-width range) so the dashed projection joins the solid line.
+ */
+export function withForecast(data, points, keys) {
+  if (!points.length || !data.length) return data;
+  const last = { ...data[data.length - 1] };
+  for (const key of keys) {
+    if (typeof last[key] !== "number" || points[0][forecastKey(key)] === undefined) continue;
+    last[forecastKey(key)] = last[key];
+    last[forecastRangeKey(key)] = [last[key], last[key]];
+  }
+  return [...data.slice(0, -1), last, ...points];
+}
@@ -0,0 +1,60 @@
+// Parent/child relationships between metrics (component -> total column).
+// `parents` is a plain { child: parent } object, e.g. METRIC_PARENTS from constants/departments.
+
+export const TOTAL_MODES = ["totals", "components", "all"];
+
+export function ancestorsOf(metric, parents = {}) {
+  const out = [];
+  const seen = new Set([metric]);
+  let current = parents[metric];
+  while (current && !seen.has(current)) {
+    out.push(current);
+    seen.add(current);
+    current = parents[current];
+  }
+  return out;
+}
+
+// Selected metrics that are already included in another selected metric
+export function findOverlaps(metrics, parents = {}) {
+  const selected = new Set(metrics);
+  const overlaps = [];
+  for (const metric of metrics) {
+    const ancestor = ancestorsOf(metric, parents).find((a) => selected.has(a));
+    if (ancestor) overlaps.push({ metric, ancestor });
+  }
+  return overlaps;
+}
+
+/**
+ * Which selected metrics may be added together without double counting.
+ *   totals     - drop metrics whose parent total is also selected
+ *   components - drop totals that have a selected component
+ *   all        - sum everything as selected
+ */
+export function countedMetrics(metrics, parents = {}, mode = "totals") {
+  if (mode === "all") return [...metrics];
+  const overlaps = findOverlaps(metrics, parents);
+  if (mode === "components") {
+    const covering = new Set(overlaps.map((o) => o.ancestor));
+    // Ancestors further up the chain also cover the component
+    for (const { metric } of overlaps) {
+      ancestorsOf(metric, parents).forEach((a) => covering.add(a));
+    }
+    return metrics.filter((m) => !covering.has(m));
+  }
+  const covered = new Set(overlaps.map((o) => o.metric));
+  return metrics.filter((m) => !covered.has(m));
+}
+
+// Adds a combined series to each point: the sum of `metrics` that are not double counted
+export function withCombinedSeries(series, metrics, key) {
+  return series.map((d) => {
+    let sum = null;
+    for (const m of metrics) {
+      if (typeof d[m] !== "number" || !isFinite(d[m])) continue;
+      sum = (sum ?? 0) + d[m];
+    }
+    return { ...d, [key]: sum };
+  });
+}
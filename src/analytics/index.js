@@ -0,0 +1,23 @@
+// Headless analytics pipeline: parse -> long-format rows -> filter -> aggregate -> transform.
+// Nothing here touches React or the DOM, so it runs the same in the app, scripts and tests.
+export * from "./dates.js";
+export * from "./mapping.js";
+export * from "./parse.js";
+export * from "./workbook.js";
+export * from "./manifest.js";
+export * from "./compiled.js";
+export * from "./merge.js";
+export * from "./diff.js";
+export * from "./fiscal.js";
+export * from "./branches.js";
+export * from "./hierarchy.js";
+export * from "./validation.js";
+export * from "./csv.js";
+export * from "./aggregate.js";
+export * from "./cube.js";
+export * from "./transforms.js";
+export * from "./forecast.js";
+export * from "./budget.js";
+export * from "./anomalies.js";
+export * from "./seasonality.js";
+export * from "./ranking.js";
@@ -0,0 +1,115 @@
+import Papa from "papaparse";
+import { PARSE_OPTIONS } from "./parse.js";
+import { DIMENSION_ROLES, cleanHeaders, guessMapping, mappingErrors, applyColumnMapping } from "./mapping.js";
+import { datasetBounds, listBranches, listMetrics } from "./aggregate.js";
+
+// Manifest entries for the bundled CSVs, built by scripts/generate-dataset-list.mjs
+
+// Metadata keys a sidecar config entry may set for a dataset
+export const DATASET_CONFIG_KEYS = ["id", "label", "instructions", "colors", "defaultCategory", "valueType"];
+
+const VALUE_TYPES = new Set(["currency", "number"]);
+
+const fileSegments = (fileName) =>
+  String(fileName)
+    .replace(/\.csv$/i, "")
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean);
+
+const capitalize = (segment) => segment.charAt(0).toUpperCase() + segment.slice(1);
+
+// "historical_all.csv" -> "Historical_All"
+export function datasetIdFromFile(fileName) {
+  const segments = fileSegments(fileName);
+  return segments.length ? segments.map(capitalize).join("_") : String(fileName).replace(/\.csv$/i, "");
+}
+
+// "historical_all.csv" -> "Historical All"
+export function datasetLabelFromFile(fileName) {
+  const segments = fileSegments(fileName);
+  return segments.length ? segments.map(capitalize).join(" ") : String(fileName).replace(/\.csv$/i, "");
+}
+
+const isBlank = (cell) => cell == null || String(cell).trim() === "";
+const isNumeric = (cell) => !Number.isNaN(Number(String(cell).replace(/,/g, "")));
+
+/**
+ * Parses CSV text and describes it: schema (columns, detected dimensions, metrics),
+ * month coverage, branches and data row count. `problems` lists anything that would
+ * make the file load wrongly or not at all; an empty list means the file is usable.
+ */
+export function describeCsv(text) {
+  const problems = [];
+  const res = Papa.parse(text, PARSE_OPTIONS);
+  for (const err of res.errors.slice(0, 5)) {
+    problems.push(`Row ${err.row == null ? "?" : err.row + 2}: ${err.message}`);
+  }
+  if (res.errors.length > 5) problems.push(`…and ${res.errors.length - 5} more parse errors.`);
+
+  const records = res.data;
+  const columns = cleanHeaders(res.meta.fields || []);
+  const mapping = guessMapping(columns, { records });
+  problems.push(...mappingErrors(mapping, columns));
+
+  const dimensions = {};
+  for (const role of DIMENSION_ROLES) if (mapping[role]) dimensions[role] = mapping[role];
+  const valueColumns = mapping.value
+    ? [mapping.value]
+    : Object.entries(mapping.metrics).filter(([, name]) => name).map(([h]) => h);
+
+  let undated = 0;
+  let badMonths = 0;
+  const badValues = new Map();
+  for (const record of records) {
+    const row = Object.fromEntries(Object.entries(record).map(([k, v]) => [String(k).trim(), v]));
+    if (dimensions.year && dimensions.period) {
+      const month = Number(row[dimensions.period]);
+      if (!Number(row[dimensions.year])) undated += 1;
+      else if (Number.isInteger(month) && (month < 1 || month > 12)) badMonths += 1;
+    }
+    for (const col of valueColumns) {
+      if (!isBlank(row[col]) && !isNumeric(row[col])) badValues.set(col, (badValues.get(col) || 0) + 1);
+    }
+  }
+  if (undated) problems.push(`${undated} row(s) have no Year.`);
+  if (badMonths) problems.push(`${badMonths} row(s) have a period outside 1–12.`);
+  for (const [col, n] of badValues) problems.push(`${n} non-numeric value(s) in "${col}".`);
+
+  const rows = problems.length ? [] : applyColumnMapping(records, mapping);
+  if (!problems.length && !rows.length) problems.push("No valid rows found in CSV.");
+  const bounds = datasetBounds(rows);
+
+  return {
+    schema: {
+      layout: mapping.value ? "long" : "wide",
+      columns,
+      dimensions,
+      metrics: listMetrics(rows),
+    },
+    rowCount: records.length,
+    minMonth: bounds ? bounds.minStr : null,
+    maxMonth: bounds ? bounds.maxStr : null,
+    branches: listBranches(rows),
+    problems,
+  };
+}
+
+// Problems with a sidecar config entry checked against the file it describes
+export function datasetConfigProblems(config, description) {
+  const problems = [];
+  if (!config || typeof config !== "object" || Array.isArray(config)) return ["Config entry must be an object."];
+  for (const key of Object.keys(config)) {
+    if (!DATASET_CONFIG_KEYS.includes(key)) problems.push(`Unknown config key "${key}".`);
+  }
+  const metrics = new Set(description.schema.metrics);
+  if (config.defaultCategory && !metrics.has(config.defaultCategory)) {
+    problems.push(`defaultCategory "${config.defaultCategory}" is not a metric in this file.`);
+  }
+  for (const name of Object.keys(config.colors || {})) {
+    if (!metrics.has(name)) problems.push(`Color given for "${name}", which is not a metric in this file.`);
+  }
+  if (config.valueType && !VALUE_TYPES.has(config.valueType)) {
+    problems.push(`valueType must be one of ${[...VALUE_TYPES].join(", ")}.`);
+  }
+  return problems;
+}
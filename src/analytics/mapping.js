@@ -0,0 +1,160 @@
+import { toMonthIndex, parseYearMonth } from "./dates.js";
+
+// Column mapping for uploaded CSVs: which headers hold the dimensions and what each
+// metric is called in the dashboard. A mapping is plain JSON so it can be saved per
+// file signature and reapplied to the next export with the same headers.
+//
+// { year, period, date, branch, category, value, metrics: { [source]: canonicalName | null } }
+// Either year + period or date must be set. Wide files (one column per metric) key
+// `metrics` by header; long files (category + value set) key it by category value,
+// and categories missing from `metrics` keep their own name. A null target skips.
+
+export const DIMENSION_ROLES = ["year", "period", "date", "branch", "category", "value"];
+
+const DIMENSION_PATTERNS = {
+  year: /^(year|yr|fy|fiscal year|fiscal yr)$/i,
+  period: /^(period|per|month|mo|fiscal period|fiscal month|fiscal per|period #|period no\.?)$/i,
+  date: /^(date|month date|period date|month start|month end|period end|posting date)$/i,
+  branch: /^(branch name|branch|branch #|branch no\.?|branch code|store|store #|location|loc|loc #|loc no\.?|location #|location code)$/i,
+  category: /^(category|metric|measure|account|line item|kpi)$/i,
+  value: /^(value|amount|amt|actual|actuals|measure value)$/i,
+};
+
+export const isLongMapping = (mapping) => Boolean(mapping?.category && mapping?.value);
+
+const normalizeHeader = (h) => (typeof h === "string" ? h.trim() : h);
+
+export const cleanHeaders = (fields) =>
+  (fields || []).map(normalizeHeader).filter((h) => h != null && h !== "");
+
+// Stable id for a header layout: same columns in the same order -> same signature
+export function fileSignature(headers) {
+  const text = cleanHeaders(headers).map((h) => String(h).toLowerCase()).join("\u001f");
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return `${cleanHeaders(headers).length}:${(hash >>> 0).toString(16).padStart(8, "0")}`;
+}
+
+// Distinct category values of a long file, in first-seen order
+export function longCategories(records, categoryCol) {
+  const seen = new Set();
+  for (const row of records || []) {
+    const cat = row?.[categoryCol];
+    if (cat != null && String(cat).trim() !== "") seen.add(String(cat).trim());
+  }
+  return [...seen];
+}
+
+/**
+ * Best guess at a mapping from the header names (and, for long files, the category
+ * values in `records`). Metrics keep their name unless it matches a known metric
+ * case-insensitively, in which case the canonical spelling is used.
+ */
+export function guessMapping(headers, { knownMetrics = [], records = [] } = {}) {
+  const cols = cleanHeaders(headers);
+  const mapping = Object.fromEntries(DIMENSION_ROLES.map((r) => [r, null]));
+  mapping.metrics = {};
+  for (const role of DIMENSION_ROLES) {
+    mapping[role] = cols.find((h) => DIMENSION_PATTERNS[role].test(h)) ?? null;
+  }
+  // A date column is only needed when the Year/Period pair is incomplete
+  if (mapping.year && mapping.period) mapping.date = null;
+  // Category and value only make sense as a pair
+  if (!isLongMapping(mapping)) mapping.category = mapping.value = null;
+
+  const canonical = new Map(knownMetrics.map((m) => [m.toLowerCase(), m]));
+  const rename = (name) => canonical.get(String(name).toLowerCase()) ?? String(name);
+  if (isLongMapping(mapping)) {
+    for (const cat of longCategories(records, mapping.category)) {
+      const target = rename(cat);
+      if (target !== cat) mapping.metrics[cat] = target;
+    }
+    return mapping;
+  }
+  const used = new Set(DIMENSION_ROLES.map((r) => mapping[r]).filter(Boolean));
+  for (const h of cols) {
+    if (used.has(h)) continue;
+    // Only time and branch look-alikes are skipped; a lone "Amount" column is still a metric
+    const isDimension = ["year", "period", "date", "branch"].some((r) => DIMENSION_PATTERNS[r].test(h));
+    mapping.metrics[h] = isDimension ? null : rename(h);
+  }
+  return mapping;
+}
+
+// Problems that stop a mapping from being applied; an empty list means it is usable
+export function mappingErrors(mapping, headers) {
+  const errors = [];
+  if (!mapping) return ["No column mapping."];
+  const cols = new Set(cleanHeaders(headers));
+  const hasPeriod = mapping.year && mapping.period;
+  if (!hasPeriod && !mapping.date) errors.push("Missing Year or Period/Month columns.");
+  for (const role of DIMENSION_ROLES) {
+    if (mapping[role] && !cols.has(mapping[role])) errors.push(`Column "${mapping[role]}" is not in this file.`);
+  }
+  if (Boolean(mapping.category) !== Boolean(mapping.value)) {
+    errors.push("Long-format files need both a Category and a Value column.");
+  } else if (!isLongMapping(mapping)) {
+    const targets = Object.entries(mapping.metrics || {}).filter(([h, name]) => name && cols.has(h));
+    if (!targets.length) errors.push("Map at least one value column.");
+  }
+  return errors;
+}
+
+// Target names claimed by more than one column; their values would be added together
+export function duplicateTargets(mapping) {
+  const counts = new Map();
+  Object.values(mapping?.metrics || {}).forEach((name) => {
+    const key = name ? String(name).trim() : "";
+    if (key) counts.set(key, (counts.get(key) || 0) + 1);
+  });
+  return [...counts].filter(([, n]) => n > 1).map(([name]) => name);
+}
+
+const toValue = (cell) => Number(String(cell ?? "").replace(/,/g, ""));
+
+// Wide or long CSV records -> long-format {Year, Month, Category, Value, Branch} using `mapping`
+export function applyColumnMapping(records, mapping) {
+  const rows = Array.isArray(records) ? records : [];
+  const metrics = mapping.metrics || {};
+  const metricCols = Object.entries(metrics)
+    .map(([h, name]) => [h, name ? String(name).trim() : ""])
+    .filter(([, name]) => name);
+  const usePeriod = mapping.year && mapping.period;
+  const long = isLongMapping(mapping);
+
+  const parsed = [];
+  for (const raw of rows) {
+    const row = {};
+    for (const [k, v] of Object.entries(raw || {})) row[normalizeHeader(k)] = v;
+
+    let Y, M;
+    if (usePeriod) {
+      Y = Number(row[mapping.year]);
+      M = toMonthIndex(row[mapping.period]) || Number(row[mapping.period]);
+    } else {
+      const ym = parseYearMonth(row[mapping.date]);
+      Y = ym?.Year;
+      M = ym?.Month;
+    }
+    if (!Y || !M) continue;
+    const B = mapping.branch ? row[mapping.branch] : undefined;
+    const Branch = B != null && B !== "" ? String(B).trim() : undefined;
+    if (long) {
+      const cat = row[mapping.category] == null ? "" : String(row[mapping.category]).trim();
+      const name = cat && Object.prototype.hasOwnProperty.call(metrics, cat) ? metrics[cat] : cat;
+      const value = toValue(row[mapping.value]);
+      if (!name || Number.isNaN(value)) continue;
+      parsed.push({ Year: Y, Month: M, Category: String(name).trim(), Value: value, Branch });
+      continue;
+    }
+    for (const [col, name] of metricCols) {
+      const value = toValue(row[col]);
+      if (Number.isNaN(value)) continue;
+      parsed.push({ Year: Y, Month: M, Category: name, Value: value, Branch });
+    }
+  }
+  return parsed;
+}
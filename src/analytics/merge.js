@@ -0,0 +1,74 @@
+import { ymToKey, strFromKey } from "./dates.js";
+
+// Combining long-format rows from several files. Rows are keyed by
+// Year/Period/Branch/Category; the policy decides what happens when both sides have a key.
+export const MERGE_POLICIES = {
+  keep: "Keep existing",
+  overwrite: "Overwrite",
+  sum: "Sum",
+};
+
+export const rowKey = (r) => `${ymToKey(r.Year, r.Month)}|${r.Branch ?? ""}|${r.Category}`;
+
+// Key -> row copy, summing repeated keys the same way aggregation would
+export function collapseRows(rows) {
+  const out = new Map();
+  for (const r of rows) {
+    const key = rowKey(r);
+    const existing = out.get(key);
+    if (existing) existing.Value += r.Value;
+    else out.set(key, { ...r });
+  }
+  return out;
+}
+
+const sortedNew = (incoming, existing) =>
+  [...incoming].filter((v) => !existing.has(v)).sort((a, b) =>
+    String(a).localeCompare(String(b), undefined, { numeric: true })
+  );
+
+/**
+ * Merge `incoming` rows into `base`. Returns the merged rows and a summary:
+ * how many keys were added, overwritten, kept, summed or already identical, plus the
+ * months, branches and categories that only the incoming rows have.
+ */
+export function mergeRows(base, incoming, { policy = "overwrite" } = {}) {
+  if (!MERGE_POLICIES[policy]) throw new Error(`Unknown merge policy "${policy}".`);
+  const merged = collapseRows(base);
+  const summary = {
+    policy,
+    incomingRows: incoming.length,
+    added: 0,
+    overwritten: 0,
+    kept: 0,
+    summed: 0,
+    unchanged: 0,
+  };
+
+  for (const [key, row] of collapseRows(incoming)) {
+    const existing = merged.get(key);
+    if (!existing) {
+      merged.set(key, row);
+      summary.added += 1;
+    } else if (policy === "sum") {
+      existing.Value += row.Value;
+      summary.summed += 1;
+    } else if (existing.Value === row.Value) {
+      summary.unchanged += 1;
+    } else if (policy === "keep") {
+      summary.kept += 1;
+    } else {
+      existing.Value = row.Value;
+      summary.overwritten += 1;
+    }
+  }
+
+  const monthsOf = (rows) => new Set(rows.map((r) => ymToKey(r.Year, r.Month)));
+  const branchesOf = (rows) => new Set(rows.map((r) => r.Branch).filter(Boolean));
+  const categoriesOf = (rows) => new Set(rows.map((r) => r.Category));
+  summary.newMonths = sortedNew(monthsOf(incoming), monthsOf(base)).map(strFromKey);
+  summary.newBranches = sortedNew(branchesOf(incoming), branchesOf(base));
+  summary.newCategories = sortedNew(categoriesOf(incoming), categoriesOf(base));
+
+  return { rows: [...merged.values()], summary };
+}
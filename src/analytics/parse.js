@@ -0,0 +1,41 @@
+import Papa from "papaparse";
+import { cleanHeaders, guessMapping, mappingErrors, applyColumnMapping } from "./mapping.js";
+
+export const DIMENSION_COLUMN_NAMES = new Set([
+  "date",
+  "month",
+  "year",
+  "period",
+  "branch",
+]);
+
+export const PARSE_OPTIONS = {
+  header: true,
+  skipEmptyLines: true,
+  dynamicTyping: true,
+};
+
+// CSV records -> long-format {Year, Month, Category, Value, Branch}. Accepts wide files
+// (one column per metric) and long files (Category + Value columns), dated by Year +
+// Period or a single Date column. Without an explicit `mapping` the layout is guessed
+// from the header names.
+export function normalizeParsedRows(data, metaFields, { mapping } = {}) {
+  const records = Array.isArray(data) ? data : [];
+  const headers = cleanHeaders(metaFields && metaFields.length ? metaFields : Object.keys(records[0] || {}));
+
+  if (!headers.length) throw new Error("No headers found in CSV.");
+
+  const active = mapping || guessMapping(headers, { records });
+  const [problem] = mappingErrors(active, headers);
+  if (problem) throw new Error(problem);
+
+  const parsed = applyColumnMapping(records, active);
+  if (!parsed.length) throw new Error("No valid rows found in CSV.");
+  return parsed;
+}
+
+// Synchronous parse of CSV text straight to long-format rows
+export function parseCsvText(text) {
+  const res = Papa.parse(text, PARSE_OPTIONS);
+  return normalizeParsedRows(res.data, res.meta.fields);
+}
@@ -0,0 +1,53 @@
+// Branch leaderboard: branches ranked by their total for a period, with the rank they held a
+// year earlier, their share of the company and their growth. Inputs are branch tables shaped
+// like summarizeByBranch's; rows without a branch take no place in the ranking.
+
+const BLANK_BRANCH = "(Blank)";
+
+// Change from `before` to `now` as a fraction; null without a positive base
+const growth = (now, before) => (typeof before === "number" && before > 0 ? (now - before) / before : null);
+
+// Branch -> 1-based place by total, largest first; equal totals go by branch code
+function placings(summary) {
+  const order = (summary?.rows || [])
+    .filter((r) => r.Branch !== BLANK_BRANCH)
+    .sort((a, b) => b.__total - a.__total || a.Branch.localeCompare(b.Branch, undefined, { numeric: true }));
+  return new Map(order.map((r, i) => [r.Branch, i + 1]));
+}
+
+const totalsByBranch = (summary) => new Map((summary?.rows || []).map((r) => [r.Branch, r.__total]));
+
+/**
+ * `current` branch table -> `[{ Branch, rank, total, share, priorRank, rankChange, yoy, r12Growth }]`
+ * by rank. `prior` is the period a year before `compared` (default: `current`; pass a shorter
+ * stretch of it when the data doesn't reach back a full year), `r12` / `r12Prior` the trailing
+ * twelve months and the twelve before, `companyTotal` the base for `share` (default: the
+ * current total). A positive `rankChange` is places gained; it and `priorRank` are null for
+ * branches missing from `prior`.
+ */
+export function rankBranches(current, { compared = current, prior, r12, r12Prior, companyTotal } = {}) {
+  const ranks = placings(current);
+  const priorRanks = placings(prior);
+  const comparedTotals = totalsByBranch(compared);
+  const priorTotals = totalsByBranch(prior);
+  const r12Totals = totalsByBranch(r12);
+  const r12PriorTotals = totalsByBranch(r12Prior);
+  const base = companyTotal ?? current?.totals?.__total;
+  return (current?.rows || [])
+    .filter((r) => ranks.has(r.Branch))
+    .map((r) => {
+      const rank = ranks.get(r.Branch);
+      const priorRank = priorRanks.get(r.Branch) ?? null;
+      return {
+        Branch: r.Branch,
+        rank,
+        total: r.__total,
+        share: base ? r.__total / base : null,
+        priorRank,
+        rankChange: priorRank === null ? null : priorRank - rank,
+        yoy: growth(comparedTotals.get(r.Branch) ?? 0, priorTotals.get(r.Branch)),
+        r12Growth: growth(r12Totals.get(r.Branch) ?? 0, r12PriorTotals.get(r.Branch)),
+      };
+    })
+    .sort((a, b) => a.rank - b.rank);
+}
@@ -0,0 +1,67 @@
+import { MONTH_NAMES } from "./dates.js";
+import { calendarToFiscal, normalizeFiscalStart } from "./fiscal.js";
+
+// Seasonal shape of a monthly series: its years laid over one another, the spread of each
+// month of the year, and a seasonal index (each month's average against the average month).
+// Months run from the first month of the fiscal year.
+
+/** The twelve months of the year in fiscal order, as `[{ Month, label }]`. */
+export function seasonMonths(fiscalYearStart = 1) {
+  const s = normalizeFiscalStart(fiscalYearStart);
+  return Array.from({ length: 12 }, (_, i) => {
+    const Month = ((s - 1 + i) % 12) + 1;
+    return { Month, label: MONTH_NAMES[Month - 1] };
+  });
+}
+
+const yearName = (fiscalYear, start) => (normalizeFiscalStart(start) > 1 ? `FY${fiscalYear}` : String(fiscalYear));
+
+/**
+ * One point per month of the year holding each (fiscal) year's value of `key` under the
+ * year's name, plus those names oldest first: `{ points, years }`.
+ */
+export function yearOverlay(monthly, key, { fiscalYearStart = 1 } = {}) {
+  const months = seasonMonths(fiscalYearStart);
+  const points = months.map(({ label }) => ({ month: label }));
+  const position = new Map(months.map((m, i) => [m.Month, i]));
+  const years = new Set();
+  for (const p of monthly) {
+    if (typeof p[key] !== "number" || !Number.isFinite(p[key])) continue;
+    const { fiscalYear } = calendarToFiscal(p.Year, p.Month, fiscalYearStart);
+    points[position.get(p.Month)][yearName(fiscalYear, fiscalYearStart)] = p[key];
+    years.add(fiscalYear);
+  }
+  return {
+    points,
+    years: [...years].sort((a, b) => a - b).map((y) => yearName(y, fiscalYearStart)),
+  };
+}
+
+/**
+ * Average, lowest and highest value of `key` for each month of the year, as
+ * `[{ month, avg, min, max, range: [min, max], years }]`; null figures where a month has no data.
+ */
+export function monthProfile(monthly, key, { fiscalYearStart = 1 } = {}) {
+  return seasonMonths(fiscalYearStart).map(({ Month, label }) => {
+    const values = monthly
+      .filter((p) => p.Month === Month && typeof p[key] === "number" && Number.isFinite(p[key]))
+      .map((p) => p[key]);
+    if (!values.length) return { month: label, avg: null, min: null, max: null, range: null, years: 0 };
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    const avg = values.reduce((a, b) => a + b, 0) / values.length;
+    return { month: label, avg, min, max, range: [min, max], years: values.length };
+  });
+}
+
+/**
+ * Seasonal index of `key` for each month of the year: the month's average over the average
+ * of all twelve monthly averages, times 100. Null for months without data, or throughout when
+ * the series averages zero.
+ */
+export function seasonalIndex(monthly, key, { fiscalYearStart = 1 } = {}) {
+  const averages = monthProfile(monthly, key, { fiscalYearStart }).map((m) => m.avg);
+  const present = averages.filter((v) => v !== null);
+  const overall = present.length ? present.reduce((a, b) => a + b, 0) / present.length : 0;
+  return averages.map((v) => (v === null || !overall ? null : (v / overall) * 100));
+}
@@ -0,0 +1,121 @@
+import { rangeKeys, ymToKey } from "./dates.js";
+
+const monthStub = (p) => ({ Year: p.Year, Month: p.Month, month: p.month });
+
+// Display clipped to a date window (math upstream uses all months)
+export function clipToRange(data, start, end) {
+  const range = rangeKeys(start, end);
+  if (!range) return data;
+  return data.filter((d) => {
+    const k = ymToKey(d.Year, d.Month);
+    return k >= range.startKey && k <= range.endKey;
+  });
+}
+
+export const ROLLING_STATS = ["sum", "avg", "growth"];
+
+// Running sums can leave float residue where a window is really all zeros
+const ZERO_EPSILON = 1e-6;
+
+/**
+ * Trailing-window transform over a contiguous monthly series.
+ *   sum    - total of the last `window` months (null until a full window exists)
+ *   avg    - sum / window
+ *   growth - last window vs. the window before it (null until 2 x window months exist)
+ * Each category keeps running sums, so the cost is O(months x metrics) regardless of window size.
+ */
+export function rollingWindow(monthly, metrics, { window = 12, stat = "sum" } = {}) {
+  const w = Math.max(1, Math.floor(window));
+  if (!ROLLING_STATS.includes(stat)) throw new Error(`Unknown rolling stat: ${stat}`);
+  const A = monthly;
+  const data = A.map(monthStub);
+  const at = (i, cat) => Number(A[i][cat] || 0);
+
+  for (const cat of metrics) {
+    let curr = 0; // sum of A[i-w+1 .. i]
+    let prev = 0; // sum of A[i-2w+1 .. i-w]
+    for (let i = 0; i < A.length; i++) {
+      curr += at(i, cat);
+      if (i >= w) {
+        curr -= at(i - w, cat);
+        prev += at(i - w, cat);
+      }
+      if (i >= 2 * w) prev -= at(i - 2 * w, cat);
+
+      let out = null;
+      if (stat === "growth") {
+        if (i >= 2 * w - 1 && Math.abs(prev) > ZERO_EPSILON) out = (curr - prev) / prev;
+      } else if (i >= w - 1) {
+        out = stat === "avg" ? curr / w : curr;
+      }
+      data[i][cat] = out;
+    }
+  }
+  return data;
+}
+
+// Latest and average of the finite points per category
+export function summarizeSeries(series, metrics) {
+  const stats = {};
+  for (const cat of metrics) {
+    const vals = series.map((d) => d[cat]).filter((v) => typeof v === "number" && isFinite(v));
+    if (!vals.length) continue;
+    const avg = vals.reduce((a, b) => a + b, 0) / vals.length;
+    const latest = vals[vals.length - 1];
+    stats[cat] = { avg, latest };
+  }
+  return stats;
+}
+
+const indexByKey = (monthly) =>
+  new Map(monthly.map((p) => [ymToKey(p.Year, p.Month), p]));
+
+// Same calendar month in the prior year / the previous calendar month, looked up by key so gaps in the data don't shift the comparison
+const priorYearKeyOf = (p) => ymToKey(p.Year - 1, p.Month);
+const priorMonthKeyOf = (p) =>
+  p.Month === 1 ? ymToKey(p.Year - 1, 12) : ymToKey(p.Year, p.Month - 1);
+
+function periodChange(monthly, metrics, priorKeyOf, asPct) {
+  const byKey = indexByKey(monthly);
+  return monthly.map((p) => {
+    const row = monthStub(p);
+    const prior = byKey.get(priorKeyOf(p));
+    for (const cat of metrics) {
+      if (!prior) {
+        row[cat] = null;
+        continue;
+      }
+      const curr = Number(p[cat] || 0);
+      const prev = Number(prior[cat] || 0);
+      if (!asPct) row[cat] = curr - prev;
+      else row[cat] = prev !== 0 ? (curr - prev) / prev : null;
+    }
+    return row;
+  });
+}
+
+// Monthly YoY change vs. the same month last year, as a ratio (`asPct`) or an absolute delta
+export function yearOverYear(monthly, metrics, { asPct = true } = {}) {
+  return periodChange(monthly, metrics, priorYearKeyOf, asPct);
+}
+
+// Month-over-month change as a ratio
+export function monthOverMonth(monthly, metrics) {
+  return periodChange(monthly, metrics, priorMonthKeyOf, true);
+}
+
+export const priorYearKey = (cat) => `${cat} (PY)`;
+
+// Current value plus a `<cat> (PY)` ghost series holding the same month one year earlier
+export function priorYearOverlay(monthly, metrics) {
+  const byKey = indexByKey(monthly);
+  return monthly.map((p) => {
+    const row = monthStub(p);
+    const prior = byKey.get(priorYearKeyOf(p));
+    for (const cat of metrics) {
+      row[cat] = Number(p[cat] || 0);
+      row[priorYearKey(cat)] = prior ? Number(prior[cat] || 0) : null;
+    }
+    return row;
+  });
+}
@@ -0,0 +1,277 @@
+import { rangeKeys, strFromKey, ymToKey, addMonths, keyFromStr } from "./dates.js";
+
+// Data-quality checks over long-format rows. Every finding is a flat "exception" record
+// so the panel can group, drill into and export them the same way.
+
+export const EXCEPTION_TYPES = {
+  reconcile: { label: "Components ≠ total", severity: "error" },
+  crosscheck: { label: "Differs from reference file", severity: "error" },
+  duplicate: { label: "Duplicate Year/Period/Branch", severity: "error" },
+  missing: { label: "Missing month", severity: "warning" },
+  unmapped: { label: "Unmapped column", severity: "warning" },
+};
+
+export const DEFAULT_TOLERANCE = 0.5;
+
+const cellKey = (r) => `${ymToKey(r.Year, r.Month)}|${r.Branch ?? ""}`;
+
+const exception = (type, fields) => ({
+  type,
+  severity: EXCEPTION_TYPES[type].severity,
+  Year: null,
+  Month: null,
+  Branch: null,
+  Category: null,
+  expected: null,
+  actual: null,
+  diff: null,
+  ...fields,
+});
+
+// Year/Month/Branch cell -> { [category]: value }. A wide source row puts one value per
+// category into its cell, so the most times any one category repeats there is the number
+// of rows that share the cell; cells with more than one are duplicates.
+function indexCells(rows) {
+  const cells = new Map();
+  const duplicates = new Map();
+  for (const r of rows) {
+    const key = cellKey(r);
+    let cell = cells.get(key);
+    if (!cell) {
+      cell = { Year: r.Year, Month: r.Month, Branch: r.Branch, values: {}, counts: {} };
+      cells.set(key, cell);
+    }
+    const count = (cell.counts[r.Category] || 0) + 1;
+    cell.counts[r.Category] = count;
+    if (count > (duplicates.get(key) || 1)) duplicates.set(key, count);
+    cell.values[r.Category] = (cell.values[r.Category] || 0) + (Number(r.Value) || 0);
+  }
+  return { cells, duplicates };
+}
+
+/**
+ * Children of each total present in the data, from a { child: parent } map.
+ * Columns the map doesn't know are reported as unmapped; when the data has a single
+ * total they are assumed to roll into it so the reconciliation still runs.
+ */
+export function reconciliationPlan(metrics, parents = {}) {
+  const present = new Set(metrics);
+  const known = new Set([...Object.keys(parents), ...Object.values(parents)]);
+  const children = new Map();
+  for (const m of metrics) {
+    const parent = parents[m];
+    if (!parent || !present.has(parent)) continue;
+    if (!children.has(parent)) children.set(parent, []);
+    children.get(parent).push(m);
+  }
+  const unmapped = metrics.filter((m) => !known.has(m));
+  const totals = [...children.keys()];
+  const topTotals = totals.filter((t) => !present.has(parents[t]));
+  if (unmapped.length && topTotals.length === 1) {
+    children.get(topTotals[0]).push(...unmapped);
+  }
+  return { children, unmapped, assumedParent: topTotals.length === 1 ? topTotals[0] : null };
+}
+
+export function validateRows(rows, { parents = {}, tolerance = DEFAULT_TOLERANCE } = {}) {
+  const out = [];
+  if (!rows.length) return out;
+  const metrics = [...new Set(rows.map((r) => r.Category))];
+  const { cells, duplicates } = indexCells(rows);
+  const plan = reconciliationPlan(metrics, parents);
+
+  for (const m of plan.unmapped) {
+    out.push(
+      exception("unmapped", {
+        Category: m,
+        message: plan.assumedParent
+          ? `"${m}" is not a known category; reconciled as part of ${plan.assumedParent}.`
+          : `"${m}" is not a known category and is not reconciled.`,
+      })
+    );
+  }
+
+  for (const [key, count] of duplicates) {
+    const cell = cells.get(key);
+    out.push(
+      exception("duplicate", {
+        Year: cell.Year,
+        Month: cell.Month,
+        Branch: cell.Branch ?? null,
+        actual: count,
+        message: `${count} rows for the same Year/Period/Branch; values were summed.`,
+      })
+    );
+  }
+
+  for (const cell of cells.values()) {
+    for (const [total, kids] of plan.children) {
+      if (!Object.prototype.hasOwnProperty.call(cell.values, total)) continue;
+      const expected = kids.reduce((acc, k) => acc + (cell.values[k] || 0), 0);
+      const actual = cell.values[total];
+      const diff = actual - expected;
+      if (Math.abs(diff) <= tolerance) continue;
+      out.push(
+        exception("reconcile", {
+          Year: cell.Year,
+          Month: cell.Month,
+          Branch: cell.Branch ?? null,
+          Category: total,
+          expected,
+          actual,
+          diff,
+          message: `${total} does not equal the sum of ${kids.join(", ")}.`,
+        })
+      );
+    }
+  }
+
+  out.push(...findMissingMonths(rows));
+  return sortExceptions(out);
+}
+
+// Gaps inside each branch's own first..last month, plus months with no data at all
+export function findMissingMonths(rows) {
+  const spans = new Map(); // branch -> { min, max, keys }
+  const allKeys = new Set();
+  for (const r of rows) {
+    const k = ymToKey(r.Year, r.Month);
+    allKeys.add(k);
+    const b = r.Branch ?? "";
+    let span = spans.get(b);
+    if (!span) {
+      span = { min: k, max: k, keys: new Set() };
+      spans.set(b, span);
+    }
+    span.keys.add(k);
+    if (k < span.min) span.min = k;
+    if (k > span.max) span.max = k;
+  }
+
+  const out = [];
+  const walk = (min, max, has, branch) => {
+    for (let s = strFromKey(min); keyFromStr(s) <= max; s = addMonths(s, 1)) {
+      const k = keyFromStr(s);
+      if (has(k)) continue;
+      out.push(
+        exception("missing", {
+          Year: Math.floor(k / 100),
+          Month: k % 100,
+          Branch: branch,
+          message: branch ? `No rows for branch ${branch}.` : "No rows for any branch.",
+        })
+      );
+    }
+  };
+
+  if (!allKeys.size) return out;
+  let lo = Infinity, hi = -Infinity;
+  for (const k of allKeys) {
+    if (k < lo) lo = k;
+    if (k > hi) hi = k;
+  }
+  walk(lo, hi, (k) => allKeys.has(k), null);
+  for (const [branch, span] of spans) {
+    if (!branch) continue;
+    walk(span.min, span.max, (k) => span.keys.has(k) || !allKeys.has(k), branch);
+  }
+  return out;
+}
+
+/**
+ * Compare a detail file against a reference rollup file cell by cell.
+ * `equivalents` maps a rollup column to the detail columns it should equal the sum of,
+ * e.g. { Equipment: ["Total Equipment"], Total: ["Total Equipment", "Total Rental", ...] }.
+ * Only columns present in both files are compared; `start`/`end` limit the window and
+ * `branches` the branch codes. `expected` is the reference value, `actual` the detail
+ * file's sum.
+ */
+export function crossCheckRows(
+  rollupRows,
+  detailRows,
+  { equivalents = {}, tolerance = DEFAULT_TOLERANCE, start, end, branches, referenceName = "reference" } = {}
+) {
+  const rollup = indexCells(rollupRows).cells;
+  const detail = indexCells(detailRows).cells;
+  const rollupMetrics = new Set(rollupRows.map((r) => r.Category));
+  const detailMetrics = new Set(detailRows.map((r) => r.Category));
+  const pairs = Object.entries(equivalents).filter(
+    ([col, parts]) => rollupMetrics.has(col) && parts.length && parts.every((p) => detailMetrics.has(p))
+  );
+  const range = rangeKeys(start, end);
+  const branchSet = Array.isArray(branches) ? new Set(branches) : null;
+  const inRange = (cell) => {
+    if (branchSet && !branchSet.has(cell.Branch)) return false;
+    if (!range) return true;
+    const k = ymToKey(cell.Year, cell.Month);
+    return k >= range.startKey && k <= range.endKey;
+  };
+
+  const out = [];
+  if (!pairs.length) return out;
+  const keys = new Set([...rollup.keys(), ...detail.keys()]);
+  for (const key of keys) {
+    const r = rollup.get(key);
+    const d = detail.get(key);
+    const cell = r || d;
+    if (!inRange(cell)) continue;
+    for (const [col, parts] of pairs) {
+      const expected = r && col in r.values ? r.values[col] : null;
+      const actual = d ? parts.reduce((acc, p) => acc + (d.values[p] || 0), 0) : null;
+      if (expected == null && actual == null) continue;
+      if (expected != null && actual != null && Math.abs(actual - expected) <= tolerance) continue;
+      out.push(
+        exception("crosscheck", {
+          Year: cell.Year,
+          Month: cell.Month,
+          Branch: cell.Branch ?? null,
+          Category: parts.length === 1 ? parts[0] : col,
+          expected,
+          actual,
+          diff: expected != null && actual != null ? actual - expected : null,
+          message:
+            expected == null
+              ? `Missing from ${referenceName}.`
+              : actual == null
+              ? `In ${referenceName} but missing here.`
+              : `${parts.join(" + ")} differs from ${col} in ${referenceName}.`,
+        })
+      );
+    }
+  }
+  return sortExceptions(out);
+}
+
+export function sortExceptions(list) {
+  const order = Object.keys(EXCEPTION_TYPES);
+  return [...list].sort(
+    (a, b) =>
+      order.indexOf(a.type) - order.indexOf(b.type) ||
+      (a.Year ?? 0) - (b.Year ?? 0) ||
+      (a.Month ?? 0) - (b.Month ?? 0) ||
+      String(a.Branch ?? "").localeCompare(String(b.Branch ?? ""), undefined, { numeric: true }) ||
+      String(a.Category ?? "").localeCompare(String(b.Category ?? ""))
+  );
+}
+
+export const EXCEPTION_CSV_HEADER = [
+  "Type", "Severity", "Year", "Period", "Branch", "Category", "Expected", "Actual", "Difference", "Message",
+];
+
+export function exceptionsToTable(list) {
+  return [
+    EXCEPTION_CSV_HEADER,
+    ...list.map((e) => [
+      EXCEPTION_TYPES[e.type]?.label || e.type,
+      e.severity,
+      e.Year,
+      e.Month,
+      e.Branch,
+      e.Category,
+      e.expected,
+      e.actual,
+      e.diff,
+      e.message,
+    ]),
+  ];
+}
@@ -0,0 +1,64 @@
+import { strFromYM } from "./dates.js";
+
+// Excel workbooks -> one { name, headers, records } source per sheet, the same shape
+// Papa.parse gives the CSV upload, so every sheet goes through the column mapping.
+// SheetJS is loaded on demand so CSV-only sessions never download it.
+
+export const WORKBOOK_FILE_PATTERN = /\.(xlsx|xlsm|xls)$/i;
+
+const loadSheetJs = async () => {
+  const mod = await import("xlsx");
+  // The ESM build exposes named exports; Node resolves the CommonJS build behind `default`
+  return mod.SSF ? mod : mod.default;
+};
+
+// Date-formatted cells become "YYYY-MM-DD" from the serial number itself, so the
+// month never shifts with the viewer's time zone
+function cellValue(XLSX, cell) {
+  if (!cell || cell.v == null || cell.t === "z" || cell.t === "e") return null;
+  if (cell.t === "n" && cell.z && XLSX.SSF.is_date(cell.z)) {
+    const d = XLSX.SSF.parse_date_code(cell.v);
+    if (d) return `${strFromYM(d.y, d.m)}-${String(d.d).padStart(2, "0")}`;
+  }
+  if (cell.t === "s") return cell.v.trim();
+  return cell.v;
+}
+
+const filled = (v) => v != null && v !== "";
+
+function sheetSource(XLSX, name, sheet) {
+  const ref = sheet?.["!ref"];
+  if (!ref) return { name, headers: [], records: [] };
+  const range = XLSX.utils.decode_range(ref);
+  const grid = [];
+  for (let r = range.s.r; r <= range.e.r; r++) {
+    const row = [];
+    for (let c = range.s.c; c <= range.e.c; c++) {
+      row.push(cellValue(XLSX, sheet[XLSX.utils.encode_cell({ r, c })]));
+    }
+    if (row.some(filled)) grid.push(row);
+  }
+
+  // Title rows above the table have a single cell; the header row is the first wider one
+  const headerIndex = grid.findIndex((row) => row.filter(filled).length > 1);
+  if (headerIndex === -1) return { name, headers: [], records: [] };
+  const seen = new Set();
+  const columns = [];
+  grid[headerIndex].forEach((h, i) => {
+    const header = filled(h) ? String(h).trim() : "";
+    if (!header || seen.has(header)) return;
+    seen.add(header);
+    columns.push([header, i]);
+  });
+  const records = grid
+    .slice(headerIndex + 1)
+    .map((row) => Object.fromEntries(columns.map(([h, i]) => [h, row[i]])));
+  return { name, headers: columns.map(([h]) => h), records };
+}
+
+// `data` is the file's ArrayBuffer (or a Uint8Array)
+export async function readWorkbook(data) {
+  const XLSX = await loadSheetJs();
+  const workbook = XLSX.read(data, { type: "array", cellNF: true, cellText: false });
+  return workbook.SheetNames.map((name) => sheetSource(XLSX, name, workbook.Sheets[name]));
+}
@@ -0,0 +1,216 @@
+// @ts-nocheck
+import React, { useState } from "react";
+import { ANOMALY_THRESHOLDS } from "../analytics";
+
+const DEFAULT_THEME = {
+  surface: "#ffffff",
+  border: "#e2e8f0",
+  shadow: "0 1px 2px rgba(15, 23, 42, 0.08)",
+  textPrimary: "#0f172a",
+  textMuted: "#64748b",
+  controlSurface: "#f8fafc",
+  controlBorder: "#cbd5e1",
+  controlText: "#0f172a",
+};
+
+const ANOMALY_COLOR = "#dc2626";
+
+const AnomaliesPanel = ({
+  anomalies,
+  threshold,
+  formatValue = (v) => v.toLocaleString(undefined, { maximumFractionDigits: 2 }),
+  onThresholdChange,
+  onFocus,
+  onDismiss,
+  onRestore,
+  onNote,
+  theme: themeProp,
+}) => {
+  const theme = { ...DEFAULT_THEME, ...(themeProp || {}) };
+  const [open, setOpen] = useState(false);
+  const [showDismissed, setShowDismissed] = useState(false);
+  const [notes, setNotes] = useState({});
+
+  const active = anomalies.filter((a) => !a.dismissed);
+  const dismissedCount = anomalies.length - active.length;
+  const visible = showDismissed ? anomalies : active;
+
+  const commitNote = (a) => {
+    const next = (notes[a.id] ?? a.note).trim();
+    setNotes((prev) => {
+      const rest = { ...prev };
+      delete rest[a.id];
+      return rest;
+    });
+    if (next !== a.note) onNote(a.id, next);
+  };
+
+  const cell = { padding: "6px 8px", whiteSpace: "nowrap", color: theme.textPrimary };
+  const numCell = { ...cell, textAlign: "right", fontVariantNumeric: "tabular-nums" };
+
+  return (
+    <div
+      style={{
+        marginTop: 12,
+        borderRadius: 12,
+        border: `1px solid ${active.length ? ANOMALY_COLOR : theme.border}`,
+        background: theme.surface,
+        boxShadow: theme.shadow,
+        color: theme.textPrimary,
+        textAlign: "left",
+      }}
+    >
+      <div style={{ display: "flex", alignItems: "center", gap: 10, padding: 12, flexWrap: "wrap" }}>
+        <button
+          type="button"
+          onClick={() => setOpen((v) => !v)}
+          aria-label="Toggle anomaly details"
+          style={{
+            width: 28,
+            height: 28,
+            borderRadius: 6,
+            border: `1px solid ${theme.controlBorder}`,
+            background: theme.controlSurface,
+            color: theme.controlText,
+            cursor: "pointer",
+            padding: 0,
+          }}
+        >
+          {open ? "▾" : "▸"}
+        </button>
+        <div style={{ fontWeight: 600 }}>Anomalies</div>
+        <span style={{ fontSize: 13, color: theme.textMuted }}>
+          {active.length
+            ? `${active.length.toLocaleString()} unusual month${active.length === 1 ? "" : "s"} in the date range`
+            : "No unusual months in the date range"}
+          {dismissedCount > 0 ? ` · ${dismissedCount} dismissed` : ""}
+        </span>
+        <div style={{ flex: "1 1 auto" }} />
+        <label style={{ display: "flex", alignItems: "center", gap: 6, fontSize: 12, color: theme.textMuted }}>
+          Sensitivity
+          <select
+            className="select"
+            value={threshold}
+            onChange={(e) => onThresholdChange(Number(e.target.value))}
+          >
+            {ANOMALY_THRESHOLDS.map((t) => (
+              <option key={t.value} value={t.value}>{t.label}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {open && (
+        <div style={{ padding: "0 12px 12px", display: "flex", flexDirection: "column", gap: 8 }}>
+          <div style={{ fontSize: 12, color: theme.textMuted }}>
+            Each month is compared with the same month in the other years of its series; it is flagged
+            when it sits {threshold} or more robust standard deviations from their median. Needs four
+            years of history.
+          </div>
+          {dismissedCount > 0 && (
+            <label style={{ display: "flex", alignItems: "center", gap: 6, fontSize: 12, color: theme.textMuted }}>
+              <input
+                type="checkbox"
+                checked={showDismissed}
+                onChange={(e) => setShowDismissed(e.target.checked)}
+              />
+              Show dismissed
+            </label>
+          )}
+          {visible.length > 0 && (
+            <div style={{ overflowX: "auto", maxHeight: 360, overflowY: "auto" }}>
+              <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 12 }}>
+                <thead>
+                  <tr>
+                    {["Month", "Branch", "Category", "Expected", "Actual", "Deviation", "Note", ""].map((h, i) => (
+                      <th
+                        key={i}
+                        style={{
+                          ...cell,
+                          textAlign: ["Expected", "Actual", "Deviation"].includes(h) ? "right" : "left",
+                          color: theme.textMuted,
+                          position: "sticky",
+                          top: 0,
+                          background: theme.surface,
+                        }}
+                      >
+                        {h}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {visible.map((a) => (
+                    <tr
+                      key={a.id}
+                      style={{ borderTop: `1px solid ${theme.border}`, opacity: a.dismissed ? 0.55 : 1 }}
+                    >
+                      <td style={cell}>
+                        <button
+                          type="button"
+                          onClick={() => onFocus(a)}
+                          title="Show this month on the chart"
+                          style={{
+                            background: "transparent",
+                            border: "none",
+                            color: theme.textPrimary,
+                            textDecoration: "underline",
+                            fontSize: 12,
+                            cursor: "pointer",
+                            padding: 0,
+                          }}
+                        >
+                          {a.month}
+                        </button>
+                      </td>
+                      <td style={cell}>{a.branch}</td>
+                      <td style={cell}>{a.category}</td>
+                      <td style={numCell}>{formatValue(a.expected)}</td>
+                      <td style={numCell}>{formatValue(a.actual)}</td>
+                      <td style={{ ...numCell, color: ANOMALY_COLOR }} title={`Robust z-score ${a.z.toFixed(1)}`}>
+                        {a.actual > a.expected ? "+" : ""}
+                        {formatValue(a.actual - a.expected)}
+                        {a.expected ? ` (${a.actual > a.expected ? "+" : ""}${Math.round(((a.actual - a.expected) / Math.abs(a.expected)) * 100)}%)` : ""}
+                      </td>
+                      <td style={{ ...cell, minWidth: 180 }}>
+                        <input
+                          aria-label={`Note for ${a.category} ${a.month}`}
+                          placeholder="Add a note"
+                          value={notes[a.id] ?? a.note}
+                          onChange={(e) => setNotes((prev) => ({ ...prev, [a.id]: e.target.value }))}
+                          onBlur={() => commitNote(a)}
+                          onKeyDown={(e) => {
+                            if (e.key === "Enter") e.currentTarget.blur();
+                          }}
+                          style={{
+                            boxSizing: "border-box",
+                            width: "100%",
+                            padding: "3px 6px",
+                            borderRadius: 6,
+                            border: `1px solid ${theme.controlBorder}`,
+                            background: theme.controlSurface,
+                            color: theme.controlText,
+                            fontSize: 12,
+                          }}
+                        />
+                      </td>
+                      <td style={cell}>
+                        {a.dismissed ? (
+                          <button type="button" className="btn" onClick={() => onRestore(a.id)}>Restore</button>
+                        ) : (
+                          <button type="button" className="btn" onClick={() => onDismiss(a.id)}>Dismiss</button>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AnomaliesPanel;
@@ -0,0 +1,239 @@
+// @ts-nocheck
+import React, { useMemo, useState } from "react";
+import { normalizeBranchMaster } from "../analytics";
+
+const DEFAULT_THEME = {
+  surface: "#ffffff",
+  border: "#e2e8f0",
+  shadow: "0 1px 2px rgba(15, 23, 42, 0.08)",
+  textPrimary: "#0f172a",
+  textMuted: "#64748b",
+  controlSurface: "#f8fafc",
+  controlBorder: "#cbd5e1",
+  controlText: "#0f172a",
+};
+
+const FIELDS = [
+  { key: "code", label: "Code", width: 80 },
+  { key: "name", label: "Name", width: 200 },
+  { key: "region", label: "Region", width: 110 },
+  { key: "district", label: "District", width: 130 },
+];
+
+const toDraft = (master) =>
+  (master?.branches || []).map((b) => ({
+    code: b.code || "",
+    name: b.name || "",
+    region: b.region || "",
+    district: b.district || "",
+  }));
+
+const BranchMasterEditor = ({
+  master,
+  dataBranches = [],
+  source,
+  loadFailed = false,
+  onSave,
+  onReset,
+  onClose,
+  theme: themeProp,
+}) => {
+  const theme = { ...DEFAULT_THEME, ...(themeProp || {}) };
+  const [draft, setDraft] = useState(() => toDraft(master));
+  const [regionOrder, setRegionOrder] = useState(() => (master?.regions || []).join(", "));
+
+  const draftCodes = useMemo(() => new Set(draft.map((b) => b.code.trim())), [draft]);
+  const missing = dataBranches.filter((code) => !draftCodes.has(code));
+  const duplicateCodes = useMemo(() => {
+    const counts = new Map();
+    draft.forEach((b) => {
+      const code = b.code.trim();
+      if (code) counts.set(code, (counts.get(code) || 0) + 1);
+    });
+    return new Set([...counts].filter(([, n]) => n > 1).map(([code]) => code));
+  }, [draft]);
+
+  const regionOptions = useMemo(() => {
+    const names = regionOrder.split(",").map((r) => r.trim()).filter(Boolean);
+    draft.forEach((b) => {
+      const r = b.region.trim();
+      if (r && !names.includes(r)) names.push(r);
+    });
+    return names;
+  }, [regionOrder, draft]);
+
+  const updateRow = (index, key, value) =>
+    setDraft((prev) => prev.map((row, i) => (i === index ? { ...row, [key]: value } : row)));
+
+  const removeRow = (index) => setDraft((prev) => prev.filter((_, i) => i !== index));
+
+  const addRow = (code = "") =>
+    setDraft((prev) => [...prev, { code, name: "", region: "", district: "" }]);
+
+  const addMissing = () =>
+    setDraft((prev) => [
+      ...prev,
+      ...missing.map((code) => ({ code, name: "", region: "", district: "" })),
+    ]);
+
+  const buildMaster = () =>
+    normalizeBranchMaster({
+      regions: regionOrder.split(","),
+      branches: [...draft].sort((a, b) =>
+        a.code.localeCompare(b.code, undefined, { numeric: true })
+      ),
+    });
+
+  const exportJson = () => {
+    const blob = new Blob([JSON.stringify(buildMaster(), null, 2) + "\n"], {
+      type: "application/json",
+    });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = "branches.json";
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const inputStyle = {
+    width: "100%",
+    boxSizing: "border-box",
+    padding: "4px 6px",
+    borderRadius: 6,
+    border: `1px solid ${theme.controlBorder}`,
+    background: theme.controlSurface,
+    color: theme.controlText,
+    fontSize: 13,
+  };
+
+  return (
+    <div
+      style={{
+        marginTop: 12,
+        padding: 12,
+        borderRadius: 12,
+        border: `1px solid ${theme.border}`,
+        background: theme.surface,
+        boxShadow: theme.shadow,
+        color: theme.textPrimary,
+        textAlign: "left",
+        display: "flex",
+        flexDirection: "column",
+        gap: 10,
+      }}
+    >
+      <div style={{ display: "flex", alignItems: "center", gap: 8, flexWrap: "wrap" }}>
+        <div style={{ fontWeight: 600 }}>Branch master</div>
+        <span style={{ fontSize: 12, color: theme.textMuted }}>
+          {source === "local"
+            ? "Using local edits (saved in this browser)"
+            : source === "file"
+            ? "Loaded from branches.json"
+            : loadFailed
+            ? "Built-in default (branches.json could not be loaded)"
+            : "Built-in default"}
+        </span>
+        <div style={{ flex: "1 1 auto" }} />
+        <button type="button" className="btn" onClick={() => addRow()}>Add branch</button>
+        {missing.length > 0 && (
+          <button type="button" className="btn" onClick={addMissing}>
+            Add {missing.length} from data
+          </button>
+        )}
+        <button type="button" className="btn" onClick={exportJson}>Export JSON</button>
+        {source === "local" && (
+          <button type="button" className="btn" onClick={onReset}>Reset to file</button>
+        )}
+        <button
+          type="button"
+          className="btn btn--primary"
+          disabled={duplicateCodes.size > 0}
+          onClick={() => onSave(buildMaster())}
+        >
+          Save
+        </button>
+        <button type="button" className="btn" onClick={onClose}>Close</button>
+      </div>
+
+      <label style={{ display: "flex", flexDirection: "column", gap: 4, fontSize: 12, color: theme.textMuted }}>
+        Region order (comma separated)
+        <input
+          style={inputStyle}
+          value={regionOrder}
+          onChange={(e) => setRegionOrder(e.target.value)}
+        />
+      </label>
+
+      <datalist id="branch-master-regions">
+        {regionOptions.map((r) => (
+          <option key={r} value={r} />
+        ))}
+      </datalist>
+
+      <div style={{ overflowX: "auto" }}>
+        <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 13 }}>
+          <thead>
+            <tr>
+              {FIELDS.map((f) => (
+                <th
+                  key={f.key}
+                  style={{ textAlign: "left", padding: "4px 6px", color: theme.textMuted, minWidth: f.width }}
+                >
+                  {f.label}
+                </th>
+              ))}
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {draft.map((row, index) => (
+              <tr key={index}>
+                {FIELDS.map((f) => (
+                  <td key={f.key} style={{ padding: "3px 6px" }}>
+                    <input
+                      style={{
+                        ...inputStyle,
+                        borderColor:
+                          f.key === "code" && duplicateCodes.has(row.code.trim())
+                            ? "#dc2626"
+                            : theme.controlBorder,
+                      }}
+                      value={row[f.key]}
+                      list={f.key === "region" ? "branch-master-regions" : undefined}
+                      onChange={(e) => updateRow(index, f.key, e.target.value)}
+                    />
+                  </td>
+                ))}
+                <td style={{ padding: "3px 6px" }}>
+                  <button
+                    type="button"
+                    aria-label={`Remove branch ${row.code}`}
+                    onClick={() => removeRow(index)}
+                    style={{
+                      background: "transparent",
+                      border: "none",
+                      color: theme.textMuted,
+                      cursor: "pointer",
+                      fontSize: 16,
+                    }}
+                  >
+                    ×
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div style={{ fontSize: 12, color: theme.textMuted }}>
+        {duplicateCodes.size > 0
+          ? `Duplicate codes: ${[...duplicateCodes].join(", ")}`
+          : "Saving keeps the edits in this browser. Export JSON and replace public/branches.json to share them."}
+      </div>
+    </div>
+  );
+};
+
+export default BranchMasterEditor;
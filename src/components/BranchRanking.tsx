@@ -0,0 +1,208 @@
+// @ts-nocheck
+import React, { useState } from "react";
+
+const DEFAULT_THEME = {
+  surface: "#ffffff",
+  border: "#e2e8f0",
+  shadow: "0 1px 2px rgba(15, 23, 42, 0.08)",
+  textPrimary: "#0f172a",
+  textMuted: "#64748b",
+  controlSurface: "#f8fafc",
+  controlBorder: "#cbd5e1",
+  controlText: "#0f172a",
+  trend: "#2563eb",
+  positive: "#16a34a",
+  negative: "#dc2626",
+};
+
+// Sortable columns; `desc` columns put the largest value first on their first click
+const COLUMNS = [
+  { key: "rank", label: "Rank", numeric: true },
+  { key: "rankChange", label: "Change", numeric: true, desc: true, title: "Places gained since the same period a year earlier" },
+  { key: "Branch", label: "Branch" },
+  { key: "total", label: "Total", numeric: true, desc: true },
+  { key: "share", label: "Share", numeric: true, desc: true, title: "Share of the company total" },
+  { key: "yoy", label: "YoY", numeric: true, desc: true, title: "Growth on the same period a year earlier" },
+  { key: "r12Growth", label: "R12 growth", numeric: true, desc: true, title: "Last twelve months against the twelve before" },
+];
+
+const SPARK_WIDTH = 96;
+const SPARK_HEIGHT = 22;
+
+// Month-by-month trend as a bare polyline, scaled to its own range
+const Sparkline = ({ values, color }) => {
+  if (values.length < 2) return null;
+  const min = Math.min(...values);
+  const span = Math.max(...values) - min || 1;
+  const points = values
+    .map((v, i) => {
+      const x = (i / (values.length - 1)) * (SPARK_WIDTH - 2) + 1;
+      const y = SPARK_HEIGHT - 1 - ((v - min) / span) * (SPARK_HEIGHT - 2);
+      return `${x.toFixed(1)},${y.toFixed(1)}`;
+    })
+    .join(" ");
+  return (
+    <svg width={SPARK_WIDTH} height={SPARK_HEIGHT} aria-hidden="true" style={{ display: "block" }}>
+      <polyline points={points} fill="none" stroke={color} strokeWidth={1.5} strokeLinejoin="round" />
+    </svg>
+  );
+};
+
+const BranchRanking = ({
+  open,
+  onToggle,
+  rows = null,
+  periods = null,
+  metricLabel = "",
+  formatValue = (v) => v.toLocaleString(undefined, { maximumFractionDigits: 0 }),
+  formatPct = (v) => `${(v * 100).toFixed(1)}%`,
+  describeBranch = (code) => code,
+  theme: themeProp,
+}) => {
+  const theme = { ...DEFAULT_THEME, ...(themeProp || {}) };
+  const [sort, setSort] = useState({ key: "rank", dir: 1 });
+
+  const toggleSort = (column) =>
+    setSort((prev) =>
+      prev.key === column.key ? { key: column.key, dir: -prev.dir } : { key: column.key, dir: column.desc ? -1 : 1 }
+    );
+  // Blank figures (no prior period) sort last either way
+  const sorted = [...(rows || [])].sort((a, b) => {
+    const x = a[sort.key];
+    const y = b[sort.key];
+    if (x == null || y == null) return (x == null) - (y == null) || a.rank - b.rank;
+    const order = sort.key === "Branch" ? x.localeCompare(y, undefined, { numeric: true }) : x - y;
+    return order * sort.dir || a.rank - b.rank;
+  });
+
+  const cell = { padding: "6px 8px", whiteSpace: "nowrap", color: theme.textPrimary };
+  const numCell = { ...cell, textAlign: "right", fontVariantNumeric: "tabular-nums" };
+  const signColor = (v) => (v > 0 ? theme.positive : v < 0 ? theme.negative : theme.textMuted);
+  const signedPct = (v) => (v == null ? "—" : `${v > 0 ? "+" : ""}${formatPct(v)}`);
+  const rankChange = (r) =>
+    r.rankChange == null ? "new" : r.rankChange > 0 ? `▲ ${r.rankChange}` : r.rankChange < 0 ? `▼ ${-r.rankChange}` : "–";
+
+  return (
+    <div
+      style={{
+        marginTop: 12,
+        borderRadius: 12,
+        border: `1px solid ${theme.border}`,
+        background: theme.surface,
+        boxShadow: theme.shadow,
+        color: theme.textPrimary,
+        textAlign: "left",
+      }}
+    >
+      <div style={{ display: "flex", alignItems: "center", gap: 10, padding: 12, flexWrap: "wrap" }}>
+        <button
+          type="button"
+          onClick={onToggle}
+          aria-label="Toggle branch ranking"
+          style={{
+            width: 28,
+            height: 28,
+            borderRadius: 6,
+            border: `1px solid ${theme.controlBorder}`,
+            background: theme.controlSurface,
+            color: theme.controlText,
+            cursor: "pointer",
+            padding: 0,
+          }}
+        >
+          {open ? "▾" : "▸"}
+        </button>
+        <div style={{ fontWeight: 600 }}>Branch ranking</div>
+        <span style={{ fontSize: 13, color: theme.textMuted }}>
+          Who leads and who is slipping: rank, share of the company and growth by branch
+        </span>
+      </div>
+
+      {open && (
+        <div style={{ padding: "0 12px 12px", display: "flex", flexDirection: "column", gap: 8 }}>
+          {periods && (
+            <div style={{ fontSize: 12, color: theme.textMuted }}>
+              {metricLabel} for {periods.current}.{" "}
+              {periods.prior
+                ? `Rank change and YoY compare ${periods.compared} with ${periods.prior}`
+                : "No year-earlier data for rank change and YoY"}
+              ; {periods.r12 ? `R12 growth compares ${periods.r12} with ${periods.r12Prior}` : "R12 growth needs two years of data"}.
+              The trend runs month by month over the date range.
+            </div>
+          )}
+          {!rows ? (
+            <div style={{ fontSize: 12, color: theme.textMuted }}>Calculating…</div>
+          ) : !rows.length ? (
+            <div style={{ fontSize: 12, color: theme.textMuted }}>No branch has data in the date range.</div>
+          ) : (
+            <div style={{ overflowX: "auto", maxHeight: 480, overflowY: "auto" }}>
+              <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 12 }}>
+                <thead>
+                  <tr>
+                    {COLUMNS.map((c) => (
+                      <th
+                        key={c.key}
+                        aria-sort={sort.key === c.key ? (sort.dir > 0 ? "ascending" : "descending") : "none"}
+                        style={{
+                          ...cell,
+                          textAlign: c.numeric ? "right" : "left",
+                          position: "sticky",
+                          top: 0,
+                          background: theme.surface,
+                        }}
+                      >
+                        <button
+                          type="button"
+                          onClick={() => toggleSort(c)}
+                          title={c.title}
+                          style={{
+                            background: "transparent",
+                            border: "none",
+                            color: sort.key === c.key ? theme.textPrimary : theme.textMuted,
+                            fontSize: 12,
+                            fontWeight: 600,
+                            cursor: "pointer",
+                            padding: 0,
+                          }}
+                        >
+                          {c.label}
+                          {sort.key === c.key ? (sort.dir > 0 ? " ↑" : " ↓") : ""}
+                        </button>
+                      </th>
+                    ))}
+                    <th style={{ ...cell, color: theme.textMuted, position: "sticky", top: 0, background: theme.surface }}>
+                      Trend
+                    </th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {sorted.map((r) => (
+                    <tr key={r.Branch} style={{ borderTop: `1px solid ${theme.border}` }}>
+                      <td style={{ ...numCell, fontWeight: 600 }}>{r.rank}</td>
+                      <td
+                        style={{ ...numCell, color: signColor(r.rankChange) }}
+                        title={r.priorRank == null ? "No data a year earlier" : `Ranked ${r.priorRank} a year earlier`}
+                      >
+                        {rankChange(r)}
+                      </td>
+                      <td style={cell}>{describeBranch(r.Branch)}</td>
+                      <td style={numCell}>{formatValue(r.total)}</td>
+                      <td style={numCell}>{r.share == null ? "—" : formatPct(r.share)}</td>
+                      <td style={{ ...numCell, color: signColor(r.yoy) }}>{signedPct(r.yoy)}</td>
+                      <td style={{ ...numCell, color: signColor(r.r12Growth) }}>{signedPct(r.r12Growth)}</td>
+                      <td style={cell}>
+                        <Sparkline values={r.trend} color={theme.trend} />
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BranchRanking;
@@ -0,0 +1,252 @@
+// @ts-nocheck
+import React, { useMemo, useState } from "react";
+import { DIMENSION_ROLES, mappingErrors, duplicateTargets, isLongMapping, longCategories } from "../analytics";
+
+const DEFAULT_THEME = {
+  surface: "#ffffff",
+  border: "#e2e8f0",
+  shadow: "0 1px 2px rgba(15, 23, 42, 0.08)",
+  textPrimary: "#0f172a",
+  textMuted: "#64748b",
+  controlSurface: "#f8fafc",
+  controlBorder: "#cbd5e1",
+  controlText: "#0f172a",
+};
+
+const ROLE_LABELS = {
+  year: "Year",
+  period: "Period / Month",
+  date: "Date (instead of Year + Period)",
+  branch: "Branch",
+  category: "Category (long format)",
+  value: "Value (long format)",
+};
+
+const PREVIEW_ROWS = 5;
+
+const ColumnMappingWizard = ({
+  fileName,
+  headers,
+  records = [],
+  mapping,
+  knownMetrics = [],
+  savedMapping = false,
+  onApply,
+  onCancel,
+  theme: themeProp,
+}) => {
+  const theme = { ...DEFAULT_THEME, ...(themeProp || {}) };
+  const [roles, setRoles] = useState(() =>
+    Object.fromEntries(DIMENSION_ROLES.map((r) => [r, mapping?.[r] || ""]))
+  );
+  // Per-metric edits; untouched metrics fall back to the initial mapping
+  const [names, setNames] = useState({});
+  const [included, setIncluded] = useState({});
+  const [remember, setRemember] = useState(true);
+
+  const known = useMemo(() => new Set(knownMetrics), [knownMetrics]);
+  const roleOf = useMemo(() => {
+    const map = new Map();
+    DIMENSION_ROLES.forEach((r) => {
+      if (roles[r]) map.set(roles[r], r);
+    });
+    return map;
+  }, [roles]);
+  // Wide files list their value columns; long files list the values of the Category column
+  const long = isLongMapping(roles);
+  const metricKeys = useMemo(
+    () => (long ? longCategories(records, roles.category) : headers.filter((h) => !roleOf.has(h))),
+    [long, records, roles.category, headers, roleOf]
+  );
+  const initial = mapping?.metrics || {};
+  const nameOf = (k) => names[k] ?? (initial[k] || k);
+  const includedOf = (k) =>
+    included[k] ?? (Object.prototype.hasOwnProperty.call(initial, k) ? initial[k] != null : long);
+
+  const draft = {
+    ...Object.fromEntries(DIMENSION_ROLES.map((r) => [r, roles[r] || null])),
+    metrics: Object.fromEntries(
+      metricKeys.map((k) => [k, includedOf(k) && nameOf(k).trim() ? nameOf(k).trim() : null])
+    ),
+  };
+  const errors = mappingErrors(draft, headers);
+  const duplicates = duplicateTargets(draft);
+  const preview = records.slice(0, PREVIEW_ROWS);
+
+  const inputStyle = {
+    boxSizing: "border-box",
+    padding: "4px 6px",
+    borderRadius: 6,
+    border: `1px solid ${theme.controlBorder}`,
+    background: theme.controlSurface,
+    color: theme.controlText,
+    fontSize: 13,
+  };
+  const cell = { padding: "4px 6px", whiteSpace: "nowrap", textAlign: "left" };
+
+  return (
+    <div
+      style={{
+        marginTop: 12,
+        padding: 12,
+        borderRadius: 12,
+        border: `1px solid ${theme.border}`,
+        background: theme.surface,
+        boxShadow: theme.shadow,
+        color: theme.textPrimary,
+        textAlign: "left",
+        display: "flex",
+        flexDirection: "column",
+        gap: 12,
+      }}
+    >
+      <div style={{ display: "flex", alignItems: "center", gap: 8, flexWrap: "wrap" }}>
+        <div style={{ fontWeight: 600 }}>Map columns</div>
+        <span style={{ fontSize: 12, color: theme.textMuted }}>
+          {fileName}
+          {savedMapping ? " · using the saved mapping for these columns" : ""}
+        </span>
+      </div>
+
+      <div style={{ display: "flex", gap: 12, flexWrap: "wrap" }}>
+        {DIMENSION_ROLES.map((role) => (
+          <label
+            key={role}
+            style={{ display: "flex", flexDirection: "column", gap: 4, fontSize: 12, color: theme.textMuted }}
+          >
+            {ROLE_LABELS[role]}
+            <select
+              style={{ ...inputStyle, minWidth: 150 }}
+              value={roles[role]}
+              onChange={(e) => setRoles((prev) => ({ ...prev, [role]: e.target.value }))}
+            >
+              <option value="">(none)</option>
+              {headers.map((h) => (
+                <option key={h} value={h} disabled={roleOf.has(h) && roleOf.get(h) !== role}>
+                  {h}
+                </option>
+              ))}
+            </select>
+          </label>
+        ))}
+      </div>
+
+      <div style={{ overflowX: "auto" }}>
+        <table style={{ borderCollapse: "collapse", fontSize: 12 }}>
+          <thead>
+            <tr>
+              {headers.map((h) => (
+                <th key={h} style={{ ...cell, color: theme.textMuted, borderBottom: `1px solid ${theme.border}` }}>
+                  <div style={{ color: theme.textPrimary }}>{h}</div>
+                  <div style={{ fontWeight: 400 }}>
+                    {roleOf.has(h)
+                      ? ROLE_LABELS[roleOf.get(h)].split(" (")[0]
+                      : long
+                      ? "skipped"
+                      : draft.metrics[h]
+                      ? `→ ${draft.metrics[h]}`
+                      : "skipped"}
+                  </div>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {preview.map((row, i) => (
+              <tr key={i}>
+                {headers.map((h) => (
+                  <td key={h} style={{ ...cell, color: theme.textPrimary }}>
+                    {row[h] == null ? "" : String(row[h])}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <datalist id="column-mapping-metrics">
+        {knownMetrics.map((m) => (
+          <option key={m} value={m} />
+        ))}
+      </datalist>
+
+      <table style={{ borderCollapse: "collapse", fontSize: 13 }}>
+        <thead>
+          <tr>
+            {["Import", long ? "Category" : "Column", "Import as", ""].map((h, i) => (
+              <th key={i} style={{ ...cell, color: theme.textMuted }}>{h}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {metricKeys.map((h) => {
+            const target = nameOf(h).trim();
+            const unknown = includedOf(h) && target && known.size > 0 && !known.has(target);
+            return (
+              <tr key={h}>
+                <td style={cell}>
+                  <input
+                    type="checkbox"
+                    checked={includedOf(h)}
+                    aria-label={`Import ${h}`}
+                    onChange={(e) => setIncluded((prev) => ({ ...prev, [h]: e.target.checked }))}
+                  />
+                </td>
+                <td style={cell}>{h}</td>
+                <td style={cell}>
+                  <input
+                    style={{
+                      ...inputStyle,
+                      width: 240,
+                      borderColor: duplicates.includes(target) ? "#dc2626" : theme.controlBorder,
+                    }}
+                    value={nameOf(h)}
+                    disabled={!includedOf(h)}
+                    list="column-mapping-metrics"
+                    onChange={(e) => setNames((prev) => ({ ...prev, [h]: e.target.value }))}
+                  />
+                </td>
+                <td style={{ ...cell, fontSize: 12, color: "#b45309" }}>
+                  {unknown ? "Not a known category" : ""}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+
+      {(errors.length > 0 || duplicates.length > 0) && (
+        <div style={{ fontSize: 12, display: "flex", flexDirection: "column", gap: 2 }}>
+          {errors.map((e) => (
+            <div key={e} style={{ color: "#dc2626" }}>{e}</div>
+          ))}
+          {duplicates.length > 0 && (
+            <div style={{ color: "#b45309" }}>
+              Several columns import as {duplicates.join(", ")}; their values will be added together.
+            </div>
+          )}
+        </div>
+      )}
+
+      <div style={{ display: "flex", alignItems: "center", gap: 8, flexWrap: "wrap" }}>
+        <label style={{ display: "flex", alignItems: "center", gap: 6, fontSize: 13 }}>
+          <input type="checkbox" checked={remember} onChange={(e) => setRemember(e.target.checked)} />
+          Remember for files with these columns
+        </label>
+        <div style={{ flex: "1 1 auto" }} />
+        <button type="button" className="btn" onClick={onCancel}>Cancel</button>
+        <button
+          type="button"
+          className="btn btn--primary"
+          disabled={errors.length > 0}
+          onClick={() => onApply(draft, { remember })}
+        >
+          Import
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ColumnMappingWizard;
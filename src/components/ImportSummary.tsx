@@ -0,0 +1,89 @@
+// @ts-nocheck
+import React from "react";
+import { MERGE_POLICIES, monthLabel } from "../analytics";
+
+const DEFAULT_THEME = {
+  surface: "#ffffff",
+  border: "#e2e8f0",
+  shadow: "0 1px 2px rgba(15, 23, 42, 0.08)",
+  textPrimary: "#0f172a",
+  textMuted: "#64748b",
+};
+
+const MAX_LISTED = 8;
+
+const count = (n, singular, plural = `${singular}s`) =>
+  `${n.toLocaleString()} ${n === 1 ? singular : plural}`;
+
+const listed = (items) =>
+  items.length > MAX_LISTED
+    ? `${items.slice(0, MAX_LISTED).join(", ")} and ${items.length - MAX_LISTED} more`
+    : items.join(", ");
+
+const monthText = (ym) => {
+  const [y, m] = ym.split("-").map(Number);
+  return monthLabel(y, m);
+};
+
+// One line per merged file: key counts by outcome, then what the file introduced
+const describe = (s) => {
+  const parts = [count(s.added, "new value")];
+  if (s.overwritten) parts.push(`${s.overwritten.toLocaleString()} overwritten`);
+  if (s.kept) parts.push(`${s.kept.toLocaleString()} conflicting kept as existing`);
+  if (s.summed) parts.push(`${s.summed.toLocaleString()} summed`);
+  if (s.unchanged) parts.push(`${s.unchanged.toLocaleString()} identical`);
+  return parts.join(", ");
+};
+
+const ImportSummary = ({ summary, onDismiss, theme: themeProp }) => {
+  const theme = { ...DEFAULT_THEME, ...(themeProp || {}) };
+  const { results, merged, policy, rowCount } = summary;
+
+  return (
+    <div
+      style={{
+        marginTop: 12,
+        padding: 12,
+        borderRadius: 12,
+        border: `1px solid ${theme.border}`,
+        background: theme.surface,
+        boxShadow: theme.shadow,
+        color: theme.textPrimary,
+        textAlign: "left",
+        fontSize: 13,
+        display: "flex",
+        flexDirection: "column",
+        gap: 6,
+      }}
+    >
+      <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
+        <div style={{ fontWeight: 600 }}>
+          {merged ? "Merged into the current data" : `Combined ${count(results.length, "file")}`}
+        </div>
+        <span style={{ fontSize: 12, color: theme.textMuted }}>
+          Overlaps: {MERGE_POLICIES[policy]} · {count(rowCount, "row")} now loaded
+        </span>
+        <div style={{ flex: "1 1 auto" }} />
+        <button type="button" className="btn" onClick={onDismiss}>Dismiss</button>
+      </div>
+      {results.map(({ fileName, summary: s }) => (
+        <div key={fileName}>
+          <strong>{fileName}</strong>
+          <span style={{ color: theme.textMuted }}>
+            {" – "}
+            {s ? describe(s) : "loaded as the starting data"}
+          </span>
+          {s && (s.newMonths.length > 0 || s.newBranches.length > 0 || s.newCategories.length > 0) && (
+            <div style={{ fontSize: 12, color: theme.textMuted, marginLeft: 12 }}>
+              {s.newMonths.length > 0 && <div>New months: {listed(s.newMonths.map(monthText))}</div>}
+              {s.newBranches.length > 0 && <div>New branches: {listed(s.newBranches)}</div>}
+              {s.newCategories.length > 0 && <div>New categories: {listed(s.newCategories)}</div>}
+            </div>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default ImportSummary;
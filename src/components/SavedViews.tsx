@@ -0,0 +1,231 @@
+// @ts-nocheck
+import React, { useRef, useState } from "react";
+
+const DEFAULT_THEME = {
+  surface: "#ffffff",
+  border: "#e2e8f0",
+  shadow: "0 1px 2px rgba(15, 23, 42, 0.08)",
+  textPrimary: "#0f172a",
+  textMuted: "#64748b",
+  controlSurface: "#f8fafc",
+  controlBorder: "#cbd5e1",
+  controlText: "#0f172a",
+};
+
+const SavedViews = ({
+  views = [],
+  defaultId = null,
+  activeId = null,
+  describe = () => "",
+  onSave,
+  onOpen,
+  onRename,
+  onOverwrite,
+  onDelete,
+  onSetDefault,
+  onExport,
+  onImport,
+  onClose,
+  theme: themeProp,
+}) => {
+  const theme = { ...DEFAULT_THEME, ...(themeProp || {}) };
+  const [newName, setNewName] = useState("");
+  const [names, setNames] = useState({});
+  const [confirmDelete, setConfirmDelete] = useState(null);
+  const [status, setStatus] = useState(null); // { text, error }
+  const fileRef = useRef(null);
+
+  const nameTaken = (name, exceptId) =>
+    views.some((v) => v.id !== exceptId && v.name.toLowerCase() === name.trim().toLowerCase());
+  const existing = views.find((v) => v.name.toLowerCase() === newName.trim().toLowerCase());
+
+  const save = () => {
+    const name = newName.trim();
+    if (!name) return;
+    if (existing) onOverwrite(existing.id);
+    else onSave(name);
+    setNewName("");
+    setStatus({ text: existing ? `Updated "${existing.name}".` : `Saved "${name}".` });
+  };
+
+  const commitName = (v) => {
+    const next = (names[v.id] ?? v.name).trim();
+    setNames((prev) => {
+      const rest = { ...prev };
+      delete rest[v.id];
+      return rest;
+    });
+    if (!next || next === v.name) return;
+    if (nameTaken(next, v.id)) {
+      setStatus({ text: `A view named "${next}" already exists.`, error: true });
+      return;
+    }
+    onRename(v.id, next);
+  };
+
+  const importFile = async (file) => {
+    if (!file) return;
+    try {
+      setStatus({ text: await onImport(file) });
+    } catch (err) {
+      setStatus({ text: err.message || String(err), error: true });
+    }
+  };
+
+  const inputStyle = {
+    boxSizing: "border-box",
+    padding: "4px 6px",
+    borderRadius: 6,
+    border: `1px solid ${theme.controlBorder}`,
+    background: theme.controlSurface,
+    color: theme.controlText,
+    fontSize: 13,
+  };
+  const cell = { padding: "4px 6px", textAlign: "left", whiteSpace: "nowrap" };
+
+  return (
+    <div
+      style={{
+        marginTop: 12,
+        padding: 12,
+        borderRadius: 12,
+        border: `1px solid ${theme.border}`,
+        background: theme.surface,
+        boxShadow: theme.shadow,
+        color: theme.textPrimary,
+        textAlign: "left",
+        display: "flex",
+        flexDirection: "column",
+        gap: 10,
+      }}
+    >
+      <div style={{ display: "flex", alignItems: "center", gap: 8, flexWrap: "wrap" }}>
+        <div style={{ fontWeight: 600 }}>Saved views</div>
+        <span style={{ fontSize: 12, color: theme.textMuted }}>
+          Stored in this browser · the default view opens on load unless a link says otherwise
+        </span>
+        <div style={{ flex: "1 1 auto" }} />
+        <button type="button" className="btn" onClick={() => fileRef.current?.click()}>Import JSON</button>
+        <input
+          ref={fileRef}
+          type="file"
+          accept=".json,application/json"
+          style={{ display: "none" }}
+          onChange={(e) => {
+            importFile(e.target.files?.[0]);
+            e.target.value = "";
+          }}
+        />
+        <button type="button" className="btn" disabled={!views.length} onClick={onExport}>Export JSON</button>
+        <button type="button" className="btn" onClick={onClose}>Close</button>
+      </div>
+
+      <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
+        <input
+          aria-label="New view name"
+          placeholder="Name for the current view"
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === "Enter") save();
+          }}
+          style={{ ...inputStyle, minWidth: 260 }}
+        />
+        <button type="button" className="btn btn--primary" disabled={!newName.trim()} onClick={save}>
+          {existing ? `Overwrite "${existing.name}"` : "Save current view"}
+        </button>
+      </div>
+
+      {status && (
+        <div style={{ fontSize: 12, color: status.error ? "#dc2626" : theme.textMuted }}>{status.text}</div>
+      )}
+
+      {views.length > 0 && (
+        <div style={{ overflowX: "auto" }}>
+          <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 13 }}>
+            <thead>
+              <tr>
+                {["Name", "View", "Default", ""].map((h, i) => (
+                  <th key={i} style={{ ...cell, color: theme.textMuted }}>{h}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {views.map((v) => (
+                <tr key={v.id} style={{ borderTop: `1px solid ${theme.border}` }}>
+                  <td style={{ ...cell, minWidth: 200 }}>
+                    <input
+                      aria-label={`Name of ${v.name}`}
+                      value={names[v.id] ?? v.name}
+                      onChange={(e) => setNames((prev) => ({ ...prev, [v.id]: e.target.value }))}
+                      onBlur={() => commitName(v)}
+                      onKeyDown={(e) => {
+                        if (e.key === "Enter") e.currentTarget.blur();
+                      }}
+                      style={{ ...inputStyle, width: "100%", fontWeight: v.id === activeId ? 600 : 400 }}
+                    />
+                  </td>
+                  <td style={{ ...cell, whiteSpace: "normal", color: theme.textMuted }}>{describe(v.view)}</td>
+                  <td style={cell}>
+                    <input
+                      type="radio"
+                      name="default-view"
+                      aria-label={`Open ${v.name} on load`}
+                      checked={v.id === defaultId}
+                      onChange={() => onSetDefault(v.id)}
+                    />
+                  </td>
+                  <td style={{ ...cell, display: "flex", gap: 6, justifyContent: "flex-end" }}>
+                    <button type="button" className="btn" disabled={v.id === activeId} onClick={() => onOpen(v.id)}>
+                      Open
+                    </button>
+                    <button type="button" className="btn" disabled={v.id === activeId} onClick={() => onOverwrite(v.id)}>
+                      Overwrite
+                    </button>
+                    {confirmDelete === v.id ? (
+                      <button
+                        type="button"
+                        className="btn"
+                        style={{ color: "#dc2626" }}
+                        onClick={() => {
+                          setConfirmDelete(null);
+                          onDelete(v.id);
+                        }}
+                      >
+                        Confirm delete
+                      </button>
+                    ) : (
+                      <button type="button" className="btn" onClick={() => setConfirmDelete(v.id)}>
+                        Delete
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {defaultId && (
+            <button
+              type="button"
+              onClick={() => onSetDefault(null)}
+              style={{
+                marginTop: 6,
+                background: "transparent",
+                border: "none",
+                color: theme.textMuted,
+                textDecoration: "underline",
+                fontSize: 12,
+                cursor: "pointer",
+                padding: 0,
+              }}
+            >
+              Clear default (reopen the last view instead)
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SavedViews;
@@ -0,0 +1,229 @@
+// @ts-nocheck
+import React from "react";
+import {
+  ComposedChart,
+  LineChart,
+  Line,
+  Area,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer,
+} from "recharts";
+
+const DEFAULT_THEME = {
+  surface: "#ffffff",
+  border: "#e2e8f0",
+  shadow: "0 1px 2px rgba(15, 23, 42, 0.08)",
+  textPrimary: "#0f172a",
+  textMuted: "#64748b",
+  controlSurface: "#f8fafc",
+  controlBorder: "#cbd5e1",
+  controlText: "#0f172a",
+  chartGrid: "#e2e8f0",
+  chartAxis: "#cbd5e1",
+  chartTick: "#475569",
+  tooltipBackground: "#ffffff",
+  tooltipBorder: "#cbd5e1",
+  tooltipText: "#0f172a",
+  positive: "#16a34a",
+  negative: "#dc2626",
+};
+
+// Index cells this far from 100 are coloured as strong or weak months
+const INDEX_BAND = 5;
+
+const SeasonalityPanel = ({
+  open,
+  onToggle,
+  series = [],
+  months = [],
+  index = null,
+  indexLabel = "",
+  formatValue = (v) => v.toLocaleString(undefined, { maximumFractionDigits: 0 }),
+  formatAxis = formatValue,
+  describeBranch = (code) => code,
+  theme: themeProp,
+}) => {
+  const theme = { ...DEFAULT_THEME, ...(themeProp || {}) };
+
+  const axisProps = {
+    tick: { fill: theme.chartTick, fontSize: 11 },
+    axisLine: { stroke: theme.chartAxis },
+    tickLine: { stroke: theme.chartAxis },
+  };
+  const tooltipProps = {
+    formatter: (v) => (Array.isArray(v) ? `${formatValue(v[0])} – ${formatValue(v[1])}` : formatValue(v)),
+    contentStyle: {
+      backgroundColor: theme.tooltipBackground,
+      border: `1px solid ${theme.tooltipBorder}`,
+      borderRadius: 8,
+      color: theme.tooltipText,
+      fontSize: 12,
+    },
+    labelStyle: { color: theme.tooltipText, fontWeight: 600 },
+    itemStyle: { color: theme.tooltipText },
+  };
+  const cell = { padding: "4px 6px", whiteSpace: "nowrap", color: theme.textPrimary };
+  const numCell = { ...cell, textAlign: "right", fontVariantNumeric: "tabular-nums" };
+  const indexColor = (v) =>
+    v == null ? theme.textMuted : v >= 100 + INDEX_BAND ? theme.positive : v <= 100 - INDEX_BAND ? theme.negative : theme.textPrimary;
+  const indexRow = (key, label, values, bold) => (
+    <tr key={key} style={{ borderTop: `1px solid ${theme.border}` }}>
+      <td style={{ ...cell, fontWeight: bold ? 700 : 400 }}>{label}</td>
+      {values.map((v, i) => (
+        <td key={i} style={{ ...numCell, fontWeight: bold ? 700 : 400, color: indexColor(v) }}>
+          {v == null ? "—" : Math.round(v)}
+        </td>
+      ))}
+    </tr>
+  );
+
+  return (
+    <div
+      style={{
+        marginTop: 12,
+        borderRadius: 12,
+        border: `1px solid ${theme.border}`,
+        background: theme.surface,
+        boxShadow: theme.shadow,
+        color: theme.textPrimary,
+        textAlign: "left",
+      }}
+    >
+      <div style={{ display: "flex", alignItems: "center", gap: 10, padding: 12, flexWrap: "wrap" }}>
+        <button
+          type="button"
+          onClick={onToggle}
+          aria-label="Toggle seasonality"
+          style={{
+            width: 28,
+            height: 28,
+            borderRadius: 6,
+            border: `1px solid ${theme.controlBorder}`,
+            background: theme.controlSurface,
+            color: theme.controlText,
+            cursor: "pointer",
+            padding: 0,
+          }}
+        >
+          {open ? "▾" : "▸"}
+        </button>
+        <div style={{ fontWeight: 600 }}>Seasonality</div>
+        <span style={{ fontSize: 13, color: theme.textMuted }}>
+          Each year across the months, the month-of-year profile and a seasonal index by branch
+        </span>
+      </div>
+
+      {open && (
+        <div style={{ padding: "0 12px 12px", display: "flex", flexDirection: "column", gap: 12 }}>
+          {series.map((s) => (
+            <div key={s.key} style={{ borderTop: `1px solid ${theme.border}`, paddingTop: 8 }}>
+              <div style={{ fontWeight: 600, marginBottom: 4 }}>{s.key}</div>
+              <div style={{ display: "flex", flexWrap: "wrap", gap: 12 }}>
+                <div style={{ flex: "1 1 320px", minWidth: 0 }}>
+                  <div style={{ fontSize: 12, color: theme.textMuted }}>By year</div>
+                  <ResponsiveContainer width="100%" height={220}>
+                    <LineChart data={s.overlay.points}>
+                      <CartesianGrid strokeDasharray="3 3" stroke={theme.chartGrid} />
+                      <XAxis dataKey="month" {...axisProps} />
+                      <YAxis tickFormatter={formatAxis} width={56} {...axisProps} />
+                      <Tooltip {...tooltipProps} />
+                      <Legend wrapperStyle={{ fontSize: 11, color: theme.textMuted }} />
+                      {s.overlay.years.map((year, i, years) => {
+                        const latest = i === years.length - 1;
+                        return (
+                          <Line
+                            key={year}
+                            type="monotone"
+                            dataKey={year}
+                            stroke={s.color}
+                            strokeOpacity={years.length > 1 ? 0.2 + (0.8 * i) / (years.length - 1) : 1}
+                            strokeWidth={latest ? 2.5 : 1.5}
+                            dot={false}
+                            isAnimationActive={false}
+                          />
+                        );
+                      })}
+                    </LineChart>
+                  </ResponsiveContainer>
+                </div>
+                <div style={{ flex: "1 1 320px", minWidth: 0 }}>
+                  <div style={{ fontSize: 12, color: theme.textMuted }}>Month-of-year average (band: lowest – highest)</div>
+                  <ResponsiveContainer width="100%" height={220}>
+                    <ComposedChart data={s.profile}>
+                      <CartesianGrid strokeDasharray="3 3" stroke={theme.chartGrid} />
+                      <XAxis dataKey="month" {...axisProps} />
+                      <YAxis tickFormatter={formatAxis} width={56} {...axisProps} />
+                      <Tooltip {...tooltipProps} />
+                      <Area
+                        dataKey="range"
+                        name="Lowest – highest"
+                        stroke="none"
+                        fill={s.color}
+                        fillOpacity={0.15}
+                        isAnimationActive={false}
+                      />
+                      <Line
+                        dataKey="avg"
+                        name="Average"
+                        type="monotone"
+                        stroke={s.color}
+                        strokeWidth={2}
+                        dot={{ r: 2 }}
+                        isAnimationActive={false}
+                      />
+                    </ComposedChart>
+                  </ResponsiveContainer>
+                </div>
+              </div>
+            </div>
+          ))}
+
+          <div style={{ borderTop: `1px solid ${theme.border}`, paddingTop: 8 }}>
+            <div style={{ fontWeight: 600 }}>Seasonal index by branch</div>
+            <div style={{ fontSize: 12, color: theme.textMuted, marginBottom: 6 }}>
+              {indexLabel}: each month&apos;s average against the branch&apos;s average month (100). Above{" "}
+              {100 + INDEX_BAND} is a strong month, below {100 - INDEX_BAND} a weak one.
+            </div>
+            {!index ? (
+              <div style={{ fontSize: 12, color: theme.textMuted }}>Calculating…</div>
+            ) : (
+              <div style={{ overflowX: "auto", maxHeight: 420, overflowY: "auto" }}>
+                <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 12 }}>
+                  <thead>
+                    <tr>
+                      {["Branch", ...months].map((h, i) => (
+                        <th
+                          key={h}
+                          style={{
+                            ...cell,
+                            textAlign: i ? "right" : "left",
+                            color: theme.textMuted,
+                            position: "sticky",
+                            top: 0,
+                            background: theme.surface,
+                          }}
+                        >
+                          {h}
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {index.total.length > 0 && indexRow("__all", "All selected", index.total, true)}
+                    {index.branches.map((b) => indexRow(b.Branch, describeBranch(b.Branch), b.index, false))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SeasonalityPanel;
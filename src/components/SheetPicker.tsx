@@ -0,0 +1,107 @@
+// @ts-nocheck
+import React, { useState } from "react";
+
+const DEFAULT_THEME = {
+  surface: "#ffffff",
+  border: "#e2e8f0",
+  shadow: "0 1px 2px rgba(15, 23, 42, 0.08)",
+  textPrimary: "#0f172a",
+  textMuted: "#64748b",
+  controlSurface: "#f8fafc",
+  controlBorder: "#cbd5e1",
+  controlText: "#0f172a",
+};
+
+const HEADER_PREVIEW = 6;
+
+const SheetPicker = ({ fileName, sheets = [], onImport, onCancel, theme: themeProp }) => {
+  const theme = { ...DEFAULT_THEME, ...(themeProp || {}) };
+  const [selected, setSelected] = useState(
+    () => new Set(sheets.filter((s) => s.records.length).map((s) => s.name))
+  );
+
+  const toggle = (name) =>
+    setSelected((prev) => {
+      const next = new Set(prev);
+      if (next.has(name)) next.delete(name);
+      else next.add(name);
+      return next;
+    });
+
+  const cell = { padding: "4px 6px", textAlign: "left", whiteSpace: "nowrap" };
+
+  return (
+    <div
+      style={{
+        marginTop: 12,
+        padding: 12,
+        borderRadius: 12,
+        border: `1px solid ${theme.border}`,
+        background: theme.surface,
+        boxShadow: theme.shadow,
+        color: theme.textPrimary,
+        textAlign: "left",
+        display: "flex",
+        flexDirection: "column",
+        gap: 10,
+      }}
+    >
+      <div style={{ display: "flex", alignItems: "center", gap: 8, flexWrap: "wrap" }}>
+        <div style={{ fontWeight: 600 }}>Import sheets</div>
+        <span style={{ fontSize: 12, color: theme.textMuted }}>
+          {fileName} · selected sheets are combined into one dataset
+        </span>
+      </div>
+
+      <table style={{ borderCollapse: "collapse", fontSize: 13 }}>
+        <thead>
+          <tr>
+            {["", "Sheet", "Rows", "Columns"].map((h, i) => (
+              <th key={i} style={{ ...cell, color: theme.textMuted }}>{h}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {sheets.map((sheet) => {
+            const empty = !sheet.records.length;
+            return (
+              <tr key={sheet.name} style={{ borderTop: `1px solid ${theme.border}`, opacity: empty ? 0.5 : 1 }}>
+                <td style={cell}>
+                  <input
+                    type="checkbox"
+                    aria-label={`Import sheet ${sheet.name}`}
+                    checked={selected.has(sheet.name)}
+                    disabled={empty}
+                    onChange={() => toggle(sheet.name)}
+                  />
+                </td>
+                <td style={cell}>{sheet.name}</td>
+                <td style={cell}>{sheet.records.length.toLocaleString()}</td>
+                <td style={{ ...cell, whiteSpace: "normal", color: theme.textMuted }}>
+                  {empty
+                    ? "No table found"
+                    : sheet.headers.slice(0, HEADER_PREVIEW).join(", ") +
+                      (sheet.headers.length > HEADER_PREVIEW ? `, +${sheet.headers.length - HEADER_PREVIEW} more` : "")}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+
+      <div style={{ display: "flex", gap: 8, justifyContent: "flex-end" }}>
+        <button type="button" className="btn" onClick={onCancel}>Cancel</button>
+        <button
+          type="button"
+          className="btn btn--primary"
+          disabled={selected.size === 0}
+          onClick={() => onImport(sheets.filter((s) => selected.has(s.name)))}
+        >
+          Import {selected.size} sheet{selected.size === 1 ? "" : "s"}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default SheetPicker;
@@ -0,0 +1,135 @@
+// @ts-nocheck
+import React, { useState } from "react";
+
+const DEFAULT_THEME = {
+  surface: "#ffffff",
+  border: "#e2e8f0",
+  shadow: "0 1px 2px rgba(15, 23, 42, 0.08)",
+  textPrimary: "#0f172a",
+  textMuted: "#64748b",
+  controlSurface: "#f8fafc",
+  controlBorder: "#cbd5e1",
+  controlText: "#0f172a",
+};
+
+const UploadedDatasets = ({
+  datasets = [],
+  activeId,
+  formatSize = (n) => n,
+  formatTime = (t) => t,
+  onOpen,
+  onRename,
+  onDownload,
+  onDelete,
+  onClose,
+  theme: themeProp,
+}) => {
+  const theme = { ...DEFAULT_THEME, ...(themeProp || {}) };
+  const [names, setNames] = useState({});
+  const [confirmDelete, setConfirmDelete] = useState(null);
+
+  const commitName = (d) => {
+    const next = (names[d.id] ?? d.name).trim();
+    setNames((prev) => {
+      const rest = { ...prev };
+      delete rest[d.id];
+      return rest;
+    });
+    if (next && next !== d.name) onRename(d.id, next);
+  };
+
+  const cell = { padding: "4px 6px", textAlign: "left", whiteSpace: "nowrap" };
+
+  return (
+    <div
+      style={{
+        marginTop: 12,
+        padding: 12,
+        borderRadius: 12,
+        border: `1px solid ${theme.border}`,
+        background: theme.surface,
+        boxShadow: theme.shadow,
+        color: theme.textPrimary,
+        textAlign: "left",
+        display: "flex",
+        flexDirection: "column",
+        gap: 10,
+      }}
+    >
+      <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
+        <div style={{ fontWeight: 600 }}>Uploaded datasets</div>
+        <span style={{ fontSize: 12, color: theme.textMuted }}>Stored in this browser</span>
+        <div style={{ flex: "1 1 auto" }} />
+        <button type="button" className="btn" onClick={onClose}>Close</button>
+      </div>
+
+      <div style={{ overflowX: "auto" }}>
+        <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 13 }}>
+          <thead>
+            <tr>
+              {["Name", "Size", "Rows", "Uploaded", ""].map((h, i) => (
+                <th key={i} style={{ ...cell, color: theme.textMuted }}>{h}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {datasets.map((d) => (
+              <tr key={d.id} style={{ borderTop: `1px solid ${theme.border}` }}>
+                <td style={{ ...cell, minWidth: 220 }}>
+                  <input
+                    aria-label={`Name of ${d.name}`}
+                    value={names[d.id] ?? d.name}
+                    onChange={(e) => setNames((prev) => ({ ...prev, [d.id]: e.target.value }))}
+                    onBlur={() => commitName(d)}
+                    onKeyDown={(e) => {
+                      if (e.key === "Enter") e.currentTarget.blur();
+                    }}
+                    style={{
+                      width: "100%",
+                      boxSizing: "border-box",
+                      padding: "4px 6px",
+                      borderRadius: 6,
+                      border: `1px solid ${theme.controlBorder}`,
+                      background: theme.controlSurface,
+                      color: theme.controlText,
+                      fontSize: 13,
+                      fontWeight: d.id === activeId ? 600 : 400,
+                    }}
+                  />
+                </td>
+                <td style={cell}>{formatSize(d.size) ?? ""}</td>
+                <td style={cell}>{d.rowCount?.toLocaleString() ?? ""}</td>
+                <td style={cell}>{formatTime(d.uploadedAt) ?? ""}</td>
+                <td style={{ ...cell, display: "flex", gap: 6, justifyContent: "flex-end" }}>
+                  <button type="button" className="btn" disabled={d.id === activeId} onClick={() => onOpen(d.id)}>
+                    Open
+                  </button>
+                  <button type="button" className="btn" onClick={() => onDownload(d)}>Download CSV</button>
+                  {confirmDelete === d.id ? (
+                    <button
+                      type="button"
+                      className="btn"
+                      style={{ color: "#dc2626" }}
+                      onClick={() => {
+                        setConfirmDelete(null);
+                        onDelete(d.id);
+                      }}
+                    >
+                      Confirm delete
+                    </button>
+                  ) : (
+                    <button type="button" className="btn" onClick={() => setConfirmDelete(d.id)}>
+                      Delete
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default UploadedDatasets;
@@ -0,0 +1,186 @@
+// @ts-nocheck
+import React, { useMemo, useState } from "react";
+import { EXCEPTION_TYPES } from "../analytics";
+
+const DEFAULT_THEME = {
+  surface: "#ffffff",
+  border: "#e2e8f0",
+  shadow: "0 1px 2px rgba(15, 23, 42, 0.08)",
+  textPrimary: "#0f172a",
+  textMuted: "#64748b",
+  controlSurface: "#f8fafc",
+  controlBorder: "#cbd5e1",
+  controlText: "#0f172a",
+};
+
+const PAGE_SIZE = 100;
+
+const SEVERITY_COLORS = {
+  error: "#dc2626",
+  warning: "#d97706",
+};
+
+const ValidationPanel = ({
+  exceptions,
+  referenceName,
+  formatValue = (v) => v.toLocaleString(undefined, { maximumFractionDigits: 2 }),
+  formatPeriod = (e) => (e.Year ? `${e.Year} P${String(e.Month).padStart(2, "0")}` : ""),
+  onFocus,
+  onExport,
+  theme: themeProp,
+}) => {
+  const theme = { ...DEFAULT_THEME, ...(themeProp || {}) };
+  const [open, setOpen] = useState(false);
+  const [activeType, setActiveType] = useState(null);
+  const [limit, setLimit] = useState(PAGE_SIZE);
+
+  const counts = useMemo(() => {
+    const result = {};
+    exceptions.forEach((e) => {
+      result[e.type] = (result[e.type] || 0) + 1;
+    });
+    return result;
+  }, [exceptions]);
+
+  const types = Object.keys(EXCEPTION_TYPES).filter((t) => counts[t]);
+  const currentType = activeType && counts[activeType] ? activeType : types[0] || null;
+  const visible = useMemo(
+    () => exceptions.filter((e) => e.type === currentType),
+    [exceptions, currentType]
+  );
+  const errorCount = exceptions.filter((e) => e.severity === "error").length;
+
+  const pickType = (type) => {
+    setActiveType(type);
+    setLimit(PAGE_SIZE);
+  };
+
+  const cell = { padding: "6px 8px", whiteSpace: "nowrap", color: theme.textPrimary };
+  const numCell = { ...cell, textAlign: "right", fontVariantNumeric: "tabular-nums" };
+
+  return (
+    <div
+      style={{
+        marginTop: 12,
+        borderRadius: 12,
+        border: `1px solid ${exceptions.length ? SEVERITY_COLORS[errorCount ? "error" : "warning"] : theme.border}`,
+        background: theme.surface,
+        boxShadow: theme.shadow,
+        color: theme.textPrimary,
+        textAlign: "left",
+      }}
+    >
+      <div style={{ display: "flex", alignItems: "center", gap: 10, padding: 12, flexWrap: "wrap" }}>
+        <button
+          type="button"
+          onClick={() => setOpen((v) => !v)}
+          aria-label="Toggle validation details"
+          style={{
+            width: 28,
+            height: 28,
+            borderRadius: 6,
+            border: `1px solid ${theme.controlBorder}`,
+            background: theme.controlSurface,
+            color: theme.controlText,
+            cursor: "pointer",
+            padding: 0,
+          }}
+        >
+          {open ? "▾" : "▸"}
+        </button>
+        <div style={{ fontWeight: 600 }}>Data validation</div>
+        <span style={{ fontSize: 13, color: theme.textMuted }}>
+          {exceptions.length
+            ? `${exceptions.length.toLocaleString()} exception${exceptions.length === 1 ? "" : "s"}`
+            : "No exceptions found"}
+          {referenceName ? ` · cross-checked against ${referenceName}` : ""}
+        </span>
+        <div style={{ flex: "1 1 auto" }} />
+        {exceptions.length > 0 && (
+          <button type="button" className="btn" onClick={onExport}>Export exceptions (CSV)</button>
+        )}
+      </div>
+
+      {open && exceptions.length > 0 && (
+        <div style={{ padding: "0 12px 12px", display: "flex", flexDirection: "column", gap: 10 }}>
+          <div style={{ display: "flex", flexWrap: "wrap", gap: 6 }}>
+            {types.map((type) => {
+              const active = type === currentType;
+              const color = SEVERITY_COLORS[EXCEPTION_TYPES[type].severity];
+              return (
+                <button
+                  key={type}
+                  type="button"
+                  onClick={() => pickType(type)}
+                  style={{
+                    padding: "4px 10px",
+                    borderRadius: 999,
+                    border: `1px solid ${color}`,
+                    background: active ? color : "transparent",
+                    color: active ? "#ffffff" : theme.textPrimary,
+                    fontSize: 12,
+                    fontWeight: 600,
+                    cursor: "pointer",
+                  }}
+                >
+                  {EXCEPTION_TYPES[type].label} ({counts[type].toLocaleString()})
+                </button>
+              );
+            })}
+          </div>
+
+          <div style={{ overflowX: "auto", maxHeight: 360, overflowY: "auto" }}>
+            <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 12 }}>
+              <thead>
+                <tr>
+                  {["Period", "Branch", "Category", "Expected", "Actual", "Difference", "Details"].map((h) => (
+                    <th
+                      key={h}
+                      style={{
+                        ...cell,
+                        textAlign: ["Expected", "Actual", "Difference"].includes(h) ? "right" : "left",
+                        color: theme.textMuted,
+                        position: "sticky",
+                        top: 0,
+                        background: theme.surface,
+                      }}
+                    >
+                      {h}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {visible.slice(0, limit).map((e, i) => (
+                  <tr
+                    key={i}
+                    onClick={() => onFocus?.(e)}
+                    title={onFocus ? "Show this month and branch on the chart" : undefined}
+                    style={{ borderTop: `1px solid ${theme.border}`, cursor: onFocus ? "pointer" : "default" }}
+                  >
+                    <td style={cell}>{formatPeriod(e)}</td>
+                    <td style={cell}>{e.Branch ?? ""}</td>
+                    <td style={cell}>{e.Category ?? ""}</td>
+                    <td style={numCell}>{e.expected == null ? "" : formatValue(e.expected)}</td>
+                    <td style={numCell}>{e.actual == null ? "" : formatValue(e.actual)}</td>
+                    <td style={{ ...numCell, color: e.diff ? SEVERITY_COLORS.error : theme.textPrimary }}>
+                      {e.diff == null ? "" : formatValue(e.diff)}
+                    </td>
+                    <td style={{ ...cell, whiteSpace: "normal", color: theme.textMuted }}>{e.message}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          {visible.length > limit && (
+            <button type="button" className="btn" onClick={() => setLimit((n) => n + PAGE_SIZE)}>
+              Show more ({(visible.length - limit).toLocaleString()} remaining)
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ValidationPanel;
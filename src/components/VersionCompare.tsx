@@ -0,0 +1,213 @@
+// @ts-nocheck
+import React, { useEffect, useState } from "react";
+import { diffRows, DIFF_STATUSES } from "../analytics";
+
+const DEFAULT_THEME = {
+  surface: "#ffffff",
+  border: "#e2e8f0",
+  shadow: "0 1px 2px rgba(15, 23, 42, 0.08)",
+  textPrimary: "#0f172a",
+  textMuted: "#64748b",
+  controlSurface: "#f8fafc",
+  controlBorder: "#cbd5e1",
+  controlText: "#0f172a",
+};
+
+const PAGE_SIZE = 100;
+
+const STATUS_COLORS = {
+  changed: "#d97706",
+  added: "#16a34a",
+  removed: "#dc2626",
+};
+
+const VersionCompare = ({
+  versions = [],
+  currentHash,
+  loadRows,
+  formatTime = (t) => t,
+  formatValue = (v) => v.toLocaleString(undefined, { maximumFractionDigits: 2 }),
+  formatPeriod = (c) => `${c.Year} P${String(c.Month).padStart(2, "0")}`,
+  onExport,
+  onClose,
+  theme: themeProp,
+}) => {
+  const theme = { ...DEFAULT_THEME, ...(themeProp || {}) };
+  const [baseKey, setBaseKey] = useState(versions[1]?.key || "");
+  const [compareKey, setCompareKey] = useState(versions[0]?.key || "");
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  const [limit, setLimit] = useState(PAGE_SIZE);
+
+  useEffect(() => {
+    setResult(null);
+    setError("");
+    setLimit(PAGE_SIZE);
+    if (!baseKey || !compareKey || baseKey === compareKey) return;
+    let cancelled = false;
+    setLoading(true);
+    Promise.all([loadRows(baseKey), loadRows(compareKey)])
+      .then(([before, after]) => {
+        if (cancelled) return;
+        if (!before || !after) throw new Error("A stored version could not be read.");
+        setResult(diffRows(before, after));
+      })
+      .catch((e) => {
+        if (!cancelled) setError(e.message || String(e));
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [baseKey, compareKey, loadRows]);
+
+  const versionLabel = (v) =>
+    `${formatTime(v.savedAt)} · ${v.hash.slice(0, 8)}${v.hash === currentHash ? " (current)" : ""}`;
+  const signed = (v) => (v > 0 ? `+${formatValue(v)}` : formatValue(v));
+
+  const selectStyle = {
+    padding: "4px 6px",
+    borderRadius: 6,
+    border: `1px solid ${theme.controlBorder}`,
+    background: theme.controlSurface,
+    color: theme.controlText,
+    fontSize: 13,
+  };
+  const cell = { padding: "4px 8px", whiteSpace: "nowrap", textAlign: "left" };
+  const num = { ...cell, textAlign: "right", fontVariantNumeric: "tabular-nums" };
+  const head = { ...cell, color: theme.textMuted, position: "sticky", top: 0, background: theme.surface };
+
+  const summary = result?.summary;
+
+  return (
+    <div
+      style={{
+        marginTop: 12,
+        padding: 12,
+        borderRadius: 12,
+        border: `1px solid ${theme.border}`,
+        background: theme.surface,
+        boxShadow: theme.shadow,
+        color: theme.textPrimary,
+        textAlign: "left",
+        display: "flex",
+        flexDirection: "column",
+        gap: 10,
+      }}
+    >
+      <div style={{ display: "flex", alignItems: "center", gap: 8, flexWrap: "wrap" }}>
+        <div style={{ fontWeight: 600 }}>Compare versions</div>
+        <label style={{ fontSize: 12, color: theme.textMuted, display: "flex", gap: 6, alignItems: "center" }}>
+          From
+          <select style={selectStyle} value={baseKey} onChange={(e) => setBaseKey(e.target.value)}>
+            {versions.map((v) => (
+              <option key={v.key} value={v.key}>{versionLabel(v)}</option>
+            ))}
+          </select>
+        </label>
+        <label style={{ fontSize: 12, color: theme.textMuted, display: "flex", gap: 6, alignItems: "center" }}>
+          To
+          <select style={selectStyle} value={compareKey} onChange={(e) => setCompareKey(e.target.value)}>
+            {versions.map((v) => (
+              <option key={v.key} value={v.key}>{versionLabel(v)}</option>
+            ))}
+          </select>
+        </label>
+        <div style={{ flex: "1 1 auto" }} />
+        {result && result.changes.length > 0 && (
+          <button type="button" className="btn" onClick={() => onExport(result.changes)}>
+            Export changes (CSV)
+          </button>
+        )}
+        <button type="button" className="btn" onClick={onClose}>Close</button>
+      </div>
+
+      {baseKey === compareKey && (
+        <div style={{ fontSize: 13, color: theme.textMuted }}>Pick two different versions.</div>
+      )}
+      {loading && <div style={{ fontSize: 13, color: theme.textMuted }}>Comparing…</div>}
+      {error && <div style={{ fontSize: 13, color: "#dc2626" }}>{error}</div>}
+
+      {summary && (
+        <>
+          <div style={{ fontSize: 13 }}>
+            {result.changes.length
+              ? `${summary.changed.toLocaleString()} changed · ${summary.added.toLocaleString()} added · ${summary.removed.toLocaleString()} removed · net restated ${signed(summary.netDelta)} · gross ${formatValue(summary.grossDelta)}`
+              : "No values differ between these versions."}
+          </div>
+
+          {result.changes.length > 0 && (
+            <div style={{ display: "flex", gap: 16, flexWrap: "wrap", alignItems: "flex-start" }}>
+              {[
+                { title: "By category", rows: summary.byCategory, key: "Category" },
+                { title: "By year", rows: summary.byYear, key: "Year" },
+              ].map((group) => (
+                <table key={group.title} style={{ borderCollapse: "collapse", fontSize: 12 }}>
+                  <thead>
+                    <tr>
+                      <th style={head}>{group.title}</th>
+                      <th style={{ ...head, textAlign: "right" }}>Values</th>
+                      <th style={{ ...head, textAlign: "right" }}>Net</th>
+                      <th style={{ ...head, textAlign: "right" }}>Gross</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {group.rows.map((g) => (
+                      <tr key={g[group.key]} style={{ borderTop: `1px solid ${theme.border}` }}>
+                        <td style={cell}>{g[group.key]}</td>
+                        <td style={num}>{g.count.toLocaleString()}</td>
+                        <td style={num}>{signed(g.netDelta)}</td>
+                        <td style={num}>{formatValue(g.grossDelta)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              ))}
+            </div>
+          )}
+
+          {result.changes.length > 0 && (
+            <div style={{ overflowX: "auto", maxHeight: 360, overflowY: "auto" }}>
+              <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 12 }}>
+                <thead>
+                  <tr>
+                    {["Status", "Period", "Branch", "Category"].map((h) => (
+                      <th key={h} style={head}>{h}</th>
+                    ))}
+                    {["Before", "After", "Change", "Change %"].map((h) => (
+                      <th key={h} style={{ ...head, textAlign: "right" }}>{h}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {result.changes.slice(0, limit).map((c, i) => (
+                    <tr key={i} style={{ borderTop: `1px solid ${theme.border}` }}>
+                      <td style={{ ...cell, color: STATUS_COLORS[c.status] }}>{DIFF_STATUSES[c.status]}</td>
+                      <td style={cell}>{formatPeriod(c)}</td>
+                      <td style={cell}>{c.Branch ?? ""}</td>
+                      <td style={cell}>{c.Category}</td>
+                      <td style={num}>{c.before == null ? "" : formatValue(c.before)}</td>
+                      <td style={num}>{c.after == null ? "" : formatValue(c.after)}</td>
+                      <td style={num}>{signed(c.delta)}</td>
+                      <td style={num}>{c.pct == null ? "" : `${(c.pct * 100).toFixed(1)}%`}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+          {result.changes.length > limit && (
+            <button type="button" className="btn" onClick={() => setLimit((n) => n + PAGE_SIZE)}>
+              Show more ({(result.changes.length - limit).toLocaleString()} remaining)
+            </button>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default VersionCompare;
@@ -0,0 +1,32 @@
+export type BranchEntry = {
+  code: string;
+  name?: string;
+  region?: string;
+  district?: string;
+};
+
+export type BranchMaster = {
+  regions: string[];
+  branches: BranchEntry[];
+};
+
+// Built-in fallback when public/branches.json is missing or unreadable
+export const DEFAULT_BRANCH_MASTER: BranchMaster = {
+  regions: ["NC", "SC", "GA", "TN"],
+  branches: [
+    { code: "113", region: "NC" },
+    { code: "114", region: "NC" },
+    { code: "117", region: "NC" },
+    { code: "160", region: "NC" },
+    { code: "215", region: "SC" },
+    { code: "216", region: "SC" },
+    { code: "218", region: "SC" },
+    { code: "364", region: "GA" },
+    { code: "365", region: "GA" },
+    { code: "367", region: "GA" },
+    { code: "520", region: "TN" },
+    { code: "536", region: "TN" },
+  ],
+};
+
+export const BRANCH_MASTER_STORAGE_KEY = "psdash:branches:v1";
@@ -1,46 +1,16 @@
+import {
+  DEPT_MAP as DEPT_MAP_DATA,
+  DEPT_TOTALS as DEPT_TOTALS_DATA,
+  GRAND_TOTAL_METRIC,
+  buildMetricParents as buildParents,
+  METRIC_PARENTS as METRIC_PARENTS_DATA,
+  ROLLUP_EQUIVALENTS as ROLLUP_EQUIVALENTS_DATA,
+} from "./metric-hierarchy";
+
 export type Department = "Equipment" | "Rental" | "Parts" | "Service";
 
-export const DEPT_MAP: Record<Department, string[]> = {
-  Equipment: [
-    "New Equipment Sales",
-    "Used Equipment Sales",
-    "RPO Sales",
-    "Re-Marketing Sales",
-    "Trade-In Sales",
-    "RtoR Sales",
-    "Other",
-    "Total Equipment",
-  ],
-  Rental: [
-    "RF Revenue",
-    "RPO Revenue",
-    "Re-Rent Revenue",
-    "Loaner Revenue",
-    "Loaner Internal",
-    "Used Rental",
-    "Total Rental",
-  ],
-  Parts: [
-    "Parts Counter",
-    "Parts Shop",
-    "Parts Warranty",
-    "Warranty Settlement",
-    "Warranty Settlement - Adj",
-    "Parts Internal",
-    "Parts Internal - CSA Cust",
-    "Parts Internal - CSA Rental",
-    "Parts Internal - ACAP",
-    "Parts Internal - EM",
-    "Total Parts",
-  ],
-  Service: [
-    "Customer",
-    "Warranty",
-    "Internal",
-    "Sublet",
-    "Total Service",
-  ],
-};
+// The lists and rollups live in metric-hierarchy.js, shared with the tests
+export const DEPT_MAP: Record<Department, string[]> = DEPT_MAP_DATA;
 
 export const ALL_DEPARTMENTS = Object.keys(DEPT_MAP) as Department[];
 
@@ -58,3 +28,14 @@ export function departmentForMetric(metric: string): Department | null {
   );
   return entry ? entry[0] : null;
 }
+
+export { GRAND_TOTAL_METRIC };
+
+export const DEPT_TOTALS: Record<Department, string> = DEPT_TOTALS_DATA;
+
+export const buildMetricParents: () => Record<string, string> = buildParents;
+
+export const METRIC_PARENTS: Record<string, string> = METRIC_PARENTS_DATA;
+
+// historical_all.csv columns and the department-file columns they should equal
+export const ROLLUP_EQUIVALENTS: Record<string, string[]> = ROLLUP_EQUIVALENTS_DATA;
@@ -0,0 +1,78 @@
+// Department columns and how they roll up, in plain JS so the tests check the same map the
+// app uses. departments.ts re-exports these with their types.
+
+export const DEPT_MAP = {
+  Equipment: [
+    "New Equipment Sales",
+    "Used Equipment Sales",
+    "RPO Sales",
+    "Re-Marketing Sales",
+    "Trade-In Sales",
+    "RtoR Sales",
+    "Other",
+    "Total Equipment",
+  ],
+  Rental: [
+    "RF Revenue",
+    "RPO Revenue",
+    "Re-Rent Revenue",
+    "Loaner Revenue",
+    "Loaner Internal",
+    "Used Rental",
+    "Total Rental",
+  ],
+  Parts: [
+    "Parts Counter",
+    "Parts Shop",
+    "Parts Warranty",
+    "Warranty Settlement",
+    "Warranty Settlement - Adj",
+    "Parts Internal",
+    "Parts Internal - CSA Cust",
+    "Parts Internal - CSA Rental",
+    "Parts Internal - ACAP",
+    "Parts Internal - EM",
+    "Total Parts",
+  ],
+  Service: [
+    "Customer",
+    "Warranty",
+    "Internal",
+    "Sublet",
+    "Total Service",
+  ],
+};
+
+// Rollup columns: each department's "Total ..." column sums the rest of its list,
+// and historical_all.csv carries one column per department plus a grand "Total".
+export const GRAND_TOTAL_METRIC = "Total";
+
+export const DEPT_TOTALS = {
+  Equipment: "Total Equipment",
+  Rental: "Total Rental",
+  Parts: "Total Parts",
+  Service: "Total Service",
+};
+
+const DEPARTMENTS = Object.keys(DEPT_MAP);
+
+export function buildMetricParents() {
+  const parents = {};
+  DEPARTMENTS.forEach((dept) => {
+    const total = DEPT_TOTALS[dept];
+    DEPT_MAP[dept].forEach((metric) => {
+      if (metric !== total) parents[metric] = total;
+    });
+    parents[total] = GRAND_TOTAL_METRIC;
+    parents[dept] = GRAND_TOTAL_METRIC;
+  });
+  return parents;
+}
+
+export const METRIC_PARENTS = buildMetricParents();
+
+// historical_all.csv columns and the department-file columns they should equal
+export const ROLLUP_EQUIVALENTS = {
+  ...Object.fromEntries(DEPARTMENTS.map((d) => [d, [DEPT_TOTALS[d]]])),
+  [GRAND_TOTAL_METRIC]: DEPARTMENTS.map((d) => DEPT_TOTALS[d]),
+};
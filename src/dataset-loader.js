@@ -0,0 +1,61 @@
+import { runAnalytics, isAbortError } from "./analytics-client";
+
+// Bundled datasets: the build-time compiled grid when the manifest lists one, else the CSV,
+// fetched and parsed by the analytics worker. Rows stay cached for the session, keyed by
+// file and content hash, so switching back to a dataset does no fetching or parsing at all.
+// The worker keeps its own copy under the same key, so activating one sends no rows back.
+const cache = new Map();
+// Keys loaded into the worker only
+const preloaded = new Set();
+
+/** Key the page and the worker both know a bundled dataset's rows by. */
+export const bundledDatasetKey = (entry) => `${entry.file}@${entry.hash || ""}`;
+
+// Runs the load jobs for `entry`; `withRows: false` leaves the rows in the worker only
+async function loadInWorker(entry, { signal, onProgress, withRows = true }) {
+  const key = bundledDatasetKey(entry);
+  if (entry.compiled) {
+    try {
+      const { rows } = await runAnalytics(
+        "loadCompiled",
+        { url: `/${entry.compiled}`, hash: entry.hash, key, withRows },
+        { signal, onProgress }
+      );
+      return { rows, hash: entry.hash, size: entry.size, key };
+    } catch (err) {
+      if (isAbortError(err) || signal?.aborted) throw err;
+      console.warn(`Falling back to ${entry.file}:`, err.message || err);
+    }
+  }
+  const { rows, hash, size } = await runAnalytics(
+    "loadCsv",
+    { url: entry.file, hash: entry.hash, size: entry.size ?? undefined, key, withRows },
+    { signal, onProgress }
+  );
+  return { rows, hash, size, key };
+}
+
+/**
+ * Rows for a manifest entry as `{ rows, hash, size, key }`, `key` being what the worker
+ * holds them under. A missing or stale compiled file is logged and the CSV is parsed
+ * instead. `onProgress` gets the worker's progress updates.
+ */
+export async function loadBundledDataset(entry, { signal, onProgress } = {}) {
+  const cacheKey = bundledDatasetKey(entry);
+  if (cache.has(cacheKey)) return cache.get(cacheKey);
+  const result = await loadInWorker(entry, { signal, onProgress });
+  cache.set(cacheKey, result);
+  return result;
+}
+
+/**
+ * Loads a bundled dataset into the worker without copying its rows to the page (e.g. as a
+ * validation reference) and resolves with its key.
+ */
+export async function preloadBundledDataset(entry, { signal } = {}) {
+  const key = bundledDatasetKey(entry);
+  if (cache.has(key) || preloaded.has(key)) return key;
+  await loadInWorker(entry, { signal, withRows: false });
+  preloaded.add(key);
+  return key;
+}
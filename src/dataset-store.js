@@ -0,0 +1,176 @@
+// Uploaded datasets and dataset version snapshots kept in IndexedDB. Metadata and rows
+// live in separate stores so listings never read the rows themselves.
+
+export const UPLOAD_DATASET_PREFIX = "upload:";
+
+const DB_NAME = "psdash";
+const DB_VERSION = 2;
+const META_STORE = "datasets";
+const ROWS_STORE = "datasetRows";
+const SNAPSHOT_STORE = "snapshots";
+const SNAPSHOT_ROWS_STORE = "snapshotRows";
+
+// Older snapshots beyond this many per dataset are dropped
+const MAX_SNAPSHOTS = 12;
+
+export const isUploadedDataset = (id) =>
+  typeof id === "string" && id.startsWith(UPLOAD_DATASET_PREFIX);
+
+export const newUploadId = () =>
+  `${UPLOAD_DATASET_PREFIX}${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+
+let dbPromise = null;
+
+function openDb() {
+  if (typeof indexedDB === "undefined") {
+    return Promise.reject(new Error("IndexedDB is not available in this browser."));
+  }
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains(META_STORE)) db.createObjectStore(META_STORE, { keyPath: "id" });
+        if (!db.objectStoreNames.contains(ROWS_STORE)) db.createObjectStore(ROWS_STORE);
+        if (!db.objectStoreNames.contains(SNAPSHOT_STORE)) {
+          db.createObjectStore(SNAPSHOT_STORE, { keyPath: "key" }).createIndex("datasetId", "datasetId");
+        }
+        if (!db.objectStoreNames.contains(SNAPSHOT_ROWS_STORE)) db.createObjectStore(SNAPSHOT_ROWS_STORE);
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  return dbPromise;
+}
+
+const done = (tx) =>
+  new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+
+const result = (req) =>
+  new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+
+// Newest first: [{ id, name, uploadedAt, size, rowCount }]
+export async function listUploads() {
+  const db = await openDb();
+  const all = await result(db.transaction(META_STORE).objectStore(META_STORE).getAll());
+  return all.sort((a, b) => String(b.uploadedAt).localeCompare(String(a.uploadedAt)));
+}
+
+export async function loadUploadRows(id) {
+  const db = await openDb();
+  const rows = await result(db.transaction(ROWS_STORE).objectStore(ROWS_STORE).get(id));
+  return Array.isArray(rows) ? rows : null;
+}
+
+// Create or replace a dataset; returns its metadata
+export async function saveUpload({ id, name, size, rows }) {
+  const db = await openDb();
+  const meta = {
+    id,
+    name,
+    uploadedAt: new Date().toISOString(),
+    size,
+    rowCount: rows.length,
+  };
+  const tx = db.transaction([META_STORE, ROWS_STORE], "readwrite");
+  tx.objectStore(META_STORE).put(meta);
+  tx.objectStore(ROWS_STORE).put(rows, id);
+  await done(tx);
+  return meta;
+}
+
+export async function renameUpload(id, name) {
+  const db = await openDb();
+  const tx = db.transaction(META_STORE, "readwrite");
+  const store = tx.objectStore(META_STORE);
+  const meta = await result(store.get(id));
+  if (meta) store.put({ ...meta, name });
+  await done(tx);
+}
+
+export async function deleteUpload(id) {
+  const db = await openDb();
+  const tx = db.transaction([META_STORE, ROWS_STORE], "readwrite");
+  tx.objectStore(META_STORE).delete(id);
+  tx.objectStore(ROWS_STORE).delete(id);
+  await done(tx);
+  await deleteSnapshots(id);
+}
+
+// SHA-256 hex of a file's text, matching the manifest's `hash`. Pages served over plain
+// http have no SubtleCrypto, so those fall back to a short FNV-1a tag.
+export async function contentHash(text) {
+  const subtle = globalThis.crypto?.subtle;
+  if (subtle) {
+    const digest = await subtle.digest("SHA-256", new TextEncoder().encode(text));
+    return [...new Uint8Array(digest)].map((b) => b.toString(16).padStart(2, "0")).join("");
+  }
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return `fnv1a-${(hash >>> 0).toString(16).padStart(8, "0")}`;
+}
+
+// Versions of one dataset, newest first: [{ key, datasetId, hash, savedAt, size, rowCount }]
+export async function listSnapshots(datasetId) {
+  const db = await openDb();
+  const index = db.transaction(SNAPSHOT_STORE).objectStore(SNAPSHOT_STORE).index("datasetId");
+  const all = await result(index.getAll(datasetId));
+  return all.sort((a, b) => String(b.savedAt).localeCompare(String(a.savedAt)));
+}
+
+export async function loadSnapshotRows(key) {
+  const db = await openDb();
+  const rows = await result(db.transaction(SNAPSHOT_ROWS_STORE).objectStore(SNAPSHOT_ROWS_STORE).get(key));
+  return Array.isArray(rows) ? rows : null;
+}
+
+// Store a version unless one with the same content hash exists; returns the version list
+export async function recordSnapshot({ datasetId, hash, size, rows }) {
+  const existing = await listSnapshots(datasetId);
+  if (existing.some((s) => s.hash === hash)) return existing;
+  const meta = {
+    key: `${datasetId}@${hash}`,
+    datasetId,
+    hash,
+    savedAt: new Date().toISOString(),
+    size,
+    rowCount: rows.length,
+  };
+  const stale = existing.slice(MAX_SNAPSHOTS - 1);
+  const db = await openDb();
+  const tx = db.transaction([SNAPSHOT_STORE, SNAPSHOT_ROWS_STORE], "readwrite");
+  tx.objectStore(SNAPSHOT_STORE).put(meta);
+  tx.objectStore(SNAPSHOT_ROWS_STORE).put(rows, meta.key);
+  stale.forEach((s) => {
+    tx.objectStore(SNAPSHOT_STORE).delete(s.key);
+    tx.objectStore(SNAPSHOT_ROWS_STORE).delete(s.key);
+  });
+  await done(tx);
+  return [meta, ...existing.slice(0, MAX_SNAPSHOTS - 1)];
+}
+
+export async function deleteSnapshots(datasetId) {
+  const existing = await listSnapshots(datasetId);
+  if (!existing.length) return;
+  const db = await openDb();
+  const tx = db.transaction([SNAPSHOT_STORE, SNAPSHOT_ROWS_STORE], "readwrite");
+  existing.forEach((s) => {
+    tx.objectStore(SNAPSHOT_STORE).delete(s.key);
+    tx.objectStore(SNAPSHOT_ROWS_STORE).delete(s.key);
+  });
+  await done(tx);
+}
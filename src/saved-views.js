@@ -0,0 +1,97 @@
+import { cleanViewState } from "./url-state.js";
+
+// Named dashboard views kept in this browser. A view holds the same keys as a shared link
+// (see url-state.js); exported files carry names rather than ids so a standard set can be
+// handed round a team and imported over each person's own list.
+
+export const SAVED_VIEWS_STORAGE_KEY = "psdash:views:v1";
+export const SAVED_VIEWS_FORMAT = "psdash-views";
+const SAVED_VIEWS_VERSION = 1;
+
+export const newViewId = () =>
+  `view:${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+
+const nameKey = (name) => name.trim().toLowerCase();
+
+export const findViewByName = (saved, name) =>
+  saved.views.find((v) => nameKey(v.name) === nameKey(name)) || null;
+
+/**
+ * Anything -> `{ views: [{ id, name, view }], defaultId }`. Entries without a name or with
+ * nothing usable in `view` are dropped, as are later entries repeating a name.
+ */
+export function normalizeSavedViews(input) {
+  const list = Array.isArray(input?.views) ? input.views : [];
+  const names = new Set();
+  const ids = new Set();
+  const views = [];
+  for (const entry of list) {
+    const name = typeof entry?.name === "string" ? entry.name.trim() : "";
+    const view = cleanViewState(entry?.view);
+    if (!name || names.has(nameKey(name)) || !Object.keys(view).length) continue;
+    const id = typeof entry.id === "string" && entry.id && !ids.has(entry.id) ? entry.id : newViewId();
+    names.add(nameKey(name));
+    ids.add(id);
+    views.push({ id, name, view });
+  }
+  const defaultId = ids.has(input?.defaultId) ? input.defaultId : null;
+  return { views, defaultId };
+}
+
+export function loadSavedViews() {
+  try {
+    return normalizeSavedViews(JSON.parse(localStorage.getItem(SAVED_VIEWS_STORAGE_KEY) || "{}"));
+  } catch (err) {
+    console.error(err);
+    return normalizeSavedViews(null);
+  }
+}
+
+export function storeSavedViews(saved) {
+  localStorage.setItem(SAVED_VIEWS_STORAGE_KEY, JSON.stringify(saved));
+}
+
+/** Saved views -> the shareable file contents. */
+export function savedViewsToJson(saved) {
+  const preferred = saved.views.find((v) => v.id === saved.defaultId);
+  return {
+    format: SAVED_VIEWS_FORMAT,
+    version: SAVED_VIEWS_VERSION,
+    default: preferred ? preferred.name : null,
+    views: saved.views.map(({ name, view }) => ({ name, view })),
+  };
+}
+
+/**
+ * Merges an exported file into `saved`: a view whose name is already taken replaces that
+ * view's settings (keeping its id), others are appended, and the file's default, if any,
+ * becomes the default. Returns `{ saved, added, replaced }`.
+ */
+export function importSavedViews(saved, data) {
+  if (data?.format !== SAVED_VIEWS_FORMAT || !Array.isArray(data.views)) {
+    throw new Error("Not a saved views file.");
+  }
+  if (data.version > SAVED_VIEWS_VERSION) {
+    throw new Error(`Saved views file version ${data.version} is newer than this dashboard supports.`);
+  }
+  const incoming = normalizeSavedViews({ views: data.views }).views;
+  if (!incoming.length) throw new Error("The file has no usable views.");
+
+  const views = [...saved.views];
+  let added = 0;
+  let replaced = 0;
+  for (const { name, view } of incoming) {
+    const index = views.findIndex((v) => nameKey(v.name) === nameKey(name));
+    if (index >= 0) {
+      views[index] = { ...views[index], view };
+      replaced += 1;
+    } else {
+      views.push({ id: newViewId(), name, view });
+      added += 1;
+    }
+  }
+  const next = { views, defaultId: saved.defaultId };
+  const preferred = typeof data.default === "string" ? findViewByName(next, data.default) : null;
+  if (preferred) next.defaultId = preferred.id;
+  return { saved: next, added, replaced };
+}
@@ -0,0 +1,91 @@
+// Dashboard view <-> URL query string, so a link reproduces what its sender was looking at.
+// Keys match the saved prefs (`psdash:v1`) plus the category and year selections. Values
+// equal to their defaults are left out to keep links short.
+
+const YM_RE = /^\d{4}-(0[1-9]|1[0-2])$/;
+const YEAR_RE = /^(all|\d{4})$/;
+
+const text = (re) => (value) => (re ? (re.test(value) ? value : undefined) : value || undefined);
+const integer = (value) => {
+  const n = Number(value);
+  return Number.isInteger(n) && n > 0 ? n : undefined;
+};
+const fraction = (value) => {
+  const n = Number(value);
+  return n > 0 && n < 1 ? n : undefined;
+};
+
+// [view key, query parameter, parse]; list parameters repeat once per value
+const PARAMS = [
+  ["dataset", "dataset", text()],
+  ["metric", "metric", text()],
+  ["viewMode", "chart", text()],
+  ["dateStart", "from", text(YM_RE)],
+  ["dateEnd", "to", text(YM_RE)],
+  ["selectedYear", "year", text(YEAR_RE)],
+  ["rollingWindow", "window", integer],
+  ["fiscalYearStart", "fy", integer],
+  ["groupBy", "group", text()],
+  ["groupMetric", "gcat", text()],
+  ["totalMode", "totals", text()],
+  ["forecastMethod", "forecast", text()],
+  ["forecastHorizon", "horizon", integer],
+  ["forecastBasis", "basis", text()],
+  ["forecastLevel", "interval", fraction],
+];
+const LIST_PARAMS = [
+  ["selectedBranches", "branch"],
+  ["selectedMetrics", "category"],
+];
+
+const sameList = (a, b) =>
+  Array.isArray(a) && Array.isArray(b) && a.length === b.length && a.every((v, i) => v === b[i]);
+
+/** View -> "?…" query string ("" when every value is its default). */
+export function encodeViewState(view, defaults = {}) {
+  const params = new URLSearchParams();
+  for (const [key, name] of PARAMS) {
+    const value = view[key];
+    if (value == null || value === "" || value === defaults[key]) continue;
+    params.set(name, String(value));
+  }
+  for (const [key, name] of LIST_PARAMS) {
+    const values = view[key];
+    if (!Array.isArray(values) || !values.length || sameList(values, defaults[key])) continue;
+    values.forEach((v) => params.append(name, v));
+  }
+  const search = params.toString();
+  return search ? `?${search}` : "";
+}
+
+/** Any object -> the view keys it holds with well-formed values; everything else dropped. */
+export function cleanViewState(view) {
+  const clean = {};
+  if (!view || typeof view !== "object") return clean;
+  for (const [key, , parse] of PARAMS) {
+    if (view[key] == null) continue;
+    const value = parse(String(view[key]).trim());
+    if (value !== undefined) clean[key] = value;
+  }
+  for (const [key] of LIST_PARAMS) {
+    if (!Array.isArray(view[key])) continue;
+    const values = view[key].map((v) => String(v ?? "").trim()).filter(Boolean);
+    if (values.length) clean[key] = [...new Set(values)];
+  }
+  return clean;
+}
+
+/**
+ * Query string -> complete view, `defaults` filling whatever the link leaves out. Malformed
+ * values fall back to their defaults; null when the query holds no view at all.
+ */
+export function decodeViewState(search, defaults = {}) {
+  const params = new URLSearchParams(search || "");
+  const names = [...PARAMS, ...LIST_PARAMS].map(([, name]) => name);
+  if (!names.some((name) => params.has(name))) return null;
+
+  const raw = {};
+  for (const [key, name] of PARAMS) if (params.has(name)) raw[key] = params.get(name);
+  for (const [key, name] of LIST_PARAMS) raw[key] = params.getAll(name);
+  return { ...defaults, ...cleanViewState(raw) };
+}
@@ -0,0 +1,1039 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { createRequire } from "node:module";
+import { createHash } from "node:crypto";
+import {
+  parseCsvText,
+  normalizeParsedRows,
+  datasetBounds,
+  listBranches,
+  listMetrics,
+  filterRows,
+  aggregateMonthly,
+  summarizeByBranch,
+  buildCube,
+  cubeMonthly,
+  cubeMonthlyByGroup,
+  cubeBranchSummary,
+  rollingWindow,
+  clipToRange,
+  summarizeSeries,
+  yearOverYear,
+  monthOverMonth,
+  priorYearOverlay,
+  priorYearKey,
+  fiscalToCalendar,
+  calendarToFiscal,
+  periodLabel,
+  fiscalYearRange,
+  toCalendarRows,
+  listFiscalYears,
+  normalizeBranchMaster,
+  regionGroups,
+  unassignedBranches,
+  branchLookup,
+  branchName,
+  aggregateMonthlyByGroup,
+  groupBranchSummary,
+  findOverlaps,
+  countedMetrics,
+  withCombinedSeries,
+  parseYearMonth,
+  fileSignature,
+  guessMapping,
+  mappingErrors,
+  duplicateTargets,
+  applyColumnMapping,
+  readWorkbook,
+  describeCsv,
+  datasetConfigProblems,
+  datasetIdFromFile,
+  datasetLabelFromFile,
+  compileRows,
+  expandCompiled,
+  mergeRows,
+  diffRows,
+  diffToTable,
+  validateRows,
+  crossCheckRows,
+  exceptionsToTable,
+  toCsv,
+  rowsToWideTable,
+  forecastSeries,
+  forecastMonthly,
+  sumForecasts,
+  withForecast,
+  forecastKey,
+  forecastRangeKey,
+  parseBudgetRecords,
+  budgetKey,
+  withBudget,
+  budgetRange,
+  compareToBudget,
+  budgetVariance,
+  fiscalYearToDate,
+  detectAnomalies,
+  seasonMonths,
+  yearOverlay,
+  monthProfile,
+  seasonalIndex,
+  rankBranches,
+} from "../src/analytics/index.js";
+import { METRIC_PARENTS } from "../src/constants/metric-hierarchy.js";
+import { encodeViewState, decodeViewState } from "../src/url-state.js";
+import { normalizeSavedViews, savedViewsToJson, importSavedViews } from "../src/saved-views.js";
+
+const loadCsv = (name) =>
+  parseCsvText(readFileSync(new URL(`../public/${name}`, import.meta.url), "utf-8"));
+
+const close = (a, b, eps = 0.01) =>
+  assert.ok(Math.abs(a - b) <= eps, `expected ${a} to be within ${eps} of ${b}`);
+
+const all = loadCsv("historical_all.csv");
+const sales = loadCsv("historical_sales.csv");
+
+test("normalizeParsedRows turns wide records into long-format rows", () => {
+  const rows = normalizeParsedRows(
+    [
+      { Year: 2024, Period: "Mar", Branch: 113, Parts: "1,200", Service: 5 },
+      { Year: 2024, Period: 4, Branch: 113, Parts: "n/a", Service: 7 },
+    ],
+    ["Year", "Period", "Branch", "Parts", "Service"]
+  );
+  assert.deepEqual(rows, [
+    { Year: 2024, Month: 3, Category: "Parts", Value: 1200, Branch: "113" },
+    { Year: 2024, Month: 3, Category: "Service", Value: 5, Branch: "113" },
+    { Year: 2024, Month: 4, Category: "Service", Value: 7, Branch: "113" },
+  ]);
+});
+
+test("normalizeParsedRows rejects files without Year/Period", () => {
+  assert.throws(
+    () => normalizeParsedRows([{ Branch: 1, Total: 2 }], ["Branch", "Total"]),
+    /Missing Year or Period/
+  );
+});
+
+test("column mappings are guessed from headers and applied to wide records", () => {
+  const headers = ["Fiscal Year", "Fiscal Period", "Loc #", "Used Revenue", "rf revenue", "Notes"];
+  const guess = guessMapping(headers, { knownMetrics: ["RF Revenue", "Used Rental"] });
+  assert.equal(guess.year, "Fiscal Year");
+  assert.equal(guess.period, "Fiscal Period");
+  assert.equal(guess.branch, "Loc #");
+  assert.equal(guess.metrics["rf revenue"], "RF Revenue");
+  assert.equal(guess.metrics["Used Revenue"], "Used Revenue");
+
+  const mapping = { ...guess, metrics: { ...guess.metrics, "Used Revenue": "Used Rental", Notes: null } };
+  assert.deepEqual(mappingErrors(mapping, headers), []);
+  const rows = applyColumnMapping(
+    [{ "Fiscal Year": 2024, "Fiscal Period": 2, "Loc #": 113, "Used Revenue": "1,200", "rf revenue": 5, Notes: "x" }],
+    mapping
+  );
+  assert.deepEqual(rows, [
+    { Year: 2024, Month: 2, Category: "Used Rental", Value: 1200, Branch: "113" },
+    { Year: 2024, Month: 2, Category: "RF Revenue", Value: 5, Branch: "113" },
+  ]);
+  assert.deepEqual(duplicateTargets({ metrics: { a: "X", b: "X", c: null } }), ["X"]);
+
+  // A lone date column stands in for Year + Period
+  const dated = guessMapping(["Date", "Branch", "Sales"]);
+  assert.equal(dated.date, "Date");
+  assert.deepEqual(mappingErrors(dated, ["Date", "Branch", "Sales"]), []);
+  assert.deepEqual(
+    applyColumnMapping([{ Date: "3/1/2024", Branch: "A", Sales: 7 }], dated).map((r) => [r.Year, r.Month]),
+    [[2024, 3]]
+  );
+  assert.deepEqual(mappingErrors(guessMapping(["Branch", "Sales"]), ["Branch", "Sales"]), [
+    "Missing Year or Period/Month columns.",
+  ]);
+
+  assert.equal(fileSignature([" Year", "Period "]), fileSignature(["year", "period"]));
+  assert.notEqual(fileSignature(["Year", "Period"]), fileSignature(["Period", "Year"]));
+});
+
+test("parseCsvText accepts wide and long layouts dated by Year/Period or a Date column", () => {
+  const expected = [
+    { Year: 2024, Month: 3, Category: "Parts", Value: 10, Branch: "113" },
+    { Year: 2024, Month: 3, Category: "Service", Value: 20, Branch: "113" },
+    { Year: 2024, Month: 4, Category: "Parts", Value: 1500, Branch: "114" },
+    { Year: 2024, Month: 4, Category: "Service", Value: 0, Branch: "114" },
+  ];
+  const layouts = {
+    "wide, Year + Period": "Year,Period,Branch,Parts,Service\n2024,3,113,10,20\n2024,Apr,114,\"1,500\",0\n",
+    "wide, ISO date": "Date,Branch,Parts,Service\n2024-03-01,113,10,20\n2024-04-30,114,1500,0\n",
+    "wide, year-month": "Month Start,Loc #,Parts,Service\n2024-03,113,10,20\n2024-04,114,1500,0\n",
+    "long, Year + Period":
+      "Year,Period,Branch,Category,Value\n2024,3,113,Parts,10\n2024,3,113,Service,20\n" +
+      "2024,4,114,Parts,\"1,500\"\n2024,4,114,Service,0\n",
+    "long, Date": "Date,Branch,Category,Value\n2024-03,113,Parts,10\n2024-03,113,Service,20\n" +
+      "2024-04,114,Parts,1500\n2024-04,114,Service,0\n",
+    "long, US date and Amount": "Branch,Date,Metric,Amount\n113,3/31/2024,Parts,10\n113,3/31/2024,Service,20\n" +
+      "114,4/30/2024,Parts,1500\n114,4/30/2024,Service,0\n",
+  };
+  for (const [name, text] of Object.entries(layouts)) {
+    assert.deepEqual(parseCsvText(text), expected, name);
+  }
+
+  // Long files without a branch column, and blank categories are skipped
+  assert.deepEqual(parseCsvText("Date,Category,Value\n2024-01,Parts,5\n2024-01,,9\n"), [
+    { Year: 2024, Month: 1, Category: "Parts", Value: 5, Branch: undefined },
+  ]);
+});
+
+test("long-format mappings rename or skip category values", () => {
+  const headers = ["Date", "Branch", "Category", "Value"];
+  const records = [
+    { Date: "2024-01", Branch: "113", Category: "used revenue", Value: 1 },
+    { Date: "2024-01", Branch: "113", Category: "Memo", Value: 2 },
+    { Date: "2024-01", Branch: "113", Category: "rf revenue", Value: 3 },
+  ];
+  const guess = guessMapping(headers, { knownMetrics: ["RF Revenue", "Used Rental"], records });
+  assert.equal(guess.category, "Category");
+  assert.equal(guess.value, "Value");
+  assert.deepEqual(guess.metrics, { "rf revenue": "RF Revenue" });
+  assert.deepEqual(mappingErrors(guess, headers), []);
+
+  const mapping = { ...guess, metrics: { ...guess.metrics, "used revenue": "Used Rental", Memo: null } };
+  assert.deepEqual(
+    applyColumnMapping(records, mapping).map((r) => [r.Category, r.Value]),
+    [["Used Rental", 1], ["RF Revenue", 3]]
+  );
+  assert.deepEqual(mappingErrors({ ...guess, value: null }, headers), [
+    "Long-format files need both a Category and a Value column.",
+  ]);
+  // A lone Value-like header in a wide file is still a metric column
+  assert.equal(guessMapping(["Year", "Period", "Amount"]).metrics.Amount, "Amount");
+});
+
+test("readWorkbook returns one mappable source per sheet for .xlsx and .xls", async () => {
+  const XLSX = createRequire(import.meta.url)("xlsx");
+  const book = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(
+    book,
+    XLSX.utils.aoa_to_sheet([
+      ["Parts by month"],
+      ["Date", "Branch", "Total Parts"],
+      [new Date(2024, 2, 1), 113, 10],
+      [new Date(2024, 3, 1), 113, 11],
+    ]),
+    "Parts"
+  );
+  XLSX.utils.book_append_sheet(
+    book,
+    XLSX.utils.aoa_to_sheet([["Year", "Period", "Branch", "Total Service"], [2024, 3, "113", 5]]),
+    "Service"
+  );
+  XLSX.utils.book_append_sheet(book, XLSX.utils.aoa_to_sheet([]), "Notes");
+
+  for (const bookType of ["xlsx", "biff8"]) {
+    const sheets = await readWorkbook(XLSX.write(book, { type: "array", bookType }));
+    assert.deepEqual(sheets.map((s) => [s.name, s.records.length]), [["Parts", 2], ["Service", 1], ["Notes", 0]]);
+    // The title row is skipped and date cells come back as ISO dates
+    assert.deepEqual(sheets[0].headers, ["Date", "Branch", "Total Parts"]);
+    assert.equal(sheets[0].records[0].Date, "2024-03-01");
+
+    const rows = sheets
+      .filter((s) => s.records.length)
+      .flatMap((s) => normalizeParsedRows(s.records, s.headers));
+    assert.deepEqual(
+      rows.map((r) => [r.Year, r.Month, r.Branch, r.Category, r.Value]),
+      [
+        [2024, 3, "113", "Total Parts", 10],
+        [2024, 4, "113", "Total Parts", 11],
+        [2024, 3, "113", "Total Service", 5],
+      ],
+      bookType
+    );
+  }
+});
+
+test("describeCsv reports schema, coverage and branches, and flags malformed files", () => {
+  const text = readFileSync(new URL("../public/historical_service.csv", import.meta.url), "utf-8");
+  const described = describeCsv(text);
+  assert.deepEqual(described.problems, []);
+  assert.deepEqual(described.schema.dimensions, { year: "Year", period: "Period", branch: "Branch" });
+  assert.deepEqual(described.schema.metrics, ["Customer", "Warranty", "Internal", "Sublet", "Total Service"]);
+  assert.equal(described.rowCount, text.trim().split("\n").length - 1);
+  assert.deepEqual([described.minMonth, described.maxMonth], [datasetBounds(all).minStr, datasetBounds(all).maxStr]);
+  assert.deepEqual(described.branches, listBranches(all));
+
+  const long = describeCsv("Date,Branch,Category,Value\n2024-03-01,113,Parts,5\n");
+  assert.equal(long.schema.layout, "long");
+  assert.deepEqual(long.schema.metrics, ["Parts"]);
+
+  const bad = describeCsv("Year,Period,Branch,Parts\n2024,13,113,abc\n2024,1,113\n");
+  assert.equal(bad.problems.length, 3);
+  assert.match(bad.problems[0], /^Row 3: Too few fields/);
+  assert.deepEqual(describeCsv("Branch,Parts\n113,5\n").problems, ["Missing Year or Period/Month columns."]);
+
+  assert.deepEqual(datasetConfigProblems({ defaultCategory: "Total Service", valueType: "currency" }, described), []);
+  assert.equal(
+    datasetConfigProblems({ defaultCategory: "Total", colors: { Parts: "#000" }, label2: "x" }, described).length,
+    3
+  );
+  assert.equal(datasetIdFromFile("historical_all.csv"), "Historical_All");
+  assert.equal(datasetLabelFromFile("historical_all.csv"), "Historical All");
+});
+
+test("the committed dataset manifest lists each bundled file once with its current hash", () => {
+  const { datasets } = JSON.parse(readFileSync(new URL("../public/dataset-list.json", import.meta.url), "utf-8"));
+  const files = datasets.map((d) => d.file);
+  assert.equal(new Set(files).size, files.length);
+  assert.equal(new Set(datasets.map((d) => d.id)).size, files.length);
+  for (const d of datasets) {
+    const buf = readFileSync(new URL(`../public/${d.file}`, import.meta.url));
+    assert.equal(d.hash, createHash("sha256").update(buf).digest("hex"), `${d.file} changed; rerun the generator`);
+  }
+});
+
+test("compiled datasets expand back to the rows parsed from the CSV", () => {
+  const compiled = JSON.parse(JSON.stringify(compileRows(sales, { source: "historical_sales.csv", hash: "abc" })));
+  assert.equal(compiled.start, "2019-01");
+  assert.equal(compiled.hash, "abc");
+  const rows = expandCompiled(compiled);
+  assert.equal(rows.length, sales.length);
+  const key = (r) => `${r.Year}-${r.Month}|${r.Branch}|${r.Category}`;
+  const byKey = new Map(sales.map((r) => [key(r), r.Value]));
+  rows.forEach((r) => assert.equal(r.Value, byKey.get(key(r)), key(r)));
+  assert.deepEqual(listMetrics(rows), listMetrics(sales));
+
+  // Gaps stay gaps, branchless rows stay branchless, and a year boundary is crossed correctly
+  const sparse = [
+    { Year: 2023, Month: 11, Category: "Parts", Value: 1 },
+    { Year: 2024, Month: 2, Category: "Parts", Value: 0 },
+  ];
+  const back = expandCompiled(compileRows(sparse));
+  assert.deepEqual(back, sparse.map((r) => ({ ...r, Branch: undefined })));
+
+  assert.throws(() => compileRows([...sparse, sparse[0]]), /appears more than once/);
+  assert.throws(() => expandCompiled({ ...compiled, version: 99 }), /Unsupported compiled dataset/);
+});
+
+test("mergeRows applies the overlap policy and reports what changed", () => {
+  const row = (Year, Month, Branch, Category, Value) => ({ Year, Month, Branch, Category, Value });
+  const base = [row(2024, 1, "113", "Parts", 10), row(2024, 1, "113", "Service", 5)];
+  const incoming = [
+    row(2024, 1, "113", "Parts", 12),
+    row(2024, 1, "113", "Service", 5),
+    row(2024, 2, "113", "Parts", 7),
+    row(2024, 2, "999", "Rental", 1),
+  ];
+  const valueOf = (rows, m, b, c) => rows.find((r) => r.Month === m && r.Branch === b && r.Category === c)?.Value;
+
+  const overwrite = mergeRows(base, incoming, { policy: "overwrite" });
+  assert.equal(overwrite.rows.length, 4);
+  assert.equal(valueOf(overwrite.rows, 1, "113", "Parts"), 12);
+  assert.deepEqual(
+    [overwrite.summary.added, overwrite.summary.overwritten, overwrite.summary.unchanged],
+    [2, 1, 1]
+  );
+  assert.deepEqual(overwrite.summary.newMonths, ["2024-02"]);
+  assert.deepEqual(overwrite.summary.newBranches, ["999"]);
+  assert.deepEqual(overwrite.summary.newCategories, ["Rental"]);
+
+  const keep = mergeRows(base, incoming, { policy: "keep" });
+  assert.equal(valueOf(keep.rows, 1, "113", "Parts"), 10);
+  assert.equal(keep.summary.kept, 1);
+
+  const sum = mergeRows(base, incoming, { policy: "sum" });
+  assert.equal(valueOf(sum.rows, 1, "113", "Parts"), 22);
+  assert.equal(valueOf(sum.rows, 1, "113", "Service"), 10);
+  assert.equal(sum.summary.summed, 2);
+
+  // Inputs are left untouched
+  assert.equal(base[0].Value, 10);
+  assert.throws(() => mergeRows(base, incoming, { policy: "replace" }), /Unknown merge policy/);
+});
+
+test("diffRows lists restated values and totals them by category and year", () => {
+  const row = (Year, Month, Branch, Category, Value) => ({ Year, Month, Branch, Category, Value });
+  const before = [
+    row(2023, 12, "113", "Parts", 100),
+    row(2024, 1, "113", "Parts", 10),
+    row(2024, 1, "113", "Service", 5),
+    row(2024, 1, "999", "Rental", 8),
+  ];
+  const after = [
+    row(2023, 12, "113", "Parts", 90),
+    row(2024, 1, "113", "Parts", 10.001),
+    row(2024, 1, "113", "Service", 7),
+    row(2024, 2, "113", "Parts", 4),
+  ];
+  const { changes, summary } = diffRows(before, after);
+
+  assert.deepEqual(
+    changes.map((c) => [c.status, c.Year, c.Month, c.Branch, c.Category, c.delta]),
+    [
+      ["changed", 2023, 12, "113", "Parts", -10],
+      ["removed", 2024, 1, "999", "Rental", -8],
+      ["added", 2024, 2, "113", "Parts", 4],
+      ["changed", 2024, 1, "113", "Service", 2],
+    ]
+  );
+  close(changes[0].pct, -0.1, 1e-9);
+  assert.equal(changes[1].after, null);
+  assert.equal(changes[2].pct, null);
+  assert.deepEqual([summary.changed, summary.added, summary.removed], [2, 1, 1]);
+  assert.equal(summary.netDelta, -12);
+  assert.equal(summary.grossDelta, 24);
+  assert.deepEqual(
+    summary.byCategory.map((g) => [g.Category, g.count, g.netDelta]),
+    [["Parts", 2, -6], ["Rental", 1, -8], ["Service", 1, 2]]
+  );
+  assert.deepEqual(summary.byYear.map((g) => [g.Year, g.grossDelta]), [[2023, 10], [2024, 14]]);
+
+  // A stricter tolerance picks up rounding-level restatements too
+  assert.equal(diffRows(before, after, { tolerance: 0 }).changes.length, 5);
+  assert.equal(diffRows(sales, sales).changes.length, 0);
+
+  const table = diffToTable(changes);
+  assert.deepEqual(table[0], ["Status", "Year", "Period", "Branch", "Category", "Before", "After", "Change", "Change %"]);
+  assert.deepEqual(table[2], ["Removed", 2024, 1, "999", "Rental", 8, null, -8, -1]);
+  assert.equal(table[3][8], "");
+});
+
+test("department files merge back into the master file", () => {
+  const parts = loadCsv("historical_parts.csv");
+  const service = loadCsv("historical_service.csv");
+  const { rows, summary } = mergeRows(sales, parts.concat(service), { policy: "keep" });
+  assert.equal(summary.kept + summary.overwritten + summary.summed + summary.unchanged, 0);
+  const fromMerge = aggregateMonthly(rows, { metrics: ["Total Equipment", "Total Parts", "Total Service"] });
+  const fromMaster = aggregateMonthly(loadCsv("historical_master.csv"), {
+    metrics: ["Total Equipment", "Total Parts", "Total Service"],
+  });
+  assert.equal(fromMerge.length, fromMaster.length);
+  fromMerge.forEach((m, i) => close(m["Total Parts"], fromMaster[i]["Total Parts"], 1));
+});
+
+test("rowsToWideTable writes rows back out in the bundled wide layout", () => {
+  const table = rowsToWideTable(sales);
+  assert.deepEqual(table[0], [
+    "Year", "Period", "Branch", "New Equipment Sales", "Used Equipment Sales", "RPO Sales",
+    "Re-Marketing Sales", "Trade-In Sales", "RtoR Sales", "Other", "Total Equipment",
+  ]);
+  const roundTrip = parseCsvText(toCsv(table));
+  assert.equal(roundTrip.length, sales.length);
+  const fromCopy = summarizeByBranch(roundTrip, { metrics: ["Total Equipment"] });
+  const fromFile = summarizeByBranch(sales, { metrics: ["Total Equipment"] });
+  close(fromCopy.totals["Total Equipment"], fromFile.totals["Total Equipment"]);
+
+  // No Branch column when the rows have none
+  assert.deepEqual(rowsToWideTable([{ Year: 2024, Month: 2, Category: "Parts", Value: 1 }]), [
+    ["Year", "Period", "Parts"],
+    [2024, 2, 1],
+  ]);
+});
+
+test("parseYearMonth reads common single-column date formats", () => {
+  const ym = (v) => {
+    const r = parseYearMonth(v);
+    return r && [r.Year, r.Month];
+  };
+  assert.deepEqual(ym("2024-03"), [2024, 3]);
+  assert.deepEqual(ym("2024-03-31"), [2024, 3]);
+  assert.deepEqual(ym("2024/3/1"), [2024, 3]);
+  assert.deepEqual(ym("03/2024"), [2024, 3]);
+  assert.deepEqual(ym("12/31/2024"), [2024, 12]);
+  assert.deepEqual(ym("Mar 2024"), [2024, 3]);
+  assert.deepEqual(ym("September 2024"), [2024, 9]);
+  assert.deepEqual(ym(202411), [2024, 11]);
+  assert.deepEqual(ym(new Date(2024, 0, 15)), [2024, 1]);
+  assert.equal(parseYearMonth("2024-13"), null);
+  assert.equal(parseYearMonth("soon"), null);
+  assert.equal(parseYearMonth(""), null);
+});
+
+test("bundled datasets parse with bounds, branches and metrics", () => {
+  assert.deepEqual(listMetrics(all), ["Equipment", "Rental", "Parts", "Service", "Total"]);
+  assert.ok(listBranches(all).includes("113"));
+  const bounds = datasetBounds(all);
+  assert.equal(bounds.minStr, "2019-01");
+  assert.ok(bounds.maxKey > bounds.minKey);
+  assert.equal(datasetBounds([]), null);
+});
+
+test("filterRows applies branch, metric and date filters", () => {
+  const rows = filterRows(all, {
+    branches: ["113"],
+    metrics: ["Total"],
+    start: "2019-01",
+    end: "2019-12",
+  });
+  assert.equal(rows.length, 12);
+  assert.ok(rows.every((r) => r.Branch === "113" && r.Year === 2019));
+});
+
+test("aggregateMonthly sums the department columns to the Total column", () => {
+  const monthly = aggregateMonthly(all);
+  for (const m of monthly) {
+    close(m.Equipment + m.Rental + m.Parts + m.Service, m.Total, 1);
+  }
+  const first = aggregateMonthly(all, { branches: ["113"], metrics: ["Total"], start: "2019-01", end: "2019-01" });
+  assert.equal(first.length, 1);
+  assert.equal(first[0].month, "Jan 2019");
+  close(first[0].Total, 1819532.11);
+  assert.equal(first[0].Parts, undefined);
+});
+
+test("department files reconcile with historical_all.csv", () => {
+  const fromAll = aggregateMonthly(all, { metrics: ["Equipment"] });
+  const fromSales = aggregateMonthly(sales, { metrics: ["Total Equipment"] });
+  assert.equal(fromAll.length, fromSales.length);
+  fromAll.forEach((m, i) => close(m.Equipment, fromSales[i]["Total Equipment"], 1));
+});
+
+test("summarizeByBranch totals match the monthly aggregation", () => {
+  const opts = { metrics: ["Parts", "Service"], start: "2022-01", end: "2022-12" };
+  const summary = summarizeByBranch(all, opts);
+  const monthly = aggregateMonthly(all, opts);
+  const parts = monthly.reduce((acc, m) => acc + (m.Parts || 0), 0);
+  close(summary.totals.Parts, parts);
+  close(summary.totals.__total, summary.totals.Parts + summary.totals.Service);
+  const branchTotal = summary.rows.reduce((acc, r) => acc + r.__total, 0);
+  close(branchTotal, summary.totals.__total);
+  assert.deepEqual(summarizeByBranch(all, { metrics: [] }), { rows: [], totals: {} });
+});
+
+test("cube queries match the row-based aggregations", () => {
+  const rows = [
+    ...loadCsv("historical_master.csv"),
+    { Year: 2019, Month: 3, Category: "Total Parts", Value: 5 },
+    { Year: 2019, Month: 1, Branch: "113", Category: "Total Parts", Value: 7 },
+  ];
+  const cube = buildCube(rows);
+  const near = (actual, expected) => {
+    assert.deepEqual(Object.keys(actual).sort(), Object.keys(expected).sort());
+    for (const key of Object.keys(expected)) {
+      if (typeof expected[key] === "number") close(actual[key], expected[key], 1e-6);
+      else if (expected[key] && typeof expected[key] === "object") near(actual[key], expected[key]);
+      else assert.equal(actual[key], expected[key]);
+    }
+  };
+  const groupOf = (code) => (code ? (code < "300" ? "Low" : "High") : null);
+  const cases = [
+    {},
+    { metrics: ["Total Parts", "Customer"] },
+    { branches: ["113", "366"], metrics: ["Total Parts"], start: "2020-06", end: "2020-10" },
+    { branches: [], metrics: ["Total Parts"] },
+    { start: "2025-01", end: "2030-01", fiscalYearStart: 7 },
+    { branches: ["999"], metrics: ["Not a metric"] },
+  ];
+  for (const options of cases) {
+    near(cubeMonthly(cube, options), aggregateMonthly(rows, options));
+    const grouped = { ...options, metric: "Total Parts", groupOf };
+    near(cubeMonthlyByGroup(cube, grouped), aggregateMonthlyByGroup(rows, grouped));
+    const summary = { metrics: ["Total Parts", "Parts Shop"], totalMetrics: ["Total Parts"], ...options };
+    near(cubeBranchSummary(cube, summary), summarizeByBranch(rows, summary));
+  }
+  assert.deepEqual(cubeMonthly(buildCube([])), []);
+});
+
+test("rolling transforms need 12 and 24 months of history", () => {
+  const monthly = aggregateMonthly(all, { branches: ["113"] });
+  const value = rollingWindow(monthly, ["Total"], { window: 12, stat: "sum" });
+  assert.equal(value[10].Total, null);
+  const manual = monthly.slice(0, 12).reduce((acc, m) => acc + m.Total, 0);
+  close(value[11].Total, manual);
+
+  const growth = rollingWindow(monthly, ["Total"], { window: 12, stat: "growth" });
+  assert.equal(growth[22].Total, null);
+  const prev = monthly.slice(0, 12).reduce((acc, m) => acc + m.Total, 0);
+  const curr = monthly.slice(12, 24).reduce((acc, m) => acc + m.Total, 0);
+  close(growth[23].Total, (curr - prev) / prev, 1e-9);
+});
+
+test("rollingWindow running sums match a brute-force window for any size", () => {
+  const monthly = aggregateMonthly(all, { branches: ["114"] });
+  for (const w of [1, 3, 6, 12]) {
+    const sum = rollingWindow(monthly, ["Parts"], { window: w, stat: "sum" });
+    const avg = rollingWindow(monthly, ["Parts"], { window: w, stat: "avg" });
+    const growth = rollingWindow(monthly, ["Parts"], { window: w, stat: "growth" });
+    for (let i = 2 * w - 1; i < monthly.length; i++) {
+      const windowSum = (from) => monthly.slice(from, from + w).reduce((acc, m) => acc + m.Parts, 0);
+      const curr = windowSum(i - w + 1);
+      const prev = windowSum(i - 2 * w + 1);
+      close(sum[i].Parts, curr);
+      close(avg[i].Parts, curr / w);
+      close(growth[i].Parts, (curr - prev) / prev, 1e-9);
+    }
+    assert.equal(avg[w - 2]?.Parts ?? null, null);
+  }
+  assert.throws(() => rollingWindow(monthly, ["Parts"], { stat: "median" }), /Unknown rolling stat/);
+});
+
+test("rollingWindow growth is blank when the prior window is all zeros", () => {
+  const monthly = [0, 0, 0, 5, 5, 5].map((v, i) => ({ Year: 2024, Month: i + 1, month: "", X: v }));
+  const growth = rollingWindow(monthly, ["X"], { window: 3, stat: "growth" });
+  assert.equal(growth[5].X, null);
+});
+
+test("clipToRange and summarizeSeries", () => {
+  const monthly = aggregateMonthly(all);
+  const clipped = clipToRange(monthly, "2020-01", "2020-06");
+  assert.deepEqual(clipped.map((m) => m.Month), [1, 2, 3, 4, 5, 6]);
+  assert.equal(clipToRange(monthly, "2020-06", "2020-01"), monthly);
+  const stats = summarizeSeries(clipped, ["Total", "Missing"]);
+  close(stats.Total.latest, clipped[5].Total);
+  assert.equal(stats.Missing, undefined);
+});
+
+test("period-over-period comparisons look up the prior month by calendar key", () => {
+  const monthly = [
+    { Year: 2023, Month: 1, month: "Jan 2023", Total: 100 },
+    { Year: 2023, Month: 2, month: "Feb 2023", Total: 0 },
+    // Mar 2023 missing on purpose
+    { Year: 2024, Month: 1, month: "Jan 2024", Total: 150 },
+    { Year: 2024, Month: 2, month: "Feb 2024", Total: 40 },
+    { Year: 2024, Month: 3, month: "Mar 2024", Total: 60 },
+  ];
+  const yoy = yearOverYear(monthly, ["Total"]);
+  assert.deepEqual(yoy.map((r) => r.Total), [null, null, 0.5, null, null]);
+  const delta = yearOverYear(monthly, ["Total"], { asPct: false });
+  assert.deepEqual(delta.map((r) => r.Total), [null, null, 50, 40, null]);
+  const mom = monthOverMonth(monthly, ["Total"]);
+  assert.deepEqual(mom.map((r) => r.Total), [null, -1, null, (40 - 150) / 150, 0.5]);
+  const overlay = priorYearOverlay(monthly, ["Total"]);
+  assert.equal(overlay[2].Total, 150);
+  assert.equal(overlay[2][priorYearKey("Total")], 100);
+  assert.equal(overlay[4][priorYearKey("Total")], null);
+});
+
+test("fiscal calendar maps periods onto calendar months", () => {
+  assert.deepEqual(fiscalToCalendar(2025, 1, 7), { Year: 2024, Month: 7 });
+  assert.deepEqual(fiscalToCalendar(2025, 6, 7), { Year: 2024, Month: 12 });
+  assert.deepEqual(fiscalToCalendar(2025, 12, 7), { Year: 2025, Month: 6 });
+  assert.deepEqual(fiscalToCalendar(2025, 3, 1), { Year: 2025, Month: 3 });
+  for (const start of [1, 2, 7, 10, 12]) {
+    for (let p = 1; p <= 12; p++) {
+      const cal = fiscalToCalendar(2025, p, start);
+      assert.deepEqual(calendarToFiscal(cal.Year, cal.Month, start), { fiscalYear: 2025, period: p });
+    }
+  }
+  assert.equal(periodLabel(2024, 9, 7), "FY25 P03");
+  assert.equal(periodLabel(2024, 9, 1), "Sep 2024");
+  assert.deepEqual(fiscalYearRange(2025, 10), { start: "2024-10", end: "2025-09" });
+});
+
+test("fiscal rows aggregate and label in fiscal terms", () => {
+  const rows = toCalendarRows(filterRows(all, { metrics: ["Total"] }), 7);
+  const bounds = datasetBounds(rows);
+  assert.equal(bounds.minStr, "2018-07");
+  const monthly = aggregateMonthly(rows, { fiscalYearStart: 7 });
+  assert.equal(monthly[0].month, "FY19 P01");
+  assert.deepEqual(listFiscalYears(rows, 7), listFiscalYears(all, 1));
+  assert.equal(toCalendarRows(all, 1), all);
+});
+
+test("branch master normalizes, groups regions and flags unassigned branches", () => {
+  const master = normalizeBranchMaster(
+    JSON.parse(readFileSync(new URL("../public/branches.json", import.meta.url), "utf-8"))
+  );
+  assert.deepEqual(regionGroups(master).map((r) => r.name), ["NC", "SC", "GA", "TN"]);
+  assert.deepEqual(regionGroups(master)[0].branches, ["113", "114", "117", "160"]);
+  assert.deepEqual(unassignedBranches(listBranches(all), master), [
+    "190", "366", "401", "402", "403", "404",
+  ]);
+
+  const edited = normalizeBranchMaster({
+    regions: ["East", " "],
+    branches: [
+      { code: " 113 ", name: "Charlotte", region: "East" },
+      { code: "113", name: "Duplicate" },
+      { code: 401, region: "West", district: "" },
+      { name: "No code" },
+    ],
+  });
+  assert.deepEqual(edited, {
+    regions: ["East", "West"],
+    branches: [
+      { code: "113", name: "Charlotte", region: "East" },
+      { code: "401", region: "West" },
+    ],
+  });
+  assert.equal(branchName(113, branchLookup(edited)), "Charlotte");
+  assert.equal(branchName("999", branchLookup(edited)), "");
+});
+
+test("grouped aggregation splits one category into per-group series", () => {
+  const regionOf = (code) => ({ 113: "NC", 114: "NC", 215: "SC" })[code] || "Unassigned";
+  const opts = { branches: ["113", "114", "215", "190"], start: "2020-01", end: "2020-12" };
+  const byRegion = aggregateMonthlyByGroup(all, { ...opts, metric: "Parts", groupOf: regionOf });
+  const byBranch = aggregateMonthlyByGroup(all, { ...opts, metric: "Parts", groupOf: (b) => b });
+  assert.equal(byRegion.length, 12);
+  byRegion.forEach((m, i) => {
+    const b = byBranch[i];
+    close(m.NC, b["113"] + b["114"]);
+    close(m.SC, b["215"]);
+    close(m.Unassigned, b["190"]);
+    assert.equal(m.Service, undefined);
+  });
+
+  const summary = summarizeByBranch(all, { ...opts, metrics: ["Parts"] });
+  const groups = groupBranchSummary(summary.rows, regionOf, ["SC", "NC"]);
+  assert.deepEqual(groups.map((g) => g.region), ["SC", "NC", "Unassigned"]);
+  assert.deepEqual(groups[1].rows.map((r) => r.Branch), ["113", "114"]);
+  close(groups[1].subtotal.Parts, groups[1].rows[0].Parts + groups[1].rows[1].Parts);
+  const grand = groups.reduce((acc, g) => acc + g.subtotal.__total, 0);
+  close(grand, summary.totals.__total);
+});
+
+test("metric hierarchy avoids double counting totals and components", () => {
+  const parents = METRIC_PARENTS;
+  // Every department column rolls into its total, and the totals into the grand total
+  assert.equal(parents["Parts Internal - ACAP"], "Total Parts");
+  assert.equal(parents["Loaner Internal"], "Total Rental");
+  assert.equal(parents["Total Service"], "Total");
+  assert.equal(parents.Rental, "Total");
+  const selection = ["Total Equipment", "New Equipment Sales", "Used Equipment Sales", "Total Parts"];
+  assert.deepEqual(findOverlaps(selection, parents), [
+    { metric: "New Equipment Sales", ancestor: "Total Equipment" },
+    { metric: "Used Equipment Sales", ancestor: "Total Equipment" },
+  ]);
+  assert.deepEqual(countedMetrics(selection, parents), ["Total Equipment", "Total Parts"]);
+  assert.deepEqual(countedMetrics(selection, parents, "components"), [
+    "New Equipment Sales", "Used Equipment Sales", "Total Parts",
+  ]);
+  assert.deepEqual(countedMetrics(selection, parents, "all"), selection);
+  assert.deepEqual(countedMetrics(["Total", "Equipment", "Parts"], parents), ["Total"]);
+  assert.deepEqual(countedMetrics(["Total", "Equipment", "Parts"], parents, "components"), ["Equipment", "Parts"]);
+
+  const summary = summarizeByBranch(all, {
+    metrics: ["Equipment", "Total"],
+    totalMetrics: countedMetrics(["Equipment", "Total"], parents),
+  });
+  close(summary.totals.__total, summary.totals.Total);
+
+  // The department files' columns are all known to the map and reconcile with their totals
+  for (const name of ["historical_sales.csv", "historical_parts.csv", "historical_service.csv"]) {
+    const issues = validateRows(loadCsv(name), { parents });
+    assert.deepEqual(issues.filter((e) => e.type === "unmapped" || e.type === "reconcile"), [], name);
+  }
+
+  const combined = withCombinedSeries([{ a: 1, b: 2 }, { a: null, b: undefined }], ["a", "b"], "c");
+  assert.deepEqual(combined.map((d) => d.c), [3, null]);
+});
+
+test("validateRows flags duplicates, gaps, unmapped columns and totals that do not reconcile", () => {
+  const parents = { A: "Total", B: "Total" };
+  const row = (Year, Month, Branch, Category, Value) => ({ Year, Month, Branch, Category, Value });
+  const rows = [
+    row(2024, 1, "1", "A", 1), row(2024, 1, "1", "B", 2), row(2024, 1, "1", "Total", 3),
+    row(2024, 1, "1", "A", 1),
+    row(2024, 3, "1", "A", 1), row(2024, 3, "1", "B", 2), row(2024, 3, "1", "Total", 5),
+    row(2024, 1, "1", "Extra", 0),
+  ];
+  const found = validateRows(rows, { parents });
+  const byType = (type) => found.filter((e) => e.type === type);
+
+  assert.deepEqual(byType("unmapped").map((e) => e.Category), ["Extra"]);
+  assert.equal(byType("duplicate").length, 1);
+  // Expected is the sum of the components, actual the stated total; the duplicated A
+  // is summed, so January no longer reconciles either
+  const reconcile = byType("reconcile");
+  assert.deepEqual(reconcile.map((e) => [e.Month, e.expected, e.actual, e.diff]), [
+    [1, 4, 3, -1],
+    [3, 3, 5, 2],
+  ]);
+  assert.deepEqual(byType("missing").map((e) => [e.Year, e.Month]), [[2024, 2]]);
+  assert.equal(found[0].severity, "error");
+
+  const table = exceptionsToTable(found);
+  assert.equal(table.length, found.length + 1);
+  const csv = toCsv([["a,b", 'say "hi"', null, 1]]);
+  assert.equal(csv, '"a,b","say ""hi""",,1');
+
+  // A repeated wide row counts once per row, not once per category it carries
+  const repeated = parseCsvText("Year,Period,Branch,A,B,C\n2024,1,113,1,2,3\n2024,1,113,1,2,3\n2024,2,113,1,2,3");
+  const dupes = validateRows(repeated).filter((e) => e.type === "duplicate");
+  assert.deepEqual(dupes.map((e) => [e.Month, e.Branch, e.actual]), [[1, "113", 2]]);
+  assert.match(dupes[0].message, /^2 rows/);
+});
+
+test("bundled files validate against their own totals and historical_all.csv", () => {
+  // historical_sales.csv reconciles cleanly
+  const salesParents = {
+    "New Equipment Sales": "Total Equipment",
+    "Used Equipment Sales": "Total Equipment",
+  };
+  const salesIssues = validateRows(sales, { parents: salesParents });
+  assert.equal(salesIssues.filter((e) => e.type === "reconcile").length, 0);
+
+  const cross = crossCheckRows(all, sales, {
+    equivalents: { Equipment: ["Total Equipment"] },
+    referenceName: "All Departments",
+  });
+  assert.equal(cross.length, 0);
+
+  // Perturb one cell and the cross-check reports it
+  const first = sales.find((r) => r.Category === "Total Equipment");
+  const shifted = sales.map((r) => (r === first ? { ...r, Value: r.Value + 100 } : r));
+  const diffs = crossCheckRows(all, shifted, { equivalents: { Equipment: ["Total Equipment"] } });
+  assert.equal(diffs.length, 1);
+  assert.equal(diffs[0].Branch, first.Branch);
+  close(diffs[0].diff, 100);
+
+  // A partial file checks only the months and branches it covers
+  const slice = sales.filter((r) => r.Branch === "113" && r.Year === 2025 && r.Month === 9);
+  assert.ok(slice.length);
+  const scope = { equivalents: { Equipment: ["Total Equipment"] }, start: "2025-09", end: "2025-09" };
+  assert.ok(crossCheckRows(all, slice, scope).length > 0);
+  assert.equal(crossCheckRows(all, slice, { ...scope, branches: ["113"] }).length, 0);
+});
+
+test("view state round-trips through the URL and leaves defaults out", () => {
+  const defaults = { dataset: "Historical_All", metric: "value", rollingWindow: 12, selectedBranches: ["*"] };
+  assert.equal(encodeViewState(defaults, defaults), "");
+  assert.equal(decodeViewState("", defaults), null);
+  assert.equal(decodeViewState("?utm_source=mail", defaults), null);
+
+  const view = {
+    ...defaults,
+    metric: "r12",
+    dateStart: "2023-01",
+    dateEnd: "2024-12",
+    selectedBranches: ["101", "GA 2"],
+    selectedMetrics: ["Total Parts"],
+  };
+  const search = encodeViewState(view, defaults);
+  assert.equal(
+    search,
+    "?metric=r12&from=2023-01&to=2024-12&branch=101&branch=GA+2&category=Total+Parts"
+  );
+  assert.deepEqual(decodeViewState(search, defaults), view);
+
+  // Malformed values fall back to the defaults
+  const bad = decodeViewState("?from=2023-13&window=abc&year=20x&category=&metric=yoy", defaults);
+  assert.deepEqual(bad, { ...defaults, metric: "yoy" });
+});
+
+test("saved views normalize, export by name and import over the existing list", () => {
+  const saved = normalizeSavedViews({
+    views: [
+      { id: "a", name: " Parts R12 ", view: { dataset: "Historical_Parts", metric: "r12", dateStart: "bad" } },
+      { id: "b", name: "parts r12", view: { dataset: "Historical_All" } },
+      { id: "c", name: "", view: { dataset: "Historical_All" } },
+      { id: "d", name: "Empty", view: { junk: true } },
+      { id: "e", name: "Bars", view: { viewMode: "bar", selectedBranches: ["101", "101", ""] } },
+    ],
+    defaultId: "b",
+  });
+  assert.deepEqual(saved, {
+    views: [
+      { id: "a", name: "Parts R12", view: { dataset: "Historical_Parts", metric: "r12" } },
+      { id: "e", name: "Bars", view: { viewMode: "bar", selectedBranches: ["101"] } },
+    ],
+    defaultId: null,
+  });
+
+  const file = savedViewsToJson({ ...saved, defaultId: "e" });
+  assert.equal(file.default, "Bars");
+  assert.deepEqual(file.views.map((v) => v.name), ["Parts R12", "Bars"]);
+
+  const { saved: merged, added, replaced } = importSavedViews(saved, {
+    format: "psdash-views",
+    version: 1,
+    default: "Month end",
+    views: [
+      { name: "BARS", view: { viewMode: "line" } },
+      { name: "Month end", view: { metric: "yoy" } },
+    ],
+  });
+  assert.equal(added, 1);
+  assert.equal(replaced, 1);
+  assert.deepEqual(merged.views.map((v) => [v.name, v.view]), [
+    ["Parts R12", { dataset: "Historical_Parts", metric: "r12" }],
+    ["Bars", { viewMode: "line" }],
+    ["Month end", { metric: "yoy" }],
+  ]);
+  assert.equal(merged.views[1].id, "e");
+  assert.equal(merged.defaultId, merged.views[2].id);
+
+  assert.throws(() => importSavedViews(saved, { views: [] }), /Not a saved views file/);
+  assert.throws(() => importSavedViews(saved, { format: "psdash-views", views: [{ name: "x" }] }), /no usable views/);
+});
+
+test("forecasts continue a trending seasonal series with widening intervals", () => {
+  const seasonal = (t) => 100 + 2 * t + 10 * Math.sin((2 * Math.PI * t) / 12);
+  const history = Array.from({ length: 48 }, (_, t) => seasonal(t));
+
+  for (const method of ["holtWinters", "trend"]) {
+    const f = forecastSeries(history, { method, horizon: 24 });
+    assert.equal(f.length, 24);
+    f.forEach((step, i) => close(step.value, seasonal(48 + i)));
+  }
+  const naive = forecastSeries(history, { method: "seasonalNaive", horizon: 13 });
+  close(naive[0].value, history[36]);
+  close(naive[12].value, history[36]);
+  assert.ok(naive[12].se > naive[0].se);
+
+  assert.deepEqual(forecastSeries(history.slice(0, 20), { method: "holtWinters" }), []);
+  assert.equal(forecastSeries(history.slice(0, 13), { method: "seasonalNaive" }).length, 12);
+  assert.throws(() => forecastSeries(history, { method: "arima" }), /Unknown forecast method/);
+
+  const summed = sumForecasts([[{ value: 1, se: 3 }], [{ value: 2, se: 4 }], []]);
+  assert.deepEqual(summed, [{ value: 3, se: 5 }]);
+
+  // Months continue past the last point; a gap month counts as zero
+  const monthly = history.map((v, t) => ({ Year: 2020 + Math.floor(t / 12), Month: (t % 12) + 1, A: v }));
+  const points = forecastMonthly(monthly, ["A"], { method: "trend", horizon: 2, level: 0.95 });
+  assert.deepEqual(points.map((p) => [p.Year, p.Month, p.month]), [[2024, 1, "Jan 2024"], [2024, 2, "Feb 2024"]]);
+  close(points[0][forecastKey("A")], seasonal(48));
+  const [low, high] = points[0][forecastRangeKey("A")];
+  assert.ok(low <= points[0][forecastKey("A")] && high >= points[0][forecastKey("A")]);
+
+  const chart = withForecast(monthly.slice(-2), points, ["A"]);
+  assert.equal(chart.length, 4);
+  assert.equal(chart[1][forecastKey("A")], monthly[47].A);
+  assert.equal(monthly[47][forecastKey("A")], undefined);
+});
+
+test("budget targets parse, merge into the chart and compare with actuals", () => {
+  const records = [
+    { Year: "2024", Period: "1", Branch: "101", Category: "total parts", Target: "1,000" },
+    { Year: "2024", Period: "2", Branch: "101", Category: "Total Parts", Target: "1200" },
+    { Year: "2024", Period: "2", Branch: "", Category: "Total Parts", Target: "300" },
+    { Year: "2024", Period: "3", Branch: "101", Category: "Total Parts", Target: "n/a" },
+  ];
+  const rows = parseBudgetRecords(records, ["Year", "Period", "Branch", "Category", "Target"], {
+    knownMetrics: ["Total Parts"],
+  });
+  assert.deepEqual(rows[0], { Year: 2024, Month: 1, Category: "Total Parts", Value: 1000, Branch: "101" });
+  assert.equal(rows.length, 3);
+  assert.throws(() => parseBudgetRecords(records, ["Year", "Period", "Category"]), /missing Target/);
+
+  const actual = [
+    { Year: 2023, Month: 12, "Total Parts": 900 },
+    { Year: 2024, Month: 1, "Total Parts": 1100 },
+    { Year: 2024, Month: 2, "Total Parts": 1400 },
+  ];
+  const chart = withBudget(actual, aggregateMonthly(rows, { metrics: ["Total Parts"] }), ["Total Parts"]);
+  assert.equal(chart[0][budgetKey("Total Parts")], undefined);
+  assert.equal(chart[2][budgetKey("Total Parts")], 1500);
+
+  const cmp = compareToBudget(chart.slice(1), "Total Parts");
+  assert.deepEqual(cmp, { actual: 2500, target: 2500, amount: 0, pct: 0 });
+  close(compareToBudget(chart.slice(2), "Total Parts").pct, -100 / 1500, 1e-9);
+  assert.equal(compareToBudget(chart.slice(0, 1), "Total Parts"), null);
+
+  const bounds = { minKey: 202401, maxKey: 202402 };
+  assert.deepEqual(budgetRange(bounds, "2023-06", "2024-01"), { start: "2024-01", end: "2024-01" });
+  assert.equal(budgetRange(bounds, "2024-03", "2024-06"), null);
+  assert.deepEqual(fiscalYearToDate("2024-09", 7), { start: "2024-07", end: "2024-09" });
+  assert.deepEqual(fiscalYearToDate("2024-03", 7), { start: "2023-07", end: "2024-03" });
+
+  // Branch table variances leave out actuals of branches without targets
+  const actuals = summarizeByBranch(
+    [
+      { Year: 2024, Month: 1, Category: "Total Parts", Value: 1100, Branch: "101" },
+      { Year: 2024, Month: 1, Category: "Total Parts", Value: 700, Branch: "102" },
+    ],
+    { metrics: ["Total Parts"] }
+  );
+  const targets = summarizeByBranch(rows.filter((r) => r.Branch && r.Month === 1), { metrics: ["Total Parts"] });
+  assert.deepEqual(budgetVariance(actuals, targets), { actual: 1100, target: 1000, amount: 100, pct: 0.1 });
+  assert.equal(budgetVariance(actuals, targets, { branches: ["102"] }), null);
+  const companyWide = summarizeByBranch(rows.filter((r) => r.Month === 2), { metrics: ["Total Parts"] });
+  assert.equal(budgetVariance(actuals, companyWide, { field: "Total Parts" }).actual, 1800);
+});
+
+test("anomalies flag months far from the same month in other years", () => {
+  // Five years of a seasonal series with a little noise and one spike
+  const monthly = [];
+  for (let y = 2020; y <= 2024; y++) {
+    for (let m = 1; m <= 12; m++) {
+      const wobble = ((y * 7 + m * 3) % 5) - 2;
+      monthly.push({ Year: y, Month: m, month: `${m}/${y}`, A: 100 + 10 * m + wobble, B: 50 });
+    }
+  }
+  monthly.find((p) => p.Year === 2023 && p.Month === 6).A = 400;
+
+  const found = detectAnomalies(monthly, ["A", "B"]);
+  assert.equal(found.length, 1);
+  assert.equal(found[0].key, "A");
+  assert.deepEqual([found[0].Year, found[0].Month, found[0].month, found[0].actual], [2023, 6, "6/2023", 400]);
+  assert.ok(Math.abs(found[0].expected - 160) <= 2);
+  assert.ok(found[0].z > 3.5);
+
+  // A flat history has no spread to judge by; too few years flags nothing
+  monthly.find((p) => p.Year === 2024 && p.Month === 1).B = 80;
+  assert.deepEqual(detectAnomalies(monthly, ["B"]), []);
+  assert.deepEqual(detectAnomalies(monthly.filter((p) => p.Year >= 2022), ["A"]), []);
+});
+
+test("seasonality overlays years, profiles each month and indexes it against the average month", () => {
+  // Jan 2023 – Jun 2024; every month is worth its month number, with 2024 doubled
+  const monthly = [];
+  for (let i = 0; i < 18; i++) {
+    const Year = 2023 + Math.floor(i / 12);
+    const Month = (i % 12) + 1;
+    monthly.push({ Year, Month, A: Month * (Year === 2024 ? 2 : 1) });
+  }
+  assert.deepEqual(seasonMonths(7).map((m) => m.label).slice(0, 2), ["Jul", "Aug"]);
+
+  const overlay = yearOverlay(monthly, "A");
+  assert.deepEqual(overlay.years, ["2023", "2024"]);
+  assert.deepEqual(overlay.points[0], { month: "Jan", 2023: 1, 2024: 2 });
+  assert.deepEqual(overlay.points[11], { month: "Dec", 2023: 12 });
+
+  // Fiscal years starting in July: Jul 2023 – Jun 2024 is FY2024, listed from Jul
+  const fiscal = yearOverlay(monthly, "A", { fiscalYearStart: 7 });
+  assert.deepEqual(fiscal.years, ["FY2023", "FY2024"]);
+  assert.deepEqual(fiscal.points[0], { month: "Jul", FY2024: 7 });
+  assert.deepEqual(fiscal.points[11], { month: "Jun", FY2023: 6, FY2024: 12 });
+
+  const profile = monthProfile(monthly, "A");
+  assert.deepEqual(profile[0], { month: "Jan", avg: 1.5, min: 1, max: 2, range: [1, 2], years: 2 });
+  assert.equal(profile[11].years, 1);
+
+  const index = seasonalIndex(monthly, "A");
+  const averages = profile.map((m) => m.avg);
+  const mean = averages.reduce((a, b) => a + b, 0) / 12;
+  close(index[0], (1.5 / mean) * 100, 1e-9);
+  close(index.reduce((a, b) => a + b, 0) / 12, 100, 1e-9);
+  assert.deepEqual(seasonalIndex([], "A"), new Array(12).fill(null));
+});
+
+test("branch ranking orders by total with rank change, share and growth", () => {
+  const rows = [];
+  const add = (Year, Month, Branch, Value) => rows.push({ Year, Month, Branch, Category: "Parts", Value });
+  // 2023: B leads A; 2024: A overtakes B, C is new; an unassigned row counts only in the company
+  add(2023, 1, "A", 50);
+  add(2023, 1, "B", 80);
+  add(2024, 1, "A", 100);
+  add(2024, 1, "B", 60);
+  add(2024, 1, "C", 20);
+  add(2024, 1, undefined, 20);
+  const summary = (start, end, branches) => summarizeByBranch(rows, { metrics: ["Parts"], start, end, branches });
+
+  const ranked = rankBranches(summary("2024-01", "2024-01"), {
+    prior: summary("2023-01", "2023-01"),
+    r12: summary("2023-02", "2024-01"),
+    r12Prior: summary("2022-02", "2023-01"),
+  });
+  assert.deepEqual(
+    ranked.map((r) => [r.Branch, r.rank, r.priorRank, r.rankChange]),
+    [["A", 1, 2, 1], ["B", 2, 1, -1], ["C", 3, null, null]]
+  );
+  close(ranked[0].share, 100 / 200, 1e-9);
+  close(ranked[0].yoy, 1, 1e-9);
+  close(ranked[1].yoy, -0.25, 1e-9);
+  assert.equal(ranked[2].yoy, null);
+  close(ranked[1].r12Growth, -0.25, 1e-9);
+  assert.equal(ranked[2].r12Growth, null);
+
+  // Shares of the company total hold under a branch filter
+  const filtered = rankBranches(summary("2024-01", "2024-01", ["B"]), {
+    companyTotal: summary("2024-01", "2024-01").totals.__total,
+  });
+  assert.deepEqual(filtered.map((r) => r.rank), [1]);
+  close(filtered[0].share, 60 / 200, 1e-9);
+  // Growth over the stretch with a year-earlier month when the data starts inside the year before
+  const trimmed = rankBranches(summary("2023-01", "2024-01"), {
+    compared: summary("2024-01", "2024-01"),
+    prior: summary("2023-01", "2023-01"),
+  });
+  assert.deepEqual(trimmed.map((r) => [r.Branch, r.total]), [["A", 150], ["B", 140], ["C", 20]]);
+  close(trimmed[1].yoy, -0.25, 1e-9);
+  assert.deepEqual(rankBranches(summary("2030-01", "2030-01")), []);
+});